@@ -9,6 +9,9 @@ import ScrollToTop from './components/ScrollToTop'
 import FAQpage from './pages/FAQpage'
 import Plans from './pages/Plans'
 import TaxCalculator from './pages/TaxCalculator'
+import Form16Filing from './pages/Form16Filing'
+import ManualFiling from './pages/ManualFiling'
+import VoiceFiling from './pages/VoiceFiling'
 const App = () => {
   return (
     <Router>
@@ -18,6 +21,9 @@ const App = () => {
         <Route path="/about" element={<AboutUsSection />} />
         <Route path ="/get-started" element={<GetStarted />} />
         <Route path="/itrfiling" element={<ITRFiling />} />
+        <Route path="/itrfiling/form16" element={<Form16Filing />} />
+        <Route path="/itrfiling/manual" element={<ManualFiling />} />
+        <Route path="/itrfiling/voice" element={<VoiceFiling />} />
         <Route path="/contact" element={<ContactPage />} />
         <Route path="/faq" element={<FAQpage />} /> 
         <Route path ="/plans" element={<Plans />} />
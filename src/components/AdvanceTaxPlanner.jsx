@@ -0,0 +1,209 @@
+import { Trash2 } from "lucide-react";
+import { createPayment } from "../tax/advanceTax";
+import AmountInput from "./AmountInput";
+
+const inputClass =
+  "block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatRupees = (amount) =>
+  `₹${Math.round(amount).toLocaleString("en-IN")}`;
+
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+/**
+ * Advance tax schedule for the computed liability, with the payments the
+ * user has made (or plans to make) and the 234B/234C interest on any
+ * shortfall. `result` is the engine's result for the selected regime and
+ * `interest` is computeInterest's for it. The payments are the return's
+ * advance tax, so `onPaymentsChange` hands them back to be saved.
+ */
+const AdvanceTaxPlanner = ({
+  result,
+  interest,
+  payments,
+  hasBusinessIncome,
+  onPaymentsChange,
+  onBusinessIncomeChange,
+}) => {
+  const { plan } = interest;
+  // Tax deducted or collected at source reduces the advance tax due.
+  const { tdsSalary, tdsOther, tds194S, tcs } = result.taxCredits;
+  const tds = tdsSalary + tdsOther + tds194S + tcs;
+
+  const updatePayment = (index, field, value) =>
+    onPaymentsChange(
+      payments.map((payment, i) =>
+        i === index ? { ...payment, [field]: value } : payment,
+      ),
+    );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold">Advance Tax Planner</h3>
+        <p className="text-sm text-gray-600">
+          Tax of {formatRupees(result.taxPayable)} less expected TDS and TCS
+          of{" "}
+          {formatRupees(tds)} leaves {formatRupees(plan.assessedTax)} to pay
+          in instalments during the year.
+        </p>
+      </div>
+
+      <label className="flex items-center gap-3">
+        <input
+          type="checkbox"
+          className="h-5 w-5 accent-purple-600"
+          checked={hasBusinessIncome}
+          onChange={(e) => onBusinessIncomeChange(e.target.checked)}
+        />
+        <span className="text-gray-800">
+          I have business or professional income (freelancing, consulting)
+        </span>
+      </label>
+
+      {!plan.liable ? (
+        <p className="rounded-md bg-green-50 px-4 py-2 text-sm text-green-800">
+          {plan.exemptReason} Pay any balance as self-assessment tax before
+          filing.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                <th className="px-2 py-2">Due by</th>
+                <th className="px-2 py-2 text-right">Pay this instalment</th>
+                <th className="px-2 py-2 text-right">Total due by then</th>
+                <th className="px-2 py-2 text-right">Paid by then</th>
+                <th className="px-2 py-2 text-right">Shortfall</th>
+                <th className="px-2 py-2 text-right">Interest u/s 234C</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.instalments.map((row) => (
+                <tr key={row.dueDate} className="border-b">
+                  <td className="px-2 py-2">
+                    {formatDate(row.dueDate)} ({row.share * 100}%)
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.instalment)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.due)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.paid)}
+                  </td>
+                  <td
+                    className={`px-2 py-2 text-right ${
+                      row.shortfall ? "text-red-600" : ""
+                    }`}
+                  >
+                    {formatRupees(row.shortfall)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.interest)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h4 className="font-semibold text-gray-800">
+          Advance tax paid or planned
+        </h4>
+        {payments.map((payment, index) => (
+          <div
+            key={index}
+            className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] gap-3 items-start"
+          >
+            <input
+              type="date"
+              className={inputClass}
+              value={payment.date}
+              onChange={(e) => updatePayment(index, "date", e.target.value)}
+              aria-label="Payment date"
+            />
+            <div>
+              <AmountInput
+                className={inputClass}
+                value={payment.amount}
+                onChange={(amount) => updatePayment(index, "amount", amount)}
+                placeholder="Amount, e.g. 45,000"
+                aria-label="Amount paid"
+              />
+            </div>
+            <button
+              type="button"
+              className="h-10 px-3 text-gray-500 hover:text-red-600"
+              onClick={() =>
+                onPaymentsChange(payments.filter((_, i) => i !== index))
+              }
+              aria-label="Remove payment"
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+          onClick={() => onPaymentsChange([...payments, createPayment()])}
+        >
+          Add payment
+        </button>
+        <p className="text-sm text-gray-600">
+          These payments make up the Advance Tax Paid figure. Payments made
+          after 31 March are not advance tax; enter them as self-assessment
+          tax.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <p className="text-sm text-gray-600">
+          The balance is taken to be paid when you file, on{" "}
+          {formatDate(interest.filingDate)}. Change the filing date above to
+          see the interest for another date.
+        </p>
+        <div className="rounded-lg bg-gray-50 p-4 text-sm space-y-1">
+          <div className="flex justify-between">
+            <span>Advance tax paid by 31 March</span>
+            <span>{formatRupees(plan.advancePaid)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Interest u/s 234C</span>
+            <span>{formatRupees(interest.section234C)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>
+              Interest u/s 234B
+              {plan.section234B.shortfall > 0 &&
+                ` (1% × ${plan.section234B.months} months on ${formatRupees(
+                  plan.section234B.shortfall,
+                )})`}
+            </span>
+            <span>{formatRupees(interest.section234B)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Interest u/s 234A</span>
+            <span>{formatRupees(interest.section234A.interest)}</span>
+          </div>
+          <div className="flex justify-between font-semibold">
+            <span>Total interest</span>
+            <span>{formatRupees(interest.total)}</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdvanceTaxPlanner;
@@ -0,0 +1,49 @@
+import { useState } from "react";
+import {
+  AMOUNT_ERROR,
+  formatAmountInput,
+  isAmount,
+  parseAmount,
+  toStoredAmount,
+} from "../tax/amounts";
+
+/**
+ * Text input for a rupee amount. Takes shorthand like "12.5L", "1.2 cr",
+ * "50k" or "₹ 1,50,000/-" and hands `onChange` the comma-free amount; text
+ * that is not an amount is passed through as typed and flagged in red.
+ * `error` replaces the built-in message, for forms that validate on submit.
+ */
+const AmountInput = ({ value, onChange, error, className, ...props }) => {
+  // What the user is typing; shown until the field loses focus.
+  const [draft, setDraft] = useState(null);
+  const parsed = draft === null ? null : parseAmount(draft);
+  const message = error || (isAmount(value) ? "" : AMOUNT_ERROR);
+
+  return (
+    <>
+      <input
+        type="text"
+        inputMode="decimal"
+        className={`${className} ${message ? "border-red-500" : ""}`}
+        value={draft ?? formatAmountInput(value)}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          onChange(toStoredAmount(e.target.value));
+        }}
+        onBlur={() => setDraft(null)}
+        aria-invalid={Boolean(message)}
+        {...props}
+      />
+      {parsed !== null && !/^[\d,.]+$/.test(draft.trim()) && (
+        <span className="mt-1 block text-sm text-gray-600">
+          = ₹{parsed.toLocaleString("en-IN")}
+        </span>
+      )}
+      {message && (
+        <span className="mt-1 block text-sm text-red-600">{message}</span>
+      )}
+    </>
+  );
+};
+
+export default AmountInput;
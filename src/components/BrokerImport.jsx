@@ -0,0 +1,235 @@
+import { useState } from "react";
+import {
+  BROKER_LAYOUTS,
+  TRANSACTION_FIELDS,
+  importStatement,
+} from "../tax/brokerImport";
+import { ASSET_TYPES } from "../tax/capitalGains";
+
+const selectClass =
+  "mt-1 block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatAmount = (value) =>
+  value === "" ? "-" : `₹${Math.round(Number(value)).toLocaleString("en-IN")}`;
+
+/**
+ * Reads a broker or RTA capital-gains CSV on the user's machine and shows a
+ * preview. Rows with errors are listed but never imported; only accepted
+ * rows reach the capital gains tab.
+ */
+const BrokerImport = ({ onImport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [fileName, setFileName] = useState("");
+  const [text, setText] = useState("");
+  const [layoutId, setLayoutId] = useState("");
+  const [columnOverrides, setColumnOverrides] = useState({});
+  const [hasReadFailed, setHasReadFailed] = useState(false);
+
+  const preview = text
+    ? importStatement(text, { layoutId: layoutId || undefined, columnOverrides })
+    : null;
+  const validRows = preview ? preview.rows.filter((row) => !row.errors.length) : [];
+
+  const reset = () => {
+    setFileName("");
+    setText("");
+    setLayoutId("");
+    setColumnOverrides({});
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFileName(file.name);
+      setText(String(reader.result));
+      setColumnOverrides({});
+      setHasReadFailed(false);
+    };
+    reader.onerror = () => {
+      reset();
+      setHasReadFailed(true);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleAccept = () => {
+    onImport(validRows.map((row) => row.transaction));
+    reset();
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="rounded-lg border border-purple-200 bg-purple-50">
+      <button
+        type="button"
+        className="w-full px-4 py-3 text-left font-semibold text-purple-900"
+        onClick={() => setIsOpen((prev) => !prev)}
+      >
+        {isOpen ? "▾" : "▸"} Import broker / mutual fund statement (CSV)
+      </button>
+
+      {isOpen && (
+        <div className="space-y-4 px-4 pb-4">
+          <p className="text-sm text-gray-600">
+            Export the capital gains or tax P&amp;L report as CSV from your
+            broker (Zerodha, Groww, Upstox) or CAMS / KFintech. The file is read
+            in your browser and never uploaded.
+          </p>
+          <input
+            key={fileName}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            className="block text-sm"
+          />
+          {hasReadFailed && (
+            <p className="text-sm text-red-600">
+              The file could not be read. Choose it again, or export the
+              statement again from your broker.
+            </p>
+          )}
+
+          {preview && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block">
+                  <span className="text-sm text-gray-700">Statement Layout</span>
+                  <select
+                    className={selectClass}
+                    value={layoutId}
+                    onChange={(e) => {
+                      setLayoutId(e.target.value);
+                      setColumnOverrides({});
+                    }}
+                  >
+                    <option value="">
+                      Detect automatically ({preview.layout.label})
+                    </option>
+                    {BROKER_LAYOUTS.map(({ id, label }) => (
+                      <option key={id} value={id}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <details open={Boolean(preview.error)}>
+                <summary className="cursor-pointer text-sm font-semibold text-gray-800">
+                  Column mapping for {fileName}
+                </summary>
+                <div className="mt-2 grid grid-cols-1 md:grid-cols-4 gap-3">
+                  {Object.entries(TRANSACTION_FIELDS).map(([field, { label }]) => (
+                    <label key={field} className="block">
+                      <span className="text-sm text-gray-700">{label}</span>
+                      <select
+                        className={selectClass}
+                        value={preview.columns[field] ?? -1}
+                        onChange={(e) =>
+                          setColumnOverrides((prev) => ({
+                            ...prev,
+                            [field]: Number(e.target.value),
+                          }))
+                        }
+                      >
+                        <option value={-1}>Not in file</option>
+                        {preview.headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header || `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </details>
+
+              {preview.error ? (
+                <p className="text-sm text-amber-700">{preview.error}</p>
+              ) : (
+                <div className="max-h-80 overflow-auto rounded-lg border border-gray-200 bg-white">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-100 text-left">
+                      <tr>
+                        <th className="px-2 py-1">Row</th>
+                        <th className="px-2 py-1">Security</th>
+                        <th className="px-2 py-1">Asset Type</th>
+                        <th className="px-2 py-1">Buy Date</th>
+                        <th className="px-2 py-1">Sell Date</th>
+                        <th className="px-2 py-1 text-right">Buy Value</th>
+                        <th className="px-2 py-1 text-right">Sell Value</th>
+                        <th className="px-2 py-1">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map((row) => (
+                        <tr
+                          key={row.rowNumber}
+                          className={`border-t ${
+                            row.errors.length ? "bg-amber-50" : ""
+                          }`}
+                        >
+                          <td className="px-2 py-1">{row.rowNumber}</td>
+                          <td className="px-2 py-1">{row.name}</td>
+                          <td className="px-2 py-1">
+                            {ASSET_TYPES[row.transaction.assetType].label}
+                          </td>
+                          <td className="px-2 py-1">{row.transaction.buyDate}</td>
+                          <td className="px-2 py-1">{row.transaction.sellDate}</td>
+                          <td className="px-2 py-1 text-right">
+                            {formatAmount(row.transaction.buyValue)}
+                          </td>
+                          <td className="px-2 py-1 text-right">
+                            {formatAmount(row.transaction.sellValue)}
+                          </td>
+                          <td className="px-2 py-1">
+                            {row.errors.length ? (
+                              <span className="text-amber-700">
+                                {row.errors.join(" ")}
+                              </span>
+                            ) : (
+                              <span className="text-green-700">OK</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+                  disabled={!validRows.length}
+                  onClick={handleAccept}
+                >
+                  Add {validRows.length} transaction
+                  {validRows.length === 1 ? "" : "s"}
+                </button>
+                <button
+                  type="button"
+                  className="px-4 py-2 text-gray-700 hover:text-gray-900"
+                  onClick={reset}
+                >
+                  Discard
+                </button>
+                {preview.rows.length > validRows.length && (
+                  <span className="text-sm text-amber-700">
+                    {preview.rows.length - validRows.length} row(s) with errors
+                    will be skipped.
+                  </span>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BrokerImport;
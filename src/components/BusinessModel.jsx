@@ -1,9 +1,11 @@
-import React, { useRef } from 'react';
+import React, { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import { FaUserTie, FaGlobeAmericas, FaBuilding, FaChartLine, FaArrowLeft, FaArrowRight } from 'react-icons/fa';
 import { MdOutlineDone } from 'react-icons/md';
 
 const plans = [
   {
+    id: 'salary-individual',
     title1: 'Salary Individual',
     price: '₹999',
     features: [
@@ -16,6 +18,7 @@ const plans = [
     color: 'border-purple-500',
   },
   {
+    id: 'salary-individual-pro',
     title2: 'Salary Individual Pro',
     price: '₹1,439',
     features: [
@@ -28,6 +31,7 @@ const plans = [
     color: 'border-pink-500',
   },
   {
+    id: 'capital-gain-tax',
     title3: 'Capital Gain Tax',
     price: '₹2,429',
     features: [
@@ -40,6 +44,7 @@ const plans = [
     color: 'border-green-500',
   },
   {
+    id: 'foreign-tax',
     title4: 'Foreign Tax',
     price: '₹3,419',
     features: [
@@ -55,6 +60,19 @@ const plans = [
 
 const BusinessModel = () => {
   const scrollRef = useRef(null);
+  const { hash } = useLocation();
+  // Plan linked from the ITR form recommendation, e.g. /plans#foreign-tax.
+  const linkedPlan = hash.slice(1);
+
+  useEffect(() => {
+    if (linkedPlan) {
+      document.getElementById(linkedPlan)?.scrollIntoView({
+        behavior: 'smooth',
+        block: 'center',
+        inline: 'center',
+      });
+    }
+  }, [linkedPlan]);
 
   const scrollLeft = () => {
     scrollRef.current.scrollBy({
@@ -84,7 +102,10 @@ const BusinessModel = () => {
         {plans.map((plan, index) => (
           <div
             key={index}
-            className={`min-w-[280px] bg-white p-6 rounded-xl shadow-md hover:shadow-xl transition-transform transform hover:scale-105 border-t-4 ${plan.color}`}
+            id={plan.id}
+            className={`min-w-[280px] bg-white p-6 rounded-xl shadow-md hover:shadow-xl transition-transform transform hover:scale-105 border-t-4 ${plan.color} ${
+              plan.id === linkedPlan ? 'ring-4 ring-purple-300' : ''
+            }`}
           >
             <div className="flex justify-center mb-4">{plan.icon}</div>
 
@@ -1,18 +1,53 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { BarChart, Bar, YAxis, ResponsiveContainer, Cell } from "recharts";
 import { Info } from "lucide-react";
-
-/**
- * Formats a numeric string into the Indian number format.
- * If input is empty, returns an empty string.
- */
-const formatIndianNumber = (numStr) => {
-  if (!numStr) return "";
-  // Remove any commas
-  const numericValue = numStr.replace(/,/g, "");
-  // Format using the en-IN locale
-  return new Intl.NumberFormat("en-IN").format(Number(numericValue));
-};
+import {
+  applyAdvanceTaxTotal,
+  computeInterest,
+  getAdvanceTaxPayments,
+} from "../tax/advanceTax";
+import { findInvalidAmounts } from "../tax/amounts";
+import { compareRegimes } from "../tax/compare";
+import { computeTax } from "../tax/engine";
+import {
+  SALARY_FIELDS,
+  applyEmployerTotals,
+  checkMultipleEmployers,
+} from "../tax/employers";
+import {
+  INCOME_LABELS,
+  TAXES_PAID_LABELS,
+  getDeductionLabel,
+} from "../tax/labels";
+import {
+  addProfile,
+  createDraft,
+  getActiveProfile,
+  getFreeProfileName,
+  loadProfiles,
+  saveDraft,
+  saveProfiles,
+} from "../tax/profiles";
+import { AGE_GROUPS, FINANCIAL_YEARS } from "../tax/rules";
+import {
+  SCENARIO_PARAM,
+  decodeScenario,
+  encodeScenario,
+  getOmittedRows,
+  isSameScenario,
+} from "../tax/scenarioUrl";
+import AdvanceTaxPlanner from "./AdvanceTaxPlanner";
+import AmountInput from "./AmountInput";
+import CapitalGainsTab from "./CapitalGainsTab";
+import ComputationExport from "./ComputationExport";
+import EmployerSalaries from "./EmployerSalaries";
+import HraCalculator from "./HraCalculator";
+import ItrFormSelector from "./ItrFormSelector";
+import ProfileSwitcher from "./ProfileSwitcher";
+import SlabBreakdown from "./SlabBreakdown";
+import TaxSettlement from "./TaxSettlement";
+import RegimeComparison from "./RegimeComparison";
 
 /**
  * A simple tooltip component that shows explanatory text on hover/touch.
@@ -50,288 +85,367 @@ const InfoTooltip = ({ content }) => {
   );
 };
 
+/**
+ * Computation of "Income from House Property" shown under Total Income.
+ */
+const HousePropertySummary = ({ houseProperty }) => {
+  const rows = [
+    ["Rent Received", houseProperty.rentReceived],
+    ["Less: Municipal Taxes", -houseProperty.municipalTax],
+    ["Less: Standard Deduction (30%)", -houseProperty.standardDeduction],
+    ["Less: Interest (Let-Out)", -houseProperty.letOutInterest],
+    ["Less: Interest (Self-Occupied)", -houseProperty.selfOccupiedInterest],
+  ].filter(([, amount]) => amount !== 0);
+  if (rows.length === 0) return null;
+  const formatSigned = (amount) =>
+    `${amount < 0 ? "-" : ""}₹${Math.abs(amount).toLocaleString("en-IN")}`;
+
+  return (
+    <div className="mt-4 space-y-2 text-sm">
+      {rows.map(([label, amount]) => (
+        <div key={label} className="flex justify-between text-gray-600">
+          <span>{label}</span>
+          <span>{formatSigned(amount)}</span>
+        </div>
+      ))}
+      <div className="flex justify-between font-semibold">
+        <span>Income from House Property</span>
+        <span>{formatSigned(houseProperty.income)}</span>
+      </div>
+      {houseProperty.selfOccupiedInterest <
+        houseProperty.selfOccupiedInterestClaimed && (
+        <p className="text-amber-700">
+          Self-occupied interest allowed: ₹
+          {houseProperty.selfOccupiedInterest.toLocaleString("en-IN")} of ₹
+          {houseProperty.selfOccupiedInterestClaimed.toLocaleString("en-IN")}.
+        </p>
+      )}
+      {houseProperty.carryForward > 0 && (
+        <p className="text-amber-700">
+          Loss set off this year: ₹
+          {houseProperty.setOff.toLocaleString("en-IN")}. ₹
+          {houseProperty.carryForward.toLocaleString("en-IN")} is carried
+          forward to the next 8 years against house-property income.
+        </p>
+      )}
+    </div>
+  );
+};
+
 /**
  * Helper to return tooltip text for each field.
  */
 const getTooltipContent = (field) => {
   const tooltips = {
     salary: "Annual salary (CTC). Old Regime can subtract HRA/LTA here.",
-    exemptAllowances: "Exempt allowances like HRA, LTA, etc. (Old Regime).",
+    basicSalary:
+      "Basic pay plus DA, already included in salary. Used to cap employer NPS (80CCD(2)).",
+    exemptAllowances:
+      "Exempt allowances other than HRA, like LTA (Old Regime). Claim HRA with the HRA calculator below.",
     interestIncome: "Interest from savings, FDs, etc.",
-    homeLoanSelfOccupied: "Interest on home loan (self-occupied).",
-    rentalIncome: "Income from rented property.",
-    homeLoanLetOut: "Interest on home loan (let-out property).",
-    digitalAssets: "Income from virtual digital assets.",
+    homeLoanSelfOccupied:
+      "Interest on home loan for a self-occupied house. Deductible up to ₹2,00,000 in the Old Regime only.",
+    rentalIncome: "Annual rent received from a let-out property.",
+    municipalTax:
+      "Municipal taxes paid on the let-out property. 30% of the remaining rent is deducted as standard deduction.",
+    homeLoanLetOut:
+      "Interest on home loan for a let-out property. Fully deductible, but a loss is set off against other income only up to ₹2,00,000 (Old Regime).",
+    digitalAssets:
+      "Gains from virtual digital assets (crypto, NFTs). Taxed at a flat 30% under 115BBH with no deductions, rebate or loss set-off.",
+    tdsSalary:
+      "Tax deducted by your employer, from the total in Part A of Form 16.",
+    tdsOther:
+      "TDS on interest, rent, professional fees and other income, as shown in Form 16A or Form 26AS.",
+    tds194S: "1% TDS deducted on transfers of virtual digital assets (194S).",
+    tcs: "Tax collected at source, e.g. on foreign remittances or a car purchase (Form 27D).",
+    advanceTax:
+      "Advance tax paid during the year, by 31 March. Once payments are listed in the Advance Tax Planner, this is their total.",
+    selfAssessmentTax:
+      "Tax paid after the year ends, before filing (challan 280).",
     otherIncome: "Any other taxable income.",
-    basic80C: "Investments under Section 80C (PPF, ELSS, etc.).",
-    deposits80TTA: "Interest earned from savings account (80TTA).",
-    medical80D: "Medical insurance premium (80D).",
-    donations80G: "Donations to approved charities (80G).",
-    housing80EEA: "Additional home-loan interest deduction (80EEA).",
-    nps80CCD: "Contributions to NPS (80CCD(1)).",
-    nps80CCD2: "Employer's contribution to NPS (80CCD(2)).",
+    basic80C:
+      "Investments under Section 80C (PPF, ELSS, etc.). 80C, 80CCC and 80CCD(1) together are limited to ₹1,50,000.",
+    pension80CCC: "Contribution to pension funds (80CCC).",
+    deposits80TTA:
+      "Savings interest up to ₹10,000 (80TTA); senior citizens claim all deposit interest up to ₹50,000 (80TTB). Limited to the interest income entered.",
+    medical80D:
+      "Medical insurance premium (80D): up to ₹25,000, or ₹50,000 for senior citizens.",
+    medical80DParents:
+      "Medical insurance premium for parents (80D): up to ₹25,000, or ₹50,000 if they are senior citizens.",
+    donations80G: "Donations eligible for 100% deduction without limit (80G).",
+    donations80G50: "Donations eligible for 50% deduction without limit (80G).",
+    donations80GLimited:
+      "Donations eligible for 100% deduction, within 10% of adjusted gross total income (80G).",
+    donations80GLimited50:
+      "Donations eligible for 50% deduction, within 10% of adjusted gross total income (80G).",
+    housing80EEA:
+      "Additional home-loan interest deduction (80EEA), up to ₹1,50,000.",
+    nps80CCD: "Own contributions to NPS (80CCD(1)).",
+    nps80CCD1B: "Additional NPS contribution (80CCD(1B)), up to ₹50,000.",
+    nps80CCD2:
+      "Employer's contribution to NPS (80CCD(2)): up to 14% of basic salary in the New Regime, 10% in the Old Regime.",
+    rent80GG:
+      "Rent paid when you receive no HRA (80GG): the least of ₹5,000 a month, 25% of adjusted total income, or rent over 10% of it.",
     otherDeduction: "Other Chapter VI-A deductions.",
   };
   return tooltips[field] || "Enter details here";
 };
 
-const TaxCalculator = () => {
-  const [activeTab, setActiveTab] = useState(0);
-  const [showDashboard, setShowDashboard] = useState(false);
-  const [formData, setFormData] = useState({
-    financialYear: "FY 2025-2026", // or "FY 2024-2025"
-    ageGroup: "0-60",
-    incomeDetails: {
-      salary: "", // Stored as a string without commas
-      exemptAllowances: "",
-      interestIncome: "",
-      homeLoanSelfOccupied: "",
-      rentalIncome: "",
-      homeLoanLetOut: "",
-      digitalAssets: "",
-      otherIncome: "",
-    },
-    deductions: {
-      basic80C: "",
-      deposits80TTA: "",
-      medical80D: "",
-      donations80G: "",
-      housing80EEA: "",
-      nps80CCD: "",
-      nps80CCD2: "",
-      otherDeduction: "",
-    },
-  });
+// Shown in the chart until the first calculation.
+const EMPTY_RESULTS = {
+  totalIncome: 0,
+  standardDeduction: 0,
+  chapterVIA: 0,
+  taxableIncome: 0,
+  taxPayable: 0,
+};
 
-  // Results to display after calculation
-  const [taxResults, setTaxResults] = useState({
-    totalIncome: 0,
-    exemptAllowances: 0,
-    standardDeduction: 0,
-    chapterVIA: 0,
-    taxableIncome: 0,
-    taxPayable: 0,
-    incomeTax: 0,
-    surcharge: 0,
-    healthEducationCess: 0,
-  });
+// Tab holding each group of money fields, for sending the user to a bad one.
+const AMOUNT_TABS = {
+  incomeDetails: 1,
+  taxesPaid: 1,
+  hraDetails: 1,
+  employers: 1,
+  capitalGains: 2,
+  deductions: 3,
+};
 
-  const [selectedRegime, setSelectedRegime] = useState("new");
+const TABS = ["Basic Details", "Income Details", "Capital Gains", "Deductions"];
 
-  /**
-   * 1. Calculate "gross income."
-   *    - Old Regime: subtract "exemptAllowances" from "salary"
-   *    - New Regime: do not subtract "exemptAllowances"
-   */
-  const calculateTotalIncome = () => {
-    const inc = formData.incomeDetails;
-    let salary = Number(inc.salary) || 0;
-    const exempt = Number(inc.exemptAllowances) || 0;
-    let otherIncome =
-      (Number(inc.interestIncome) || 0) +
-      (Number(inc.homeLoanSelfOccupied) || 0) +
-      (Number(inc.rentalIncome) || 0) +
-      (Number(inc.homeLoanLetOut) || 0) +
-      (Number(inc.digitalAssets) || 0) +
-      (Number(inc.otherIncome) || 0);
-
-    if (selectedRegime === "old") {
-      salary -= exempt;
-    }
-    return salary + otherIncome;
-  };
+const clampTab = (tab) => Math.min(Math.max(tab, 0), TABS.length - 1);
 
-  /**
-   * 2. Calculate the total deduction.
-   *    - New Regime: standard deduction only.
-   *    - Old Regime: standard deduction + Chapter VI-A deductions.
-   */
-  const calculateDeductions = () => {
-    const fy = formData.financialYear;
-    let standardDeduction = fy === "FY 2025-2026" ? 75000 : 50000;
+const isBlankDraft = (draft) => isSameScenario(draft, createDraft());
 
-    if (selectedRegime === "new") {
-      return standardDeduction;
-    } else {
-      const chapterVIA = Object.values(formData.deductions).reduce(
-        (a, b) => a + (Number(b) || 0),
-        0
-      );
-      return standardDeduction + chapterVIA;
-    }
-  };
+// Row lists a link can leave out, as named in the notes about them.
+const OMITTED_ROW_LABELS = {
+  capitalGains: "capital gains transactions",
+  employers: "employers",
+  advanceTaxPayments: "advance tax payments",
+};
+
+const describeOmittedRows = (omitted) =>
+  Object.entries(omitted)
+    .map(([key, count]) => `${count} ${OMITTED_ROW_LABELS[key]}`)
+    .join(" and ");
+
+/**
+ * The saved profiles, with figures arriving from another page or a shared
+ * link put in a profile of their own unless the active one is blank or
+ * already holds them (as after reloading a shared link).
+ */
+const openProfiles = (initialData, shared) => {
+  const store = loadProfiles();
+  const incoming = initialData ? createDraft(initialData) : shared;
+  const { draft } = getActiveProfile(store);
+  if (!incoming || isSameScenario(incoming, draft)) {
+    return store;
+  }
+  if (isBlankDraft(draft)) return saveDraft(store, store.activeId, incoming);
+  const name = getFreeProfileName(
+    store,
+    initialData ? "Pre-filled" : "Shared link",
+  );
+  return addProfile(store, name, incoming);
+};
+
+const TaxCalculator = ({ initialData }) => {
+  const [searchParams] = useSearchParams();
+  // Pre-filled data handed over by another page wins over a shared link.
+  const [shared] = useState(() =>
+    initialData ? null : decodeScenario(searchParams.get(SCENARIO_PARAM)),
+  );
+  const [hasBrokenLink] = useState(
+    () => !initialData && !shared && searchParams.has(SCENARIO_PARAM),
+  );
+  const [profiles, setProfiles] = useState(() =>
+    openProfiles(initialData, shared),
+  );
+  const [activeTab, setActiveTab] = useState(() =>
+    clampTab(getActiveProfile(profiles).draft.tab),
+  );
+  const [formData, setFormData] = useState(
+    () => getActiveProfile(profiles).draft.formData,
+  );
+  // The last calculation: { formData, comparison }, the figures and both
+  // regimes' results worked out from them, or null before Calculate. Every
+  // part of the dashboard reads this snapshot, never the live inputs.
+  const [calculation, setCalculation] = useState(null);
+
+  const [selectedRegime, setSelectedRegime] = useState(
+    () => getActiveProfile(profiles).draft.regime,
+  );
+  const [hasInvalidAmounts, setHasInvalidAmounts] = useState(false);
+  // "", "copied" or "failed", for the Copy link button.
+  const [linkStatus, setLinkStatus] = useState("");
+  const [hasSaveFailed, setHasSaveFailed] = useState(false);
+  const omittedRows = describeOmittedRows(getOmittedRows({ formData }));
 
   /**
-   * 3. Slab-wise tax calculation based on regime & FY, including rebate and cess.
+   * Keeps the scenario in the address bar, so copying the URL at any point
+   * shares exactly what is on screen. The history entry is replaced in
+   * place, keeping each keystroke out of the browser history and the
+   * router's state as it was, without re-rendering the page.
    */
-  const calculateTaxSlabWise = (taxableIncome) => {
-    let tax = 0;
-    const fy = formData.financialYear;
-
-    if (selectedRegime === "new") {
-      const isFY2526 = fy === "FY 2025-2026";
-      if (taxableIncome > 1500000) {
-        tax =
-          slabTax(0, 300000, 0) +
-          slabTax(300000, 600000, 0.05) +
-          slabTax(600000, 900000, 0.1) +
-          slabTax(900000, 1200000, 0.15) +
-          slabTax(1200000, 1500000, 0.2) +
-          (taxableIncome - 1500000) * (isFY2526 ? 0.25 : 0.3);
-      } else if (taxableIncome > 1200000) {
-        tax =
-          slabTax(0, 300000, 0) +
-          slabTax(300000, 600000, 0.05) +
-          slabTax(600000, 900000, 0.1) +
-          (taxableIncome - 1200000) * 0.2;
-      } else if (taxableIncome > 900000) {
-        tax =
-          slabTax(0, 300000, 0) +
-          slabTax(300000, 600000, 0.05) +
-          (taxableIncome - 900000) * 0.15;
-      } else if (taxableIncome > 600000) {
-        tax =
-          slabTax(0, 300000, 0) +
-          (taxableIncome - 600000) * 0.1;
-      } else if (taxableIncome > 300000) {
-        tax = (taxableIncome - 300000) * 0.05;
-      } else {
-        tax = 0;
-      }
-
-      // Apply 87A Rebate for New Regime:
-      if (fy === "FY 2024-2025" && taxableIncome <= 700000) {
-        tax = 0;
-      } else if (fy === "FY 2025-2026" && taxableIncome <= 1200000) {
-        tax = 0;
-      }
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const scenario = encodeScenario({
+      formData,
+      regime: selectedRegime,
+      tab: activeTab,
+    });
+    if (scenario) {
+      url.searchParams.set(SCENARIO_PARAM, scenario);
     } else {
-      // Old Regime Slabs:
-      if (taxableIncome > 1000000) {
-        tax = 12500 + 100000 + (taxableIncome - 1000000) * 0.3;
-      } else if (taxableIncome > 500000) {
-        tax = 12500 + (taxableIncome - 500000) * 0.2;
-      } else if (taxableIncome > 250000) {
-        tax = (taxableIncome - 250000) * 0.05;
-      } else {
-        tax = 0;
-      }
-      if (taxableIncome <= 500000) {
-        tax = 0;
-      }
+      url.searchParams.delete(SCENARIO_PARAM);
     }
+    window.history.replaceState(window.history.state, "", url);
+    setLinkStatus("");
+  }, [formData, selectedRegime, activeTab]);
+
+  useEffect(() => {
+    setHasSaveFailed(!saveProfiles(profiles));
+  }, [profiles]);
+
+  // Autosave into the active profile.
+  useEffect(() => {
+    setProfiles((prev) =>
+      saveDraft(prev, prev.activeId, {
+        formData,
+        regime: selectedRegime,
+        tab: activeTab,
+      }),
+    );
+  }, [formData, selectedRegime, activeTab]);
 
-    const cess = Math.round(tax * 0.04);
-    return {
-      tax,
-      cess,
-      finalTax: tax + cess,
-    };
-  };
+  /**
+   * Once calculated, the results follow the inputs, so the dashboard never
+   * pairs old results with new figures. While an amount cannot be read the
+   * last calculation stays up, unchanged.
+   */
+  useEffect(() => {
+    setCalculation((prev) =>
+      !prev || prev.formData === formData || findInvalidAmounts(formData).length
+        ? prev
+        : { formData, comparison: compareRegimes(formData) },
+    );
+  }, [formData]);
 
   /**
-   * Utility function to calculate tax for a slab.
+   * Takes the store ProfileSwitcher hands back; when the active profile
+   * changed, its figures replace the ones on screen.
    */
-  const slabTax = (lower, upper, rate) => {
-    return (upper - lower) * rate;
+  const handleProfilesChange = (next) => {
+    setProfiles(next);
+    if (next.activeId === profiles.activeId) return;
+    const { draft } = getActiveProfile(next);
+    setFormData(draft.formData);
+    setSelectedRegime(draft.regime);
+    setActiveTab(clampTab(draft.tab));
+    setCalculation(null);
+    setHasInvalidAmounts(false);
   };
 
+  const handleCopyLink = () =>
+    navigator.clipboard
+      .writeText(window.location.href)
+      .then(() => setLinkStatus("copied"))
+      .catch(() => setLinkStatus("failed"));
+
   /**
    * Handle the "Calculate" button click.
    */
   const handleCalculate = () => {
-    const totalIncome = calculateTotalIncome();
-    const totalDeductions = calculateDeductions();
-    const taxableIncome = Math.max(0, totalIncome - totalDeductions);
-
-    const { tax, cess, finalTax } = calculateTaxSlabWise(taxableIncome);
-
-    setTaxResults({
-      totalIncome,
-      exemptAllowances:
-        selectedRegime === "new"
-          ? Number(formData.incomeDetails.exemptAllowances) || 0
-          : 0,
-      standardDeduction: formData.financialYear === "FY 2025-2026" ? 75000 : 50000,
-      chapterVIA:
-        selectedRegime === "old"
-          ? Object.values(formData.deductions).reduce(
-              (a, b) => a + (Number(b) || 0),
-              0
-            )
-          : 0,
-      taxableIncome,
-      incomeTax: tax,
-      healthEducationCess: cess,
-      surcharge: 0,
-      taxPayable: finalTax,
-    });
-
-    setShowDashboard(true);
+    const invalid = findInvalidAmounts(formData);
+    setHasInvalidAmounts(invalid.length > 0);
+    if (invalid.length) {
+      // Advance tax payments are entered in the planner, not on a tab.
+      const tab = AMOUNT_TABS[invalid[0].split(".")[0]];
+      if (tab !== undefined) setActiveTab(tab);
+      return;
+    }
+    setCalculation({ formData, comparison: compareRegimes(formData) });
   };
 
   /**
-   * Updated input change handler to remove commas and store a sanitized value.
+   * Switching regime after Calculate shows that regime's already computed
+   * figures.
+   */
+  const handleRegimeChange = (regime) => setSelectedRegime(regime);
+
+  const showDashboard = calculation !== null;
+  const comparison = calculation?.comparison;
+  const taxResults = comparison ? comparison[selectedRegime] : EMPTY_RESULTS;
+  // One interest figure for the settlement and the planner.
+  const interest =
+    showDashboard && computeInterest(calculation.formData, taxResults);
+
+  const recommendedBadge = (regime) =>
+    comparison?.recommended === regime && (
+      <span className="ml-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-xs">
+        Recommended
+      </span>
+    );
+
+  /**
+   * Stores an amount as AmountInput hands it over: parsed and comma-free,
+   * or as typed when it is not an amount.
    */
   const handleInputChange = (category, field, value) => {
-    const sanitizedValue = value.replace(/,/g, "");
     setFormData((prev) => ({
       ...prev,
       [category]: {
         ...prev[category],
-        [field]: sanitizedValue,
+        [field]: value,
       },
     }));
   };
 
-  const tabs = ["Basic Details", "Income Details", "Deductions"];
-
-  const formatDeductionLabel = (key) => {
-    switch (key) {
-      case "basic80C":
-        return "Basic - 80C";
-      case "deposits80TTA":
-        return "Deposits - 80TTA";
-      case "medical80D":
-        return "Medical - 80D";
-      case "donations80G":
-        return "Donations - 80G";
-      case "housing80EEA":
-        return "Housing - 80EEA";
-      case "nps80CCD":
-        return "NPS - 80CCD";
-      case "nps80CCD2":
-        return "NPS - 80CCD(2)";
-      case "otherDeduction":
-        return "Other Deduction";
-      default:
-        return key;
-    }
+  const handleEmployersChange = (employers) =>
+    setFormData((prev) => applyEmployerTotals({ ...prev, employers }));
+
+  const hasEmployers = formData.employers.length > 0;
+  const isEmployerTotal = (key) =>
+    hasEmployers && (SALARY_FIELDS.includes(key) || key === "tdsSalary");
+  // Fields filled in from rows entered elsewhere, which cannot be typed in.
+  const isRowTotal = (key) =>
+    isEmployerTotal(key) ||
+    (key === "advanceTax" && formData.advanceTaxPayments.length > 0);
+
+  /**
+   * The planner's payments are the advance tax credit. Changing them
+   * changes the figures, and the results follow without leaving the
+   * dashboard.
+   */
+  const handleAdvanceTaxPaymentsChange = (advanceTaxPayments) => {
+    // An amount typed in before becomes the first payment, on 15 March.
+    const rows = formData.advanceTaxPayments.length
+      ? advanceTaxPayments
+      : [...getAdvanceTaxPayments(formData), ...advanceTaxPayments];
+    setFormData(
+      applyAdvanceTaxTotal({ ...formData, advanceTaxPayments: rows }),
+    );
   };
 
-  const formatIncomeDetailsLabel = (key) => {
-    switch (key) {
-      case "salary":
-        return "Income from Salary";
-      case "exemptAllowances":
-        return "Exempt Allowances";
-      case "interestIncome":
-        return "Income from Interest";
-      case "homeLoanSelfOccupied":
-        return "Interest on Home Loan (Self-Occupied)";
-      case "rentalIncome":
-        return "Rental Income";
-      case "homeLoanLetOut":
-        return "Interest on Home Loan (Let-Out)";
-      case "digitalAssets":
-        return "Income from Digital Assets";
-      case "otherIncome":
-        return "Other Income";
-      default:
-        return key;
-    }
+  // Filing date and business income, set in the dashboard.
+  const handleInterestInputChange = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const handleHraChange = (field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      hraDetails: { ...prev.hraDetails, [field]: value },
+    }));
   };
 
+  const formatDeductionLabel = (key) =>
+    getDeductionLabel(key, formData.ageGroup);
+
+  // Allowed amounts after statutory caps, for the inline warnings.
+  const { deductionDetails } = computeTax({
+    ...formData,
+    regime: selectedRegime,
+  });
+
   /**
    * Render tab contents.
    */
@@ -340,6 +454,11 @@ const TaxCalculator = () => {
       case 0:
         return (
           <div className="space-y-6">
+            <ProfileSwitcher
+              store={profiles}
+              onChange={handleProfilesChange}
+            />
+
             <label className="block">
               <span className="text-lg font-semibold text-gray-800">
                 Financial Year
@@ -348,14 +467,17 @@ const TaxCalculator = () => {
                 className="mt-2 block w-full h-12 rounded-lg border border-gray-300 bg-white px-4 text-gray-700 shadow-sm focus:border-purple-600 focus:ring-2 focus:ring-purple-300 transition-all"
                 value={formData.financialYear}
                 onChange={(e) =>
-                  setFormData((prev) => ({
-                    ...prev,
-                    financialYear: e.target.value,
-                  }))
+                  setFormData((prev) =>
+                    applyAdvanceTaxTotal({
+                      ...prev,
+                      financialYear: e.target.value,
+                    }),
+                  )
                 }
               >
-                <option>FY 2025-2026</option>
-                <option>FY 2024-2025</option>
+                {FINANCIAL_YEARS.map((fy) => (
+                  <option key={fy}>{fy}</option>
+                ))}
               </select>
             </label>
 
@@ -373,43 +495,115 @@ const TaxCalculator = () => {
                   }))
                 }
               >
-                <option>0-60</option>
-                <option>60-80</option>
-                <option>80+</option>
+                {AGE_GROUPS.map((group) => (
+                  <option key={group}>{group}</option>
+                ))}
               </select>
             </label>
+
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                className="h-5 w-5 accent-purple-600"
+                checked={formData.parentsSeniorCitizen}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    parentsSeniorCitizen: e.target.checked,
+                  }))
+                }
+              />
+              <span className="text-gray-800">
+                Parents are senior citizens (for 80D)
+              </span>
+            </label>
           </div>
         );
       case 1:
         return (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <EmployerSalaries
+              employers={formData.employers}
+              check={checkMultipleEmployers(formData, selectedRegime)}
+              onChange={handleEmployersChange}
+            />
             {Object.entries(formData.incomeDetails).map(([key, value], idx) => (
               <label key={idx} className="block">
                 <span className="text-gray-700 flex items-center gap-2">
-                  {formatIncomeDetailsLabel(key)}
+                  {INCOME_LABELS[key] || key}
                   <InfoTooltip content={getTooltipContent(key)} />
                 </span>
                 <div className="relative mt-1">
-                  <span className="absolute inset-y-0 left-0 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
+                  <span className="absolute top-0 left-0 h-12 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
                     ₹
                   </span>
-                  <input
-                    type="text"
-                    value={formatIndianNumber(formData.incomeDetails[key])}
-                    onChange={(e) =>
-                      handleInputChange("incomeDetails", key, e.target.value)
+                  <AmountInput
+                    value={formData.incomeDetails[key]}
+                    onChange={(amount) =>
+                      handleInputChange("incomeDetails", key, amount)
                     }
+                    readOnly={isEmployerTotal(key)}
                     placeholder="e.g., 12,75,000"
-                    className="pl-12 block w-full h-12 rounded-lg border border-gray-300 focus:border-purple-500 focus:ring focus:ring-purple-200"
+                    className={`pl-12 block w-full h-12 rounded-lg border border-gray-300 focus:border-purple-500 focus:ring focus:ring-purple-200 ${
+                      isEmployerTotal(key) ? "bg-gray-100" : ""
+                    }`}
                   />
                 </div>
               </label>
             ))}
+            {Object.entries(TAXES_PAID_LABELS).map(([key, label]) => (
+              <label key={key} className="block">
+                <span className="text-gray-700 flex items-center gap-2">
+                  {label}
+                  <InfoTooltip content={getTooltipContent(key)} />
+                </span>
+                <div className="relative mt-1">
+                  <span className="absolute top-0 left-0 h-12 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
+                    ₹
+                  </span>
+                  <AmountInput
+                    value={formData.taxesPaid[key]}
+                    onChange={(amount) =>
+                      handleInputChange("taxesPaid", key, amount)
+                    }
+                    readOnly={isRowTotal(key)}
+                    placeholder="e.g., 5,000"
+                    className={`pl-12 block w-full h-12 rounded-lg border border-gray-300 focus:border-purple-500 focus:ring focus:ring-purple-200 ${
+                      isRowTotal(key) ? "bg-gray-100" : ""
+                    }`}
+                  />
+                </div>
+              </label>
+            ))}
+            <HraCalculator
+              basicSalary={formData.incomeDetails.basicSalary}
+              hraDetails={formData.hraDetails}
+              hasEmployers={hasEmployers}
+              onChange={handleHraChange}
+              onApply80GG={(rent) =>
+                handleInputChange("deductions", "rent80GG", `${rent}`)
+              }
+            />
           </div>
         );
       case 2:
+        return (
+          <CapitalGainsTab
+            transactions={formData.capitalGains}
+            financialYear={formData.financialYear}
+            onChange={(capitalGains) =>
+              setFormData((prev) => ({ ...prev, capitalGains }))
+            }
+          />
+        );
+      case 3:
         return (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <p className="md:col-span-2 text-sm text-gray-600">
+              Chapter VI-A deductions apply under the Old Regime. The New
+              Regime allows only the employer&apos;s NPS contribution
+              (80CCD(2)).
+            </p>
             {Object.entries(formData.deductions).map(([key, value], idx) => (
               <label key={idx} className="block">
                 <span className="text-gray-700 flex items-center gap-2">
@@ -417,19 +611,24 @@ const TaxCalculator = () => {
                   <InfoTooltip content={getTooltipContent(key)} />
                 </span>
                 <div className="relative mt-1">
-                  <span className="absolute inset-y-0 left-0 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
+                  <span className="absolute top-0 left-0 h-12 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
                     ₹
                   </span>
-                  <input
-                    type="text"
-                    value={formatIndianNumber(formData.deductions[key])}
-                    onChange={(e) =>
-                      handleInputChange("deductions", key, e.target.value)
+                  <AmountInput
+                    value={formData.deductions[key]}
+                    onChange={(amount) =>
+                      handleInputChange("deductions", key, amount)
                     }
                     placeholder="e.g., 1,50,000"
                     className="pl-12 block w-full h-12 rounded-lg border border-gray-300 focus:border-purple-500 focus:ring focus:ring-purple-200"
                   />
                 </div>
+                {deductionDetails[key]?.note && (
+                  <span className="mt-1 block text-sm text-amber-700">
+                    {deductionDetails[key].note} Allowed: ₹
+                    {deductionDetails[key].allowed.toLocaleString("en-IN")}
+                  </span>
+                )}
               </label>
             ))}
           </div>
@@ -455,7 +654,7 @@ const TaxCalculator = () => {
   return (
     <div className="max-w-6xl mx-auto p-6 space-y-6 my-25">
       {/* Regime Selection */}
-      <div className="border-b pb-2">
+      <div className="border-b pb-2 flex flex-wrap items-center justify-between gap-4">
         <div className="flex space-x-4">
           <button
             className={`px-6 py-2 text-lg font-medium transition-colors duration-300 ease-in-out transform rounded-xl ${
@@ -463,14 +662,10 @@ const TaxCalculator = () => {
                 ? "bg-purple-600 text-white border-b-1 border-purple-600"
                 : "bg-gray-100 text-gray-600 hover:bg-gray-200"
             }`}
-            onClick={() => setSelectedRegime("new")}
+            onClick={() => handleRegimeChange("new")}
           >
             New regime
-            {selectedRegime === "new" && (
-              <span className="ml-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-xs">
-                Recommended
-              </span>
-            )}
+            {recommendedBadge("new")}
           </button>
 
           <button
@@ -479,17 +674,69 @@ const TaxCalculator = () => {
                 ? "bg-purple-600 text-white border-b-2 border-purple-600"
                 : "bg-gray-100 text-gray-600 hover:bg-gray-200"
             }`}
-            onClick={() => setSelectedRegime("old")}
+            onClick={() => handleRegimeChange("old")}
           >
             Old regime
+            {recommendedBadge("old")}
           </button>
         </div>
+
+        <div className="flex items-center gap-3">
+          <span
+            className={`text-sm ${
+              linkStatus === "failed" ? "text-red-600" : "text-gray-600"
+            }`}
+          >
+            {linkStatus === "copied" &&
+              "Link copied. Personal details are never included."}
+            {linkStatus === "failed" &&
+              "Could not copy. Copy the address from the browser bar instead."}
+            {!linkStatus &&
+              (navigator.clipboard
+                ? "Share these figures:"
+                : "Share these figures by copying the address in the browser bar.")}
+            {omittedRows &&
+              ` The link leaves out the ${omittedRows}, too many to share.`}
+          </span>
+          {/* Without clipboard access (plain HTTP) only the button goes. */}
+          {navigator.clipboard && (
+            <button
+              type="button"
+              className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+              onClick={handleCopyLink}
+            >
+              Copy link
+            </button>
+          )}
+        </div>
       </div>
 
+      {shared && (
+        <p className="rounded-md bg-purple-50 px-4 py-2 text-sm text-purple-900">
+          Opened from a shared link. Review each tab, then press Calculate.
+          {Object.keys(shared.omitted).length > 0 &&
+            ` The link left out ${describeOmittedRows(
+              shared.omitted,
+            )}, too many to share; add them before calculating.`}
+        </p>
+      )}
+      {hasSaveFailed && (
+        <p className="rounded-md bg-amber-100 px-4 py-2 text-sm text-amber-800">
+          This browser is not letting the calculator save, so your figures
+          will be lost when you close the page.
+        </p>
+      )}
+      {hasBrokenLink && (
+        <p className="rounded-md bg-amber-100 px-4 py-2 text-sm text-amber-800">
+          This link could not be read, or was made by a newer version of the
+          calculator. Starting with blank figures.
+        </p>
+      )}
+
       {/* Calculator Form */}
       <div className="bg-white rounded-4xl shadow-md">
         <div className="flex space-x-4 border-b px-6 pt-6">
-          {tabs.map((tab, index) => (
+          {TABS.map((tab, index) => (
             <button
               key={index}
               className={`px-4 py-2 text-sm font-medium border-b-2 focus:outline-none transition-colors ${
@@ -506,6 +753,13 @@ const TaxCalculator = () => {
 
         <div className="p-6">{renderTabContent()}</div>
 
+        {hasInvalidAmounts && (
+          <p className="px-6 pb-4 text-sm text-red-600">
+            Some amounts could not be read. Fix the fields marked in red, then
+            press Calculate.
+          </p>
+        )}
+
         <div className="flex flex-col sm:flex-row justify-between p-4 sm:p-6 border-t gap-2 sm:gap-0">
           {activeTab > 0 && (
             <button
@@ -515,7 +769,7 @@ const TaxCalculator = () => {
               Back
             </button>
           )}
-          {activeTab < tabs.length - 1 ? (
+          {activeTab < TABS.length - 1 ? (
             <button
               className="w-full sm:w-auto px-6 sm:px-12 py-2.5 bg-purple-500 text-white rounded-md hover:bg-purple-700 transition-colors"
               onClick={() => setActiveTab((prev) => prev + 1)}
@@ -536,6 +790,20 @@ const TaxCalculator = () => {
       {/* Results Dashboard */}
       {showDashboard && (
         <div className="space-y-6">
+          <RegimeComparison comparison={comparison} />
+          <ItrFormSelector
+            formData={calculation.formData}
+            regime={selectedRegime}
+            onBusinessIncomeChange={(checked) =>
+              handleInterestInputChange("hasBusinessIncome", checked)
+            }
+          />
+          <ComputationExport
+            formData={calculation.formData}
+            result={taxResults}
+            name={getActiveProfile(profiles).name}
+          />
+
           {/* Income Summary Cards */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div className="bg-white p-6 rounded-lg shadow-md">
@@ -543,6 +811,9 @@ const TaxCalculator = () => {
               <p className="text-3xl font-bold mt-2">
                 ₹{taxResults.totalIncome.toLocaleString("en-IN")}
               </p>
+              {taxResults.houseProperty && (
+                <HousePropertySummary houseProperty={taxResults.houseProperty} />
+              )}
             </div>
             <div className="bg-white p-6 rounded-lg shadow-md">
               <h3 className="text-gray-600">Taxable Income</h3>
@@ -643,14 +914,51 @@ const TaxCalculator = () => {
                     ₹{taxResults.taxPayable.toLocaleString("en-IN")}
                   </p>
                   <div className="mt-4 space-y-2">
+                    <div className="flex justify-between">
+                      <span>Tax on Slabs</span>
+                      <span>₹{taxResults.slabTax.toLocaleString("en-IN")}</span>
+                    </div>
+                    {taxResults.specialRateIncome?.map((item) => (
+                      <div key={item.key} className="flex justify-between">
+                        <span>
+                          Tax on {item.label} @ {+(item.rate * 100).toFixed(2)}% (
+                          {item.section})
+                          {item.basicExemptionUsed > 0 &&
+                            `, after ₹${item.basicExemptionUsed.toLocaleString("en-IN")} of unused basic exemption`}
+                        </span>
+                        <span>₹{item.tax.toLocaleString("en-IN")}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between">
+                      <span>Rebate u/s 87A</span>
+                      <span>-₹{taxResults.rebate87A.toLocaleString("en-IN")}</span>
+                    </div>
+                    {taxResults.rebateMarginalRelief > 0 && (
+                      <div className="flex justify-between">
+                        <span>Marginal Relief on 87A</span>
+                        <span>-₹{taxResults.rebateMarginalRelief.toLocaleString("en-IN")}</span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span>Income Tax</span>
                       <span>₹{taxResults.incomeTax.toLocaleString("en-IN")}</span>
                     </div>
                     <div className="flex justify-between">
-                      <span>Surcharge</span>
+                      <span>
+                        Surcharge
+                        {taxResults.surchargeDetails.rate > 0 &&
+                          ` @ ${Math.round(taxResults.surchargeDetails.rate * 100)}% (income above ₹${taxResults.surchargeDetails.threshold.toLocaleString("en-IN")})`}
+                      </span>
                       <span>₹{taxResults.surcharge.toLocaleString("en-IN")}</span>
                     </div>
+                    {taxResults.surchargeDetails.marginalRelief > 0 && (
+                      <div className="flex justify-between text-sm text-gray-600">
+                        <span>
+                          Includes marginal relief of ₹
+                          {Math.round(taxResults.surchargeDetails.marginalRelief).toLocaleString("en-IN")}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span>Health &amp; Education Cess</span>
                       <span>₹{taxResults.healthEducationCess.toLocaleString("en-IN")}</span>
@@ -660,6 +968,25 @@ const TaxCalculator = () => {
               </div>
             </div>
           </div>
+
+          <TaxSettlement
+            result={taxResults}
+            interest={interest}
+            onFilingDateChange={(date) =>
+              handleInterestInputChange("filingDate", date)
+            }
+          />
+          <SlabBreakdown result={taxResults} />
+          <AdvanceTaxPlanner
+            result={taxResults}
+            interest={interest}
+            payments={formData.advanceTaxPayments}
+            hasBusinessIncome={formData.hasBusinessIncome}
+            onPaymentsChange={handleAdvanceTaxPaymentsChange}
+            onBusinessIncomeChange={(checked) =>
+              handleInterestInputChange("hasBusinessIncome", checked)
+            }
+          />
         </div>
       )}
     </div>
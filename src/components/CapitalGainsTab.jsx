@@ -0,0 +1,157 @@
+import { Trash2 } from "lucide-react";
+import AmountInput from "./AmountInput";
+import BrokerImport from "./BrokerImport";
+import {
+  ASSET_TYPES,
+  computeCapitalGains,
+  createTransaction,
+} from "../tax/capitalGains";
+
+const inputClass =
+  "mt-1 block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatAmount = (value) =>
+  `${value < 0 ? "-" : ""}₹${Math.abs(Math.round(value)).toLocaleString("en-IN")}`;
+
+const describeRow = (row) => {
+  if (row.error) return row.error;
+  const term = row.term === "long" ? "Long-term" : "Short-term";
+  const taxedAt = row.section
+    ? `${+(row.rate * 100).toFixed(2)}% u/s ${row.section}`
+    : "slab rates";
+  const indexation = row.indexedCost
+    ? ` (indexed cost ${formatAmount(row.indexedCost)})`
+    : "";
+  return `${term} gain of ${formatAmount(row.gain)}${indexation}, taxed at ${taxedAt}.`;
+};
+
+/**
+ * Capital gains tab: one row per sale. Each row is classified as it is
+ * typed so users see the holding period and rate that will apply.
+ */
+const CapitalGainsTab = ({ transactions, financialYear, onChange }) => {
+  const summary = computeCapitalGains(transactions, financialYear);
+
+  const updateRow = (index, field, value) =>
+    onChange(
+      transactions.map((txn, i) =>
+        i === index ? { ...txn, [field]: value } : txn,
+      ),
+    );
+
+  const amountInput = (index, field, label) => (
+    <label className="block">
+      <span className="text-sm text-gray-700">{label}</span>
+      <AmountInput
+        value={transactions[index][field]}
+        onChange={(amount) => updateRow(index, field, amount)}
+        placeholder="₹"
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Enter each sale made during {financialYear}. Equity is long-term after
+        12 months; most other assets after 24 months. Rates follow the sale
+        date, including the changes from 23 July 2024.
+      </p>
+
+      <BrokerImport
+        onImport={(imported) => onChange([...transactions, ...imported])}
+      />
+
+      {transactions.map((txn, index) => (
+        <div
+          key={index}
+          className="rounded-lg border border-gray-200 p-4 space-y-3"
+        >
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="block">
+              <span className="text-sm text-gray-700">Asset Type</span>
+              <select
+                className={inputClass}
+                value={txn.assetType}
+                onChange={(e) => updateRow(index, "assetType", e.target.value)}
+              >
+                {Object.entries(ASSET_TYPES).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-sm text-gray-700">Buy Date</span>
+              <input
+                type="date"
+                className={inputClass}
+                value={txn.buyDate}
+                onChange={(e) => updateRow(index, "buyDate", e.target.value)}
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm text-gray-700">Sell Date</span>
+              <input
+                type="date"
+                className={inputClass}
+                value={txn.sellDate}
+                onChange={(e) => updateRow(index, "sellDate", e.target.value)}
+              />
+            </label>
+            {amountInput(index, "buyValue", "Cost of Acquisition")}
+            {amountInput(index, "sellValue", "Sale Value")}
+            {amountInput(index, "expenses", "Transfer Expenses")}
+          </div>
+          <div className="flex items-center justify-between gap-4">
+            <p
+              className={`text-sm ${
+                summary.transactions[index].error
+                  ? "text-amber-700"
+                  : "text-gray-700"
+              }`}
+            >
+              {describeRow(summary.transactions[index])}
+            </p>
+            <button
+              type="button"
+              className="text-gray-500 hover:text-red-600"
+              onClick={() =>
+                onChange(transactions.filter((_, i) => i !== index))
+              }
+              aria-label="Remove transaction"
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+        onClick={() => onChange([...transactions, createTransaction()])}
+      >
+        + Add Transaction
+      </button>
+
+      {summary.exemption112A > 0 && (
+        <p className="text-sm text-gray-600">
+          112A exemption used: {formatAmount(summary.exemption112A)}.
+        </p>
+      )}
+      {(summary.carryForwardLoss.shortTerm > 0 ||
+        summary.carryForwardLoss.longTerm > 0) && (
+        <p className="text-sm text-amber-700">
+          Losses carried forward: short-term{" "}
+          {formatAmount(summary.carryForwardLoss.shortTerm)}, long-term{" "}
+          {formatAmount(summary.carryForwardLoss.longTerm)}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CapitalGainsTab;
@@ -0,0 +1,141 @@
+import { useState } from "react";
+import { FileDown } from "lucide-react";
+import { buildComputation } from "../tax/computationSheet";
+
+const PAGE = { left: 15, right: 195, bottom: 280 };
+// Right edges of the two amount columns: items, then head totals.
+const ITEM_COLUMN = 160;
+const TOTAL_COLUMN = PAGE.right;
+
+// jsPDF's built-in fonts have no rupee sign.
+const toPdfText = (text) => `${text}`.replace(/₹/g, "Rs. ");
+
+const formatPdfAmount = (amount) => {
+  const text = Math.abs(Math.round(amount)).toLocaleString("en-IN");
+  return amount < 0 ? `(${text})` : text;
+};
+
+/**
+ * Draws the computation on A4 pages with jsPDF, loaded only when a sheet
+ * is exported.
+ */
+const renderPdf = async ({ title, details, sections }) => {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  let y = 20;
+
+  const ensureSpace = (height) => {
+    if (y + height <= PAGE.bottom) return;
+    doc.addPage();
+    y = 20;
+  };
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(14);
+  doc.text(title, PAGE.left, y);
+  y += 8;
+
+  doc.setFontSize(10);
+  details.forEach(([label, value]) => {
+    doc.setFont("helvetica", "bold");
+    doc.text(`${label}:`, PAGE.left, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(toPdfText(value), PAGE.left + 35, y);
+    y += 5;
+  });
+  doc.text("Amounts in Rs.", TOTAL_COLUMN, y, { align: "right" });
+  y += 3;
+  doc.line(PAGE.left, y, PAGE.right, y);
+  y += 7;
+
+  sections.forEach(({ heading, rows }) => {
+    ensureSpace(heading ? 12 : 7);
+    if (heading) {
+      doc.setFont("helvetica", "bold");
+      doc.text(heading, PAGE.left, y);
+      y += 6;
+    }
+    rows.forEach(({ label, amount, total }) => {
+      const lines = doc.splitTextToSize(toPdfText(label), ITEM_COLUMN - 50);
+      ensureSpace(lines.length * 5 + 1);
+      doc.setFont("helvetica", total ? "bold" : "normal");
+      doc.text(lines, PAGE.left + (total ? 0 : 5), y);
+      doc.text(formatPdfAmount(amount), total ? TOTAL_COLUMN : ITEM_COLUMN, y, {
+        align: "right",
+      });
+      y += lines.length * 5;
+    });
+    y += 4;
+  });
+
+  ensureSpace(10);
+  doc.setFont("helvetica", "italic");
+  doc.setFontSize(8);
+  doc.text(
+    "Estimate prepared with the TaxHummer calculator from the figures " +
+      "entered. Check it before filing.",
+    PAGE.left,
+    y + 4,
+  );
+  return doc;
+};
+
+/**
+ * "Export computation": downloads `result`, the computation on screen, as
+ * a PDF. `formData` must be the figures `result` was worked out from.
+ * `name` (the profile) heads the sheet and names the file.
+ */
+const ComputationExport = ({ formData, result, name }) => {
+  const [busy, setBusy] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setFailed(false);
+    try {
+      const date = new Date().toLocaleDateString("en-IN", {
+        dateStyle: "medium",
+      });
+      const doc = await renderPdf(
+        buildComputation(formData, result, { name, date }),
+      );
+      const slug = `${name || "tax"}`.replace(/[^\w-]+/g, "-");
+      const year = result.financialYear.replace(/\s+/g, "");
+      doc.save(`computation-${slug}-${year}-${result.regime}.pdf`);
+    } catch {
+      setFailed(true);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md flex flex-wrap items-center justify-between gap-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800">
+          Computation sheet
+        </h3>
+        <p className="text-sm text-gray-600">
+          Income heads, deductions, slab-wise tax and taxes paid for the{" "}
+          {result.regime} regime, as a PDF.
+        </p>
+        {failed && (
+          <p className="mt-1 text-sm text-red-600">
+            The PDF could not be created. Try again.
+          </p>
+        )}
+      </div>
+      <button
+        type="button"
+        className="flex items-center gap-2 px-6 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+        onClick={handleExport}
+        disabled={busy}
+      >
+        <FileDown className="h-5 w-5" />
+        {busy ? "Preparing…" : "Export computation"}
+      </button>
+    </div>
+  );
+};
+
+export default ComputationExport;
@@ -0,0 +1,120 @@
+import { Trash2 } from "lucide-react";
+import { createEmployer, sumEmployers } from "../tax/employers";
+import AmountInput from "./AmountInput";
+
+const inputClass =
+  "mt-1 block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatAmount = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+
+const AMOUNT_FIELDS = [
+  ["salary", "Gross Salary"],
+  ["basicSalary", "Basic + DA"],
+  ["exemptAllowances", "Exempt Allowances"],
+  ["tds", "TDS (Part A)"],
+];
+
+/**
+ * Salary from each employer in the year, one row per Form 16. Totals feed
+ * the salary fields; `check` is the multiple-employer shortfall estimate.
+ */
+const EmployerSalaries = ({ employers, check, onChange }) => {
+  const totals = sumEmployers(employers);
+
+  const updateRow = (index, field, value) =>
+    onChange(
+      employers.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    );
+
+  return (
+    <div className="md:col-span-2 rounded-lg border border-purple-200 bg-purple-50 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-purple-900">Salary by Employer</h3>
+        <button
+          type="button"
+          className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+          onClick={() => onChange([...employers, createEmployer()])}
+        >
+          + Add Employer
+        </button>
+      </div>
+      {employers.length === 0 && (
+        <p className="text-sm text-gray-600">
+          Changed jobs this year? Add each employer from its Form 16 and the
+          salary and TDS fields below are filled with the totals.
+        </p>
+      )}
+
+      {employers.map((row, index) => (
+        <div
+          key={index}
+          className="grid grid-cols-1 md:grid-cols-3 gap-3 rounded-lg border border-gray-200 bg-white p-3"
+        >
+          <label className="block">
+            <span className="text-sm text-gray-700">Employer</span>
+            <input
+              type="text"
+              className={inputClass}
+              value={row.name}
+              placeholder={`Employer ${index + 1}`}
+              onChange={(e) => updateRow(index, "name", e.target.value)}
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm text-gray-700">TAN</span>
+            <input
+              type="text"
+              className={inputClass}
+              value={row.tan}
+              onChange={(e) =>
+                updateRow(index, "tan", e.target.value.toUpperCase())
+              }
+            />
+          </label>
+          {AMOUNT_FIELDS.map(([field, label]) => (
+            <label key={field} className="block">
+              <span className="text-sm text-gray-700">{label}</span>
+              <AmountInput
+                className={inputClass}
+                value={row[field]}
+                placeholder="₹"
+                onChange={(amount) => updateRow(index, field, amount)}
+              />
+            </label>
+          ))}
+          <div className="flex items-end justify-end">
+            <button
+              type="button"
+              className="text-gray-500 hover:text-red-600"
+              onClick={() => onChange(employers.filter((_, i) => i !== index))}
+              aria-label="Remove employer"
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {employers.length > 1 && (
+        <div className="space-y-2 text-sm">
+          <p className="text-gray-700">
+            Combined salary {formatAmount(totals.salary)}, TDS{" "}
+            {formatAmount(totals.tds)}. The standard deduction is taken once on
+            the combined salary, even though each Form 16 deducts it.
+          </p>
+          {check?.shortfall > 0 && (
+            <p className="rounded-md bg-amber-100 px-3 py-2 text-amber-800">
+              Each employer deducted tax as if its salary were your only income
+              {check.rebateEmployers > 1 &&
+                `, and ${check.rebateEmployers} of them allowed the 87A rebate`}
+              . About {formatAmount(check.shortfall)} more tax on salary is due
+              when you file.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmployerSalaries;
@@ -0,0 +1,359 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { isAmount } from "../tax/amounts";
+import { applyForm16, parseForm16 } from "../tax/form16";
+import { createFormData } from "../tax/formData";
+import { FINANCIAL_YEARS } from "../tax/rules";
+import AmountInput from "./AmountInput";
+
+const inputClass =
+  "block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const CONFIDENCE_STYLES = {
+  high: "bg-green-100 text-green-800",
+  medium: "bg-amber-100 text-amber-800",
+  low: "bg-red-100 text-red-800",
+};
+
+// Review fields that are not amounts.
+const IDENTIFIER_KEYS = ["employerTan", "employeePan", "financialYear"];
+
+// Text items whose baselines are this close are printed on the same line.
+const LINE_TOLERANCE = 3;
+
+/**
+ * Extracts the text of a PDF in the browser, one printed line per line.
+ */
+const extractPdfText = async (file, password) => {
+  const pdfjs = await import("pdfjs-dist");
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+  const pdf = await pdfjs.getDocument({
+    data: await file.arrayBuffer(),
+    password,
+  }).promise;
+
+  const lines = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    const rows = [];
+    items
+      .filter(({ str }) => str.trim())
+      .map(({ str, transform }) => ({ str, x: transform[4], y: transform[5] }))
+      .sort((a, b) => b.y - a.y)
+      .forEach((item) => {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(row.y - item.y) <= LINE_TOLERANCE) {
+          row.items.push(item);
+        } else {
+          rows.push({ y: item.y, items: [item] });
+        }
+      });
+    rows.forEach((row) =>
+      lines.push(
+        row.items
+          .sort((a, b) => a.x - b.x)
+          .map(({ str }) => str)
+          .join(" "),
+      ),
+    );
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Form 16 upload and review. The PDF is read in the browser; extracted
+ * fields are listed with their confidence so users can correct them before
+ * they pre-fill the calculator.
+ */
+const Form16Upload = () => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [password, setPassword] = useState("");
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [pastedText, setPastedText] = useState("");
+  const [fields, setFields] = useState(null);
+  const [error, setError] = useState("");
+  const [isReading, setIsReading] = useState(false);
+  // Earlier Form 16s of a job changer, already applied.
+  const [formData, setFormData] = useState(createFormData);
+
+  const review = (text) => {
+    const parsed = parseForm16(text);
+    if (parsed.every(({ value }) => value === null)) {
+      setError(
+        "No Form 16 details were found. Scanned PDFs have no text to read; paste the text below or enter the figures in the calculator.",
+      );
+      return;
+    }
+    setError("");
+    setFields(parsed);
+  };
+
+  const readPdf = async (selected, pdfPassword) => {
+    setIsReading(true);
+    try {
+      review(await extractPdfText(selected, pdfPassword));
+      setNeedsPassword(false);
+    } catch (err) {
+      if (err.name === "PasswordException") {
+        setNeedsPassword(true);
+        setError(
+          pdfPassword
+            ? "That password did not open the PDF."
+            : "This Form 16 is password protected.",
+        );
+      } else {
+        setError("Could not read this PDF. Try pasting its text instead.");
+      }
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    setFile(selected);
+    setFields(null);
+    setPassword("");
+    setNeedsPassword(false);
+    if (selected.type === "application/pdf" || /\.pdf$/i.test(selected.name)) {
+      readPdf(selected);
+    } else {
+      selected
+        .text()
+        .then(review)
+        .catch(() =>
+          setError("Could not read this file. Try pasting its text instead."),
+        );
+    }
+  };
+
+  const updateField = (key, value) =>
+    setFields((prev) =>
+      prev.map((field) =>
+        field.key === key ? { ...field, value, edited: true } : field,
+      ),
+    );
+
+  const hasInvalidAmounts = fields?.some(
+    ({ key, value }) => !IDENTIFIER_KEYS.includes(key) && !isAmount(value),
+  );
+
+  const handleContinue = (path) =>
+    navigate(path, { state: { formData: applyForm16(formData, fields) } });
+
+  const handleAddAnother = () => {
+    setFormData(applyForm16(formData, fields));
+    setFields(null);
+    setFile(null);
+    setPastedText("");
+  };
+
+  if (fields) {
+    return (
+      <div className="w-full max-w-4xl bg-white p-4 sm:p-6 rounded-lg shadow-lg space-y-4">
+        <h2 className="text-xl sm:text-2xl font-bold text-purple-700">
+          Review your Form 16
+        </h2>
+        <p className="text-sm text-gray-600">
+          Check each figure against your Form 16. Fields marked medium or low
+          confidence, or not found, need a closer look.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                <th className="px-2 py-2">Field</th>
+                <th className="px-2 py-2">Value</th>
+                <th className="px-2 py-2">Confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => (
+                <tr
+                  key={field.key}
+                  className={`border-t align-top ${
+                    field.confidence === "high" || field.edited
+                      ? ""
+                      : "bg-amber-50"
+                  }`}
+                >
+                  <td className="px-2 py-2">
+                    <div className="font-semibold">{field.label}</div>
+                    <div className="text-xs text-gray-500">Part {field.part}</div>
+                  </td>
+                  <td className="px-2 py-2">
+                    {field.key === "financialYear" ? (
+                      <select
+                        className={inputClass}
+                        value={field.value ?? ""}
+                        onChange={(e) => updateField(field.key, e.target.value)}
+                      >
+                        <option value="">Not found</option>
+                        {FINANCIAL_YEARS.map((fy) => (
+                          <option key={fy} value={fy}>
+                            {fy}
+                          </option>
+                        ))}
+                      </select>
+                    ) : IDENTIFIER_KEYS.includes(field.key) ? (
+                      <input
+                        type="text"
+                        className={inputClass}
+                        value={field.value ?? ""}
+                        placeholder="Not found"
+                        onChange={(e) =>
+                          updateField(field.key, e.target.value.toUpperCase())
+                        }
+                      />
+                    ) : (
+                      <AmountInput
+                        className={inputClass}
+                        value={field.value ?? ""}
+                        placeholder="Not found"
+                        onChange={(amount) => updateField(field.key, amount)}
+                      />
+                    )}
+                    {field.source && (
+                      <div className="mt-1 text-xs text-gray-500 break-words">
+                        From: “{field.source}”
+                      </div>
+                    )}
+                    {field.note && (
+                      <div className="mt-1 text-xs text-amber-700">
+                        {field.note}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-2 py-2">
+                    {field.edited ? (
+                      <span className="rounded-full px-2 py-1 text-xs bg-purple-100 text-purple-800">
+                        Edited
+                      </span>
+                    ) : field.confidence ? (
+                      <span
+                        className={`rounded-full px-2 py-1 text-xs capitalize ${
+                          CONFIDENCE_STYLES[field.confidence]
+                        }`}
+                      >
+                        {field.confidence}
+                      </span>
+                    ) : (
+                      <span className="rounded-full px-2 py-1 text-xs bg-gray-100 text-gray-600">
+                        Not found
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            className="px-6 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+            disabled={hasInvalidAmounts}
+            onClick={() => handleContinue("/itrfiling/manual")}
+          >
+            Continue to Filing
+          </button>
+          <button
+            type="button"
+            className="px-6 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors disabled:opacity-50"
+            disabled={hasInvalidAmounts}
+            onClick={() => handleContinue("/taxcalculator")}
+          >
+            Open in Tax Calculator
+          </button>
+          <button
+            type="button"
+            className="px-6 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors disabled:opacity-50"
+            disabled={hasInvalidAmounts}
+            onClick={handleAddAnother}
+          >
+            Add another Form 16 (changed jobs)
+          </button>
+          <button
+            type="button"
+            className="px-6 py-2 text-gray-700 hover:text-gray-900"
+            onClick={() => setFields(null)}
+          >
+            Upload a different Form 16
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-2xl bg-white p-4 sm:p-6 rounded-lg shadow-lg space-y-4">
+      <h2 className="text-xl sm:text-2xl font-bold text-purple-700">
+        Upload your Form 16
+      </h2>
+      <p className="text-sm text-gray-600">
+        Upload the Form 16 PDF (Part A and Part B) from your employer. It is
+        read in your browser and never uploaded. We pick out your employer&apos;s
+        TAN, gross salary, section 10 exemptions, Chapter VI-A deductions and
+        TDS for you to review.
+      </p>
+      {formData.employers.length > 0 && (
+        <p className="rounded-md bg-purple-50 px-4 py-2 text-sm text-purple-900">
+          {formData.employers.length} Form 16 added. Upload the Form 16 from
+          your next employer.
+        </p>
+      )}
+      <input
+        key={formData.employers.length}
+        type="file"
+        accept=".pdf,.txt,application/pdf,text/plain"
+        onChange={handleFile}
+        className="block text-sm"
+      />
+      {isReading && <p className="text-sm text-gray-600">Reading {file.name}…</p>}
+      {needsPassword && (
+        <div className="flex gap-3">
+          <input
+            type="password"
+            className={inputClass}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="PDF password"
+          />
+          <button
+            type="button"
+            className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+            onClick={() => readPdf(file, password)}
+          >
+            Open
+          </button>
+        </div>
+      )}
+      {error && <p className="text-sm text-amber-700">{error}</p>}
+
+      <label className="block">
+        <span className="text-sm text-gray-700">
+          Or paste the text of your Form 16
+        </span>
+        <textarea
+          className="mt-1 block w-full h-32 rounded-lg border border-gray-300 p-3 text-sm focus:border-purple-500 focus:ring focus:ring-purple-200"
+          value={pastedText}
+          onChange={(e) => setPastedText(e.target.value)}
+        />
+      </label>
+      <button
+        type="button"
+        className="px-6 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+        disabled={!pastedText.trim()}
+        onClick={() => review(pastedText)}
+      >
+        Read pasted text
+      </button>
+    </div>
+  );
+};
+
+export default Form16Upload;
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { computeHraExemption } from "../tax/hra";
+import AmountInput from "./AmountInput";
+
+const inputClass =
+  "pl-12 block w-full h-12 rounded-lg border border-gray-300 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatAmount = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+
+/**
+ * Inline Section 10(13A) calculator. Shows the three amounts the exemption
+ * is the least of and lets the user claim it; the engine then deducts it
+ * alongside the Exempt Allowances field rather than replacing it. For users
+ * without HRA it offers the rent as an 80GG claim instead.
+ */
+const HraCalculator = ({
+  basicSalary,
+  hraDetails,
+  hasEmployers,
+  onChange,
+  onApply80GG,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { candidates, exempt, limitingFactor } = computeHraExemption({
+    basicSalary,
+    ...hraDetails,
+  });
+  const receivesHra = Number(hraDetails.hraReceived) > 0;
+
+  const amountField = (field, label) => (
+    <label className="block">
+      <span className="text-gray-700">{label}</span>
+      <div className="relative mt-1">
+        <span className="absolute top-0 left-0 h-12 pl-2 flex items-center w-8 pointer-events-none text-white font-bold bg-purple-600 rounded-lg">
+          ₹
+        </span>
+        <AmountInput
+          value={hraDetails[field]}
+          onChange={(amount) => onChange(field, amount)}
+          placeholder="e.g., 2,40,000"
+          className={inputClass}
+        />
+      </div>
+    </label>
+  );
+
+  return (
+    <div className="md:col-span-2 rounded-lg border border-purple-200 bg-purple-50">
+      <button
+        type="button"
+        className="w-full px-4 py-3 text-left font-semibold text-purple-900"
+        onClick={() => setIsOpen((prev) => !prev)}
+      >
+        {isOpen ? "▾" : "▸"} Calculate HRA exemption (Section 10(13A))
+      </button>
+
+      {isOpen && (
+        <div className="space-y-4 px-4 pb-4">
+          <p className="text-sm text-gray-600">
+            Uses Basic Salary + DA from above:{" "}
+            {formatAmount(Number(basicSalary) || 0)}.
+            {hasEmployers &&
+              " With more than one employer, enter the HRA received from all of them together."}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {amountField("hraReceived", "HRA Received (annual)")}
+            {amountField("rentPaid", "Rent Paid (annual)")}
+          </div>
+          <label className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              className="h-5 w-5 accent-purple-600"
+              checked={Boolean(hraDetails.metroCity)}
+              onChange={(e) => onChange("metroCity", e.target.checked)}
+            />
+            <span className="text-gray-800">
+              I live in a metro city (Delhi, Mumbai, Kolkata, Chennai)
+            </span>
+          </label>
+
+          {receivesHra ? (
+            <div className="space-y-2">
+              {candidates.map(({ key, label, amount }) => (
+                <div
+                  key={key}
+                  className={`flex justify-between ${
+                    key === limitingFactor ? "font-semibold text-purple-900" : ""
+                  }`}
+                >
+                  <span>{label}</span>
+                  <span>{formatAmount(amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between border-t pt-2 font-bold">
+                <span>HRA Exemption (least of the above)</span>
+                <span>{formatAmount(exempt)}</span>
+              </div>
+              <label className="flex items-center gap-3 pt-2">
+                <input
+                  type="checkbox"
+                  className="h-5 w-5 accent-purple-600"
+                  checked={Boolean(hraDetails.claimExemption)}
+                  onChange={(e) => onChange("claimExemption", e.target.checked)}
+                />
+                <span className="text-gray-800">
+                  Claim this HRA exemption (Old Regime)
+                </span>
+              </label>
+              <p className="text-sm text-gray-600">
+                It is deducted on top of Exempt Allowances, so leave HRA out
+                of that figure
+                {hasEmployers ? " and out of each employer's" : ""}.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-700">
+                No HRA? Rent you pay can be claimed under Section 80GG (Old
+                Regime): the least of ₹5,000 a month, 25% of adjusted total
+                income, or rent over 10% of that income.
+              </p>
+              <button
+                type="button"
+                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+                disabled={!Number(hraDetails.rentPaid)}
+                onClick={() => onApply80GG(hraDetails.rentPaid)}
+              >
+                Claim rent under 80GG
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HraCalculator;
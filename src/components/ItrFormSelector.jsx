@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  BUSINESS_INCOME_TYPES,
+  ITR_FORMS,
+  PLAN_TITLES,
+  profileFromFormData,
+  recommendItrForm,
+} from "../tax/itrForm";
+
+const QUESTIONS = [
+  ["foreignAssets", "I have foreign assets or foreign income"],
+  ["director", "I was a director in a company"],
+  ["unlistedShares", "I held unlisted equity shares"],
+  ["multipleHouseProperties", "I own more than one house property"],
+  ["agriculturalIncomeOver5000", "My agricultural income is above ₹5,000"],
+];
+
+/**
+ * Recommends the ITR form. Income, capital gains and house property are
+ * read from `formData`, the calculated figures; the questions below cover
+ * what the calculator does not ask. Whether there is business income is
+ * the calculator's answer, so `onBusinessIncomeChange` hands a change back.
+ */
+const ItrFormSelector = ({ formData, regime, onBusinessIncomeChange }) => {
+  const [answers, setAnswers] = useState({
+    // The kind of business income, once there is some.
+    businessIncome: "regular",
+    foreignAssets: false,
+    director: false,
+    unlistedShares: false,
+    multipleHouseProperties: false,
+    agriculturalIncomeOver5000: false,
+  });
+
+  const seed = profileFromFormData(formData, regime);
+  const { multipleHouseProperties, ...rest } = answers;
+  const businessIncome =
+    seed.businessIncome === "none" ? "none" : answers.businessIncome;
+  const { form, reasons, plan } = recommendItrForm({
+    ...seed,
+    ...rest,
+    businessIncome,
+    unlistedShares: seed.unlistedShares || answers.unlistedShares,
+    houseProperties: multipleHouseProperties
+      ? Math.max(2, seed.houseProperties)
+      : seed.houseProperties,
+  });
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <h3 className="text-lg font-semibold">Which ITR form should you file?</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="block md:col-span-2">
+          <span className="text-gray-700">Business or professional income</span>
+          <select
+            className="mt-1 block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200"
+            value={businessIncome}
+            onChange={(e) => {
+              const { value } = e.target;
+              if (value !== "none") {
+                setAnswers((prev) => ({ ...prev, businessIncome: value }));
+              }
+              onBusinessIncomeChange(value !== "none");
+            }}
+          >
+            {Object.entries(BUSINESS_INCOME_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {QUESTIONS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              className="h-5 w-5 accent-purple-600"
+              checked={answers[key]}
+              onChange={(e) =>
+                setAnswers((prev) => ({ ...prev, [key]: e.target.checked }))
+              }
+            />
+            <span className="text-gray-800">{label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="rounded-lg bg-purple-50 p-4 space-y-2">
+        <div className="text-xl font-bold text-purple-900">
+          File {ITR_FORMS[form]}
+        </div>
+        <ul className="list-disc ml-5 text-sm text-gray-700">
+          {reasons.map((reason) => (
+            <li key={reason}>{reason}</li>
+          ))}
+        </ul>
+        <Link
+          to={`/plans#${plan}`}
+          className="inline-block mt-2 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+        >
+          See the {PLAN_TITLES[plan]} plan →
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ItrFormSelector;
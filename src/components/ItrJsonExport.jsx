@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { FILING_STEPS } from "../tax/filing";
+import { profileFromFormData, recommendItrForm } from "../tax/itrForm";
+import { EXPORTABLE_FORMS, exportItr, getItrFileName } from "../tax/itrJson";
+
+const downloadJson = (json, fileName) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(json, null, 2)], { type: "application/json" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports the return as draft ITR-1 or ITR-2 JSON, for reference while
+ * filing. The file is checked first; errors are listed against the wizard
+ * field they came from, with a link back to its step.
+ */
+const ItrJsonExport = ({ formData, regime, onGoToStep }) => {
+  const recommended = recommendItrForm(
+    profileFromFormData(formData, regime),
+  ).form;
+  const [form, setForm] = useState(
+    EXPORTABLE_FORMS.includes(recommended) ? recommended : "ITR-2",
+  );
+  const [errors, setErrors] = useState(null);
+
+  const handleExport = () => {
+    const { json, errors: found } = exportItr(formData, regime, form);
+    // The same input can break several parts of the file; list it once.
+    const unique = found.filter(
+      (error, index) =>
+        !error.field ||
+        found.findIndex(
+          (other) =>
+            other.field === error.field && other.message === error.message,
+        ) === index,
+    );
+    setErrors(unique);
+    if (!unique.length) downloadJson(json, getItrFileName(formData, form));
+  };
+
+  const stepIndex = (key) => FILING_STEPS.findIndex((step) => step.key === key);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <h3 className="text-lg font-semibold text-gray-800">
+        Download Draft ITR JSON
+      </h3>
+      <p className="rounded-md bg-amber-100 px-3 py-2 text-sm text-amber-800">
+        Draft for reference only. It cannot be imported or uploaded: it has
+        not been validated against the department&apos;s published schema
+        and has no registered software ID. Use its figures to fill in your
+        return on the e-filing portal.
+      </p>
+      {!EXPORTABLE_FORMS.includes(recommended) && (
+        <p className="rounded-md bg-amber-100 px-3 py-2 text-sm text-amber-800">
+          Your return needs {recommended}, which cannot be exported yet. Only
+          ITR-1 and ITR-2 files are generated here.
+        </p>
+      )}
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          className="h-10 rounded-lg border border-gray-300 px-3"
+          value={form}
+          onChange={(e) => {
+            setForm(e.target.value);
+            setErrors(null);
+          }}
+        >
+          {EXPORTABLE_FORMS.map((option) => (
+            <option key={option} value={option}>
+              {option}
+              {option === recommended ? " (recommended)" : ""}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+          onClick={handleExport}
+        >
+          Check & Download Draft
+        </button>
+      </div>
+      <p className="text-sm text-gray-600">
+        The file is checked against this app&apos;s partial copy of the {form}{" "}
+        schema, which covers only the fields filled in here.
+      </p>
+
+      {errors?.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-red-700">
+            Fix {errors.length} problem{errors.length > 1 ? "s" : ""} before
+            the file can be downloaded:
+          </p>
+          <ul className="divide-y divide-gray-200 rounded-lg border border-red-200 text-sm">
+            {errors.map((error) => (
+              <li
+                key={`${error.path}-${error.message}`}
+                className="flex flex-wrap items-center justify-between gap-2 px-3 py-2"
+              >
+                <span>
+                  <span className="font-medium text-gray-800">{error.label}</span>{" "}
+                  <span className="text-red-600">{error.message}</span>
+                  <span className="block text-xs text-gray-500">{error.path}</span>
+                </span>
+                {error.step !== "summary" && (
+                  <button
+                    type="button"
+                    className="text-purple-700 hover:underline"
+                    onClick={() => onGoToStep(stepIndex(error.step))}
+                  >
+                    Go to {FILING_STEPS[stepIndex(error.step)].label}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {errors?.length === 0 && (
+        <p className="text-sm text-green-700">
+          {getItrFileName(formData, form)} passed this app&apos;s checks and
+          was downloaded. Keep it beside you while filing on the portal.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ItrJsonExport;
@@ -0,0 +1,660 @@
+import { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { Trash2 } from "lucide-react";
+import { computeInterest, getFilingDueDate } from "../tax/advanceTax";
+import { compareRegimes } from "../tax/compare";
+import { computeTax } from "../tax/engine";
+import { applyEmployerTotals, checkMultipleEmployers } from "../tax/employers";
+import {
+  ACCOUNT_TYPES,
+  FILING_STEPS,
+  RESIDENTIAL_STATUSES,
+  clearFiling,
+  createBankAccount,
+  getAgeGroup,
+  loadFiling,
+  saveFiling,
+  validateStep,
+} from "../tax/filing";
+import { createFormData } from "../tax/formData";
+import { STATE_CODES } from "../tax/itrSchema";
+import {
+  INCOME_LABELS,
+  TAXES_PAID_LABELS,
+  getDeductionLabel,
+} from "../tax/labels";
+import { FINANCIAL_YEARS } from "../tax/rules";
+import AmountInput from "./AmountInput";
+import CapitalGainsTab from "./CapitalGainsTab";
+import EmployerSalaries from "./EmployerSalaries";
+import ItrFormSelector from "./ItrFormSelector";
+import ItrJsonExport from "./ItrJsonExport";
+import RegimeComparison from "./RegimeComparison";
+
+const inputClass =
+  "mt-1 block w-full h-12 rounded-lg border border-gray-300 px-4 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatAmount = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+
+const FieldError = ({ message }) =>
+  message ? <span className="mt-1 block text-sm text-red-600">{message}</span> : null;
+
+/**
+ * Step-by-step manual ITR preparation. Each step is validated before the
+ * next opens, and progress is saved in the browser after every change so
+ * the user can close the tab and resume.
+ */
+const ManualFilingWizard = () => {
+  const { pathname, state } = useLocation();
+  const navigate = useNavigate();
+  const [saved, setSaved] = useState(loadFiling);
+  // Figures passed in by the calculator or Form 16 upload. A saved return
+  // is resumed rather than overwritten; they are offered in its place.
+  const [incoming, setIncoming] = useState(() =>
+    saved && state?.formData ? state.formData : null,
+  );
+  const [activeStep, setActiveStep] = useState(saved?.activeStep ?? 0);
+  const [formData, setFormData] = useState(
+    () => saved?.formData || state?.formData || createFormData(),
+  );
+  const [regime, setRegime] = useState(saved?.regime || "new");
+  const [errors, setErrors] = useState({});
+  const [hasSaveFailed, setHasSaveFailed] = useState(false);
+
+  // History state survives a reload; drop it once read so a reload resumes
+  // the saved return instead of applying the figures again.
+  useEffect(() => {
+    if (state?.formData) navigate(pathname, { replace: true, state: null });
+  }, [state, pathname, navigate]);
+
+  useEffect(() => {
+    setHasSaveFailed(!saveFiling({ formData, activeStep, regime }));
+  }, [formData, activeStep, regime]);
+
+  const stepKey = FILING_STEPS[activeStep].key;
+
+  /**
+   * Moves to a step. Going forward needs every step before it to be valid;
+   * the first invalid one is opened with its errors.
+   */
+  const goTo = (target) => {
+    for (let step = activeStep; step < target; step += 1) {
+      const stepErrors = validateStep(FILING_STEPS[step].key, formData);
+      if (Object.keys(stepErrors).length) {
+        setActiveStep(step);
+        setErrors(stepErrors);
+        return;
+      }
+    }
+    setErrors({});
+    setActiveStep(target);
+  };
+
+  const handleUseIncoming = () => {
+    setFormData(incoming);
+    setIncoming(null);
+    setSaved(null);
+    setErrors({});
+    setActiveStep(0);
+  };
+
+  const handleStartOver = () => {
+    clearFiling();
+    setSaved(null);
+    setIncoming(null);
+    setFormData(createFormData());
+    setRegime("new");
+    setErrors({});
+    setActiveStep(0);
+  };
+
+  const update = (category, field, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      [category]: { ...prev[category], [field]: value },
+    }));
+
+  const updatePersonal = (field, value) =>
+    setFormData((prev) => {
+      const personalInfo = { ...prev.personalInfo, [field]: value };
+      return {
+        ...prev,
+        personalInfo,
+        ageGroup: personalInfo.dateOfBirth
+          ? getAgeGroup(personalInfo.dateOfBirth, prev.financialYear)
+          : prev.ageGroup,
+      };
+    });
+
+  const textField = (field, label, props = {}) => (
+    <label className="block">
+      <span className="text-gray-700">{label}</span>
+      <input
+        type="text"
+        className={inputClass}
+        value={formData.personalInfo[field]}
+        onChange={(e) => updatePersonal(field, e.target.value)}
+        {...props}
+      />
+      <FieldError message={errors[`personalInfo.${field}`]} />
+    </label>
+  );
+
+  const amountField = (category, field, label) => (
+    <label key={field} className="block">
+      <span className="text-gray-700">{label}</span>
+      <AmountInput
+        className={inputClass}
+        value={formData[category][field]}
+        onChange={(amount) => update(category, field, amount)}
+        error={errors[`${category}.${field}`]}
+        placeholder="₹"
+      />
+    </label>
+  );
+
+  const updateAccount = (index, field, value) =>
+    setFormData((prev) => ({
+      ...prev,
+      bankAccounts: prev.bankAccounts.map((account, i) => {
+        if (field === "refund") return { ...account, refund: i === index };
+        return i === index ? { ...account, [field]: value } : account;
+      }),
+    }));
+
+  const renderStep = () => {
+    switch (stepKey) {
+      case "personal":
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {textField("name", "Full Name (as on PAN)")}
+            {textField("fatherName", "Father's Name")}
+            <label className="block">
+              <span className="text-gray-700">Date of Birth</span>
+              <input
+                type="date"
+                className={inputClass}
+                value={formData.personalInfo.dateOfBirth}
+                onChange={(e) => updatePersonal("dateOfBirth", e.target.value)}
+              />
+              <FieldError message={errors["personalInfo.dateOfBirth"]} />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Financial Year</span>
+              <select
+                className={inputClass}
+                value={formData.financialYear}
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    financialYear: e.target.value,
+                    ageGroup: prev.personalInfo.dateOfBirth
+                      ? getAgeGroup(prev.personalInfo.dateOfBirth, e.target.value)
+                      : prev.ageGroup,
+                  }))
+                }
+              >
+                {FINANCIAL_YEARS.map((fy) => (
+                  <option key={fy} value={fy}>
+                    {fy}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Residential Status</span>
+              <select
+                className={inputClass}
+                value={formData.personalInfo.residentialStatus}
+                onChange={(e) =>
+                  updatePersonal("residentialStatus", e.target.value)
+                }
+              >
+                {Object.entries(RESIDENTIAL_STATUSES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {textField("email", "Email", { type: "email" })}
+            {textField("mobile", "Mobile Number", { inputMode: "numeric" })}
+            <label className="block md:col-span-2">
+              <span className="text-gray-700">
+                Address (flat or house, street, locality)
+              </span>
+              <textarea
+                className="mt-1 block w-full h-24 rounded-lg border border-gray-300 p-3 focus:border-purple-500 focus:ring focus:ring-purple-200"
+                value={formData.personalInfo.address}
+                onChange={(e) => updatePersonal("address", e.target.value)}
+              />
+              <FieldError message={errors["personalInfo.address"]} />
+            </label>
+            {textField("city", "City / District")}
+            <label className="block">
+              <span className="text-gray-700">State</span>
+              <select
+                className={inputClass}
+                value={formData.personalInfo.stateCode}
+                onChange={(e) => updatePersonal("stateCode", e.target.value)}
+              >
+                <option value="">Select state</option>
+                {Object.entries(STATE_CODES).map(([code, state]) => (
+                  <option key={code} value={code}>
+                    {state}
+                  </option>
+                ))}
+              </select>
+              <FieldError message={errors["personalInfo.stateCode"]} />
+            </label>
+            {textField("pinCode", "PIN Code", {
+              inputMode: "numeric",
+              maxLength: 6,
+            })}
+          </div>
+        );
+      case "pan":
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-gray-700">PAN</span>
+              <input
+                type="text"
+                className={inputClass}
+                value={formData.personalInfo.pan}
+                maxLength={10}
+                onChange={(e) => updatePersonal("pan", e.target.value.toUpperCase())}
+                placeholder="ABCPE1234F"
+              />
+              <FieldError message={errors["personalInfo.pan"]} />
+            </label>
+            {textField("aadhaar", "Aadhaar Number", {
+              inputMode: "numeric",
+              maxLength: 12,
+            })}
+            <p className="md:col-span-2 text-sm text-gray-600">
+              PAN must be linked with Aadhaar for the return to be processed.
+            </p>
+          </div>
+        );
+      case "bank":
+        return (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              List every bank account you held during the year. Any refund is
+              paid into the account you choose below.
+            </p>
+            {formData.bankAccounts.map((account, index) => (
+              <div
+                key={index}
+                className="grid grid-cols-1 md:grid-cols-2 gap-3 rounded-lg border border-gray-200 p-4"
+              >
+                <label className="block">
+                  <span className="text-gray-700">Bank Name</span>
+                  <input
+                    type="text"
+                    className={inputClass}
+                    value={account.bankName}
+                    onChange={(e) => updateAccount(index, "bankName", e.target.value)}
+                  />
+                  <FieldError message={errors[`bankAccounts.${index}.bankName`]} />
+                </label>
+                <label className="block">
+                  <span className="text-gray-700">IFSC</span>
+                  <input
+                    type="text"
+                    className={inputClass}
+                    value={account.ifsc}
+                    maxLength={11}
+                    onChange={(e) =>
+                      updateAccount(index, "ifsc", e.target.value.toUpperCase())
+                    }
+                  />
+                  <FieldError message={errors[`bankAccounts.${index}.ifsc`]} />
+                </label>
+                <label className="block">
+                  <span className="text-gray-700">Account Number</span>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    className={inputClass}
+                    value={account.accountNumber}
+                    onChange={(e) =>
+                      updateAccount(index, "accountNumber", e.target.value.trim())
+                    }
+                  />
+                  <FieldError
+                    message={errors[`bankAccounts.${index}.accountNumber`]}
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-gray-700">Account Type</span>
+                  <select
+                    className={inputClass}
+                    value={account.accountType}
+                    onChange={(e) =>
+                      updateAccount(index, "accountType", e.target.value)
+                    }
+                  >
+                    {Object.entries(ACCOUNT_TYPES).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="md:col-span-2 flex items-center justify-between">
+                  <label className="flex items-center gap-3">
+                    <input
+                      type="radio"
+                      name="refundAccount"
+                      className="h-5 w-5 accent-purple-600"
+                      checked={account.refund}
+                      onChange={() => updateAccount(index, "refund", true)}
+                    />
+                    <span className="text-gray-800">Pay my refund here</span>
+                  </label>
+                  <button
+                    type="button"
+                    className="text-gray-500 hover:text-red-600"
+                    onClick={() =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        bankAccounts: prev.bankAccounts.filter((_, i) => i !== index),
+                      }))
+                    }
+                    aria-label="Remove bank account"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <FieldError message={errors.bankAccounts} />
+            <button
+              type="button"
+              className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+              onClick={() =>
+                setFormData((prev) => ({
+                  ...prev,
+                  bankAccounts: [
+                    ...prev.bankAccounts,
+                    { ...createBankAccount(), refund: !prev.bankAccounts.length },
+                  ],
+                }))
+              }
+            >
+              + Add Bank Account
+            </button>
+          </div>
+        );
+      case "income":
+        return (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <EmployerSalaries
+                employers={formData.employers}
+                check={checkMultipleEmployers(formData, regime)}
+                onChange={(employers) =>
+                  setFormData((prev) => applyEmployerTotals({ ...prev, employers }))
+                }
+              />
+              {Object.entries(INCOME_LABELS).map(([field, label]) =>
+                amountField("incomeDetails", field, label),
+              )}
+            </div>
+            {Object.keys(errors)
+              .filter((key) => /^(employers|capitalGains)\./.test(key))
+              .map((key) => (
+                <FieldError key={key} message={errors[key]} />
+              ))}
+            <div>
+              <h3 className="mb-2 text-lg font-semibold text-gray-800">
+                Capital Gains
+              </h3>
+              <CapitalGainsTab
+                transactions={formData.capitalGains}
+                financialYear={formData.financialYear}
+                onChange={(capitalGains) =>
+                  setFormData((prev) => ({ ...prev, capitalGains }))
+                }
+              />
+            </div>
+          </div>
+        );
+      case "deductions": {
+        const { deductionDetails } = computeTax({ ...formData, regime });
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.keys(formData.deductions).map((field) => (
+              <div key={field}>
+                {amountField(
+                  "deductions",
+                  field,
+                  getDeductionLabel(field, formData.ageGroup),
+                )}
+                {deductionDetails[field]?.note && (
+                  <span className="mt-1 block text-sm text-amber-700">
+                    {deductionDetails[field].note} Allowed:{" "}
+                    {formatAmount(deductionDetails[field].allowed)}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        );
+      }
+      case "taxesPaid": {
+        // Payments brought over from the calculator's planner set the
+        // advance tax; their dates decide the interest.
+        const hasPayments = formData.advanceTaxPayments.length > 0;
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.entries(TAXES_PAID_LABELS).map(([field, label]) =>
+              field === "advanceTax" && hasPayments ? (
+                <p key={field} className="text-sm text-gray-600">
+                  {label}: {formatAmount(Number(formData.taxesPaid.advanceTax) || 0)},
+                  the total of the {formData.advanceTaxPayments.length}{" "}
+                  payments listed in the calculator&apos;s Advance Tax
+                  Planner.
+                </p>
+              ) : (
+                amountField("taxesPaid", field, label)
+              ),
+            )}
+            <label className="block">
+              <span className="text-gray-700">Date you will file</span>
+              <input
+                type="date"
+                className={inputClass}
+                value={
+                  formData.filingDate ||
+                  getFilingDueDate(formData.financialYear)
+                }
+                onChange={(e) =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    filingDate: e.target.value,
+                  }))
+                }
+              />
+              <span className="mt-1 block text-sm text-gray-600">
+                Interest under 234A, 234B and 234C is worked out for this
+                date.
+              </span>
+            </label>
+          </div>
+        );
+      }
+      case "summary": {
+        const comparison = compareRegimes(formData);
+        const result = comparison[regime];
+        const credits = Object.values(result.taxCredits).reduce(
+          (sum, amount) => sum + amount,
+          0,
+        );
+        const interest = computeInterest(formData, result);
+        const balance = result.taxPayable - credits + interest.total;
+        const refundAccount = formData.bankAccounts.find(({ refund }) => refund);
+        return (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div className="rounded-lg border border-gray-200 p-4 space-y-1">
+                <div className="font-semibold text-gray-800">
+                  {formData.personalInfo.name}
+                </div>
+                <div>PAN {formData.personalInfo.pan}</div>
+                <div>
+                  {formData.financialYear},{" "}
+                  {RESIDENTIAL_STATUSES[formData.personalInfo.residentialStatus]}
+                </div>
+              </div>
+              <div className="rounded-lg border border-gray-200 p-4 space-y-1">
+                <div className="font-semibold text-gray-800">Refund Account</div>
+                {refundAccount && (
+                  <div>
+                    {refundAccount.bankName}, {refundAccount.ifsc}, ending{" "}
+                    {refundAccount.accountNumber.slice(-4)}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="flex space-x-4">
+              {["new", "old"].map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  className={`px-6 py-2 font-medium rounded-xl transition-colors ${
+                    regime === option
+                      ? "bg-purple-600 text-white"
+                      : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  }`}
+                  onClick={() => setRegime(option)}
+                >
+                  File under {option === "new" ? "New" : "Old"} Regime
+                </button>
+              ))}
+            </div>
+            <RegimeComparison comparison={comparison} />
+            <ItrFormSelector formData={formData} regime={regime} />
+            <ItrJsonExport
+              formData={formData}
+              regime={regime}
+              onGoToStep={(step) => {
+                setErrors(validateStep(FILING_STEPS[step].key, formData));
+                setActiveStep(step);
+              }}
+            />
+
+            <div className="bg-white p-6 rounded-lg shadow-md space-y-2">
+              <div className="flex justify-between">
+                <span>Tax Payable</span>
+                <span>{formatAmount(result.taxPayable)}</span>
+              </div>
+              <div className="flex justify-between text-gray-600">
+                <span>Less: Taxes Paid</span>
+                <span>{formatAmount(credits)}</span>
+              </div>
+              {interest.total > 0 && (
+                <div className="flex justify-between text-red-700">
+                  <span>Add: Interest u/s 234A, 234B and 234C</span>
+                  <span>{formatAmount(interest.total)}</span>
+                </div>
+              )}
+              <div className="flex justify-between border-t pt-2 text-lg font-bold">
+                <span>{balance > 0 ? "Balance Tax Due" : "Refund Due"}</span>
+                <span>{formatAmount(Math.abs(balance))}</span>
+              </div>
+            </div>
+          </div>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      {hasSaveFailed && (
+        <p className="rounded-md bg-amber-100 px-4 py-2 text-sm text-amber-800">
+          Your progress is not being saved: this browser is not letting the
+          page store it, so it will be lost when you close the page.
+        </p>
+      )}
+      {saved && (
+        <div className="flex flex-wrap items-center justify-between gap-2 rounded-md bg-purple-50 px-4 py-2 text-sm text-purple-900">
+          <span>
+            Resumed your return saved on{" "}
+            {new Date(saved.savedAt).toLocaleString("en-IN")}.
+            {incoming &&
+              " The figures you just brought over have not replaced it."}
+          </span>
+          <div className="flex gap-4">
+            {incoming && (
+              <button
+                type="button"
+                className="font-semibold hover:underline"
+                onClick={handleUseIncoming}
+              >
+                Use the new figures
+              </button>
+            )}
+            <button
+              type="button"
+              className="font-semibold hover:underline"
+              onClick={handleStartOver}
+            >
+              Start over
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-4xl shadow-md">
+        <div className="flex flex-wrap gap-2 border-b px-6 pt-6 pb-2">
+          {FILING_STEPS.map((step, index) => (
+            <button
+              key={step.key}
+              className={`px-4 py-2 text-sm font-medium border-b-2 focus:outline-none transition-colors ${
+                activeStep === index
+                  ? "bg-purple-600 text-white border-b-2 border-purple-60 rounded-3xl"
+                  : "border-transparent text-gray-600"
+              }`}
+              onClick={() => (index < activeStep ? setActiveStep(index) : goTo(index))}
+            >
+              {index + 1}. {step.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="p-6">{renderStep()}</div>
+
+        <div className="flex flex-col sm:flex-row justify-between p-4 sm:p-6 border-t gap-2 sm:gap-0">
+          {activeStep > 0 && (
+            <button
+              className="w-full sm:w-auto px-6 sm:px-12 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+              onClick={() => {
+                setErrors({});
+                setActiveStep((prev) => prev - 1);
+              }}
+            >
+              Back
+            </button>
+          )}
+          {activeStep < FILING_STEPS.length - 1 && (
+            <button
+              className="w-full sm:w-auto px-6 sm:px-12 py-2.5 bg-purple-500 text-white rounded-md hover:bg-purple-700 transition-colors"
+              onClick={() => goTo(activeStep + 1)}
+            >
+              Continue
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManualFilingWizard;
@@ -0,0 +1,167 @@
+import { useState } from "react";
+import {
+  addProfile,
+  checkProfileName,
+  deleteProfile,
+  getActiveProfile,
+  renameProfile,
+  switchProfile,
+} from "../tax/profiles";
+
+const inputClass =
+  "block w-full h-12 rounded-lg border border-gray-300 bg-white px-4 text-gray-700 shadow-sm focus:border-purple-600 focus:ring-2 focus:ring-purple-300 transition-all";
+
+const buttonClass =
+  "px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors";
+
+const NAMING = {
+  add: { title: "New profile", placeholder: "e.g. Spouse" },
+  duplicate: {
+    title: "Copy to a new profile",
+    placeholder: "e.g. Self (old regime)",
+  },
+  rename: { title: "Rename profile" },
+};
+
+const formatSavedAt = (savedAt) =>
+  new Date(savedAt).toLocaleString("en-IN", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+/**
+ * Picks the profile the calculator works in, and creates, renames, copies
+ * or deletes profiles. `onChange` receives the updated store, for the
+ * caller to save.
+ */
+const ProfileSwitcher = ({ store, onChange }) => {
+  // The name being entered for "add", "duplicate" or "rename".
+  const [naming, setNaming] = useState(null);
+  const [error, setError] = useState("");
+  const active = getActiveProfile(store);
+
+  const startNaming = (action) => {
+    setNaming({ action, name: action === "rename" ? active.name : "" });
+    setError("");
+  };
+
+  const handleSave = () => {
+    const { action, name } = naming;
+    const message = checkProfileName(
+      store,
+      name,
+      action === "rename" ? active.id : undefined,
+    );
+    if (message) {
+      setError(message);
+      return;
+    }
+    if (action === "add") onChange(addProfile(store, name));
+    if (action === "duplicate") onChange(addProfile(store, name, active.draft));
+    if (action === "rename") onChange(renameProfile(store, active.id, name));
+    setNaming(null);
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(`Delete the ${active.name} profile and its figures?`)
+    ) {
+      onChange(deleteProfile(store, active.id));
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-purple-200 bg-purple-50 p-4 space-y-3">
+      <label className="block">
+        <span className="text-lg font-semibold text-gray-800">Profile</span>
+        <select
+          className={`mt-2 ${inputClass}`}
+          value={active.id}
+          onChange={(e) => {
+            setNaming(null);
+            onChange(switchProfile(store, Number(e.target.value)));
+          }}
+        >
+          {store.profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {naming ? (
+        <form
+          className="space-y-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleSave();
+          }}
+        >
+          <span className="block text-gray-700">
+            {NAMING[naming.action].title}
+          </span>
+          <div className="flex flex-wrap gap-3">
+            <input
+              type="text"
+              className={`${inputClass} flex-1`}
+              value={naming.name}
+              placeholder={NAMING[naming.action].placeholder}
+              onChange={(e) => setNaming({ ...naming, name: e.target.value })}
+              autoFocus
+            />
+            <button type="submit" className={buttonClass}>
+              Save
+            </button>
+            <button
+              type="button"
+              className="px-4 py-2 text-gray-700 hover:text-gray-900"
+              onClick={() => setNaming(null)}
+            >
+              Cancel
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => startNaming("add")}
+          >
+            New
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => startNaming("rename")}
+          >
+            Rename
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            onClick={() => startNaming("duplicate")}
+          >
+            Duplicate
+          </button>
+          <button
+            type="button"
+            className="px-4 py-2 bg-red-50 text-red-700 rounded-md hover:bg-red-100 transition-colors"
+            onClick={handleDelete}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600">
+        Changes are saved in this browser as you type
+        {active.savedAt && ` (last saved ${formatSavedAt(active.savedAt)})`}.
+      </p>
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
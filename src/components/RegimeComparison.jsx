@@ -0,0 +1,78 @@
+const rows = [
+  { key: "totalIncome", label: "Total Income" },
+  { key: "exemptAllowances", label: "Exempt Allowances" },
+  { key: "standardDeduction", label: "Standard Deduction" },
+  { key: "chapterVIA", label: "Chapter VI-A" },
+  { key: "taxableIncome", label: "Taxable Income" },
+  { key: "slabTax", label: "Tax on Slabs" },
+  { key: "specialRateTax", label: "Special-rate Tax" },
+  { key: "incomeTax", label: "Income Tax (after rebate)" },
+  { key: "surcharge", label: "Surcharge" },
+  { key: "healthEducationCess", label: "Health & Education Cess" },
+  { key: "taxPayable", label: "Tax Payable" },
+];
+
+const formatAmount = (value) => `₹${Math.round(value).toLocaleString("en-IN")}`;
+
+/**
+ * Side-by-side Old vs New regime table shown after Calculate.
+ */
+const RegimeComparison = ({ comparison }) => {
+  const { recommended, saving, breakEvenDeductions, currentOldDeductions } =
+    comparison;
+  const regimeName = (regime) => (regime === "new" ? "New Regime" : "Old Regime");
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <h3 className="text-lg font-semibold">Old vs New Regime</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead className="bg-purple-50">
+            <tr>
+              <th className="px-4 py-2 text-purple-900">Particulars</th>
+              {["old", "new"].map((regime) => (
+                <th key={regime} className="px-4 py-2 text-purple-900">
+                  {regimeName(regime)}
+                  {recommended === regime && (
+                    <span className="ml-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-xs">
+                      Recommended
+                    </span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-purple-100">
+            {rows.map(({ key, label }) => (
+              <tr
+                key={key}
+                className={key === "taxPayable" ? "font-semibold" : ""}
+              >
+                <td className="px-4 py-2 text-gray-700">{label}</td>
+                <td className="px-4 py-2">{formatAmount(comparison.old[key])}</td>
+                <td className="px-4 py-2">{formatAmount(comparison.new[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-purple-100 border-l-4 border-purple-500 p-4 rounded space-y-1">
+        <p className="text-purple-900 font-medium">
+          {saving > 0
+            ? `The ${regimeName(recommended)} saves you ${formatAmount(saving)}.`
+            : "Both regimes result in the same tax."}
+        </p>
+        <p className="text-sm text-gray-700">
+          {breakEvenDeductions === null
+            ? "The Old Regime does not beat the New Regime at any level of deductions for this income."
+            : `The Old Regime matches or beats the New Regime once exemptions and deductions reach ${formatAmount(
+                breakEvenDeductions,
+              )} (you have ${formatAmount(currentOldDeductions)}).`}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RegimeComparison;
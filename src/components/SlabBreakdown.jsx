@@ -0,0 +1,220 @@
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { getSlabRangeLabel } from "../tax/labels";
+
+const formatRupees = (amount) =>
+  `₹${Math.round(amount).toLocaleString("en-IN")}`;
+
+const formatRate = (rate) => `${+(rate * 100).toFixed(2)}%`;
+
+const STEP_COLORS = {
+  total: "#6366F1",
+  increase: "#F59E0B",
+  decrease: "#10B981",
+};
+
+/**
+ * Waterfall steps for a result. Gross income comes down to taxable income
+ * through exempt allowances, the standard deduction and Chapter VI-A; then,
+ * starting again from zero, each slab's tax and each special-rate tax add
+ * up to the tax on income, the rebate comes off, surcharge and cess go on.
+ * Every step is drawn as an invisible `base` bar with the visible `value`
+ * bar stacked on top; totals start from zero.
+ */
+const buildTaxWaterfall = (result) => {
+  const steps = [];
+  let running = 0;
+  const add = (name, amount) => {
+    const rounded = Math.round(amount);
+    if (!rounded) return;
+    steps.push({
+      name,
+      amount: rounded,
+      base: rounded < 0 ? running + rounded : running,
+      value: Math.abs(rounded),
+      kind: rounded < 0 ? "decrease" : "increase",
+    });
+    running += rounded;
+  };
+  const subtotal = (name) =>
+    steps.push({
+      name,
+      amount: running,
+      base: 0,
+      value: running,
+      kind: "total",
+    });
+
+  // Deductions larger than the income they come off only bring it to
+  // zero, so each step is the fall it actually caused.
+  const specialIncome = result.taxableIncome - result.slabIncome;
+  const normalIncome = result.totalIncome - specialIncome;
+  running = result.totalIncome + result.exemptAllowances;
+  subtotal("Gross income");
+  add("Exempt allowances", -result.exemptAllowances);
+  add("Standard deduction", result.grossTotalIncome - normalIncome);
+  add("Chapter VI-A", result.slabIncome - result.grossTotalIncome);
+  subtotal("Taxable income");
+
+  running = 0;
+  result.slabBreakdown.forEach((row) =>
+    add(`${formatRate(row.rate)} slab`, row.tax),
+  );
+  result.specialRateIncome.forEach((row) =>
+    add(`u/s ${row.section}`, row.tax),
+  );
+  subtotal("Tax on income");
+  add("Rebate 87A", -(result.rebate87A + result.rebateMarginalRelief));
+  add("Surcharge", result.surcharge);
+  add("Cess", result.healthEducationCess);
+  subtotal("Total tax");
+  return steps;
+};
+
+const WaterfallTooltip = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const { name, amount, kind } = payload[0].payload;
+  return (
+    <div className="rounded-md border border-gray-200 bg-white px-3 py-2 text-sm shadow">
+      <p className="font-semibold">{name}</p>
+      <p>
+        {kind === "decrease" ? "-" : kind === "increase" ? "+" : ""}
+        {formatRupees(Math.abs(amount))}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * How much tax each slab contributes: a table of the engine's slab rows
+ * (plus income taxed at special rates) and a waterfall from gross income
+ * down to taxable income, then from the slab taxes through the rebate,
+ * surcharge and cess to the total tax.
+ */
+const SlabBreakdown = ({ result }) => {
+  const steps = buildTaxWaterfall(result);
+  const specialRows = result.specialRateIncome.filter(({ income }) => income);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-white p-6 rounded-lg shadow-md">
+        <h3 className="text-lg font-semibold mb-4">Slab-wise Tax</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                <th className="px-2 py-2">Income range</th>
+                <th className="px-2 py-2 text-right">Income in slab</th>
+                <th className="px-2 py-2 text-right">Rate</th>
+                <th className="px-2 py-2 text-right">Tax</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.slabBreakdown.map((row) => (
+                <tr
+                  key={row.from}
+                  className={`border-b ${row.income ? "" : "text-gray-400"}`}
+                >
+                  <td className="px-2 py-2">{getSlabRangeLabel(row)}</td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.income)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRate(row.rate)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.tax)}
+                  </td>
+                </tr>
+              ))}
+              {specialRows.map((row) => (
+                <tr key={row.key} className="border-b">
+                  <td className="px-2 py-2">
+                    {row.label} (u/s {row.section})
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.income - row.basicExemptionUsed)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRate(row.rate)}
+                  </td>
+                  <td className="px-2 py-2 text-right">
+                    {formatRupees(row.tax)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold">
+                <td className="px-2 py-2">Total</td>
+                <td className="px-2 py-2 text-right">
+                  {formatRupees(result.taxableIncome)}
+                </td>
+                <td className="px-2 py-2" />
+                <td className="px-2 py-2 text-right">
+                  {formatRupees(result.slabTax + result.specialRateTax)}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow-md">
+        <h3 className="text-lg font-semibold mb-4">From Income to Tax</h3>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart
+              data={steps}
+              margin={{ top: 10, right: 10, left: 20, bottom: 40 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis
+                dataKey="name"
+                interval={0}
+                angle={-35}
+                textAnchor="end"
+                tick={{ fontSize: 11 }}
+              />
+              <YAxis
+                tickFormatter={(value) => `₹${(value / 1000).toFixed(0)}K`}
+                tick={{ fontSize: 12 }}
+              />
+              <Tooltip content={<WaterfallTooltip />} cursor={false} />
+              <Bar dataKey="base" stackId="step" fill="transparent" />
+              <Bar dataKey="value" stackId="step">
+                {steps.map((step, index) => (
+                  <Cell key={index} fill={STEP_COLORS[step.kind]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="mt-4 flex flex-wrap gap-4 text-sm">
+          <span className="flex items-center">
+            <span className="w-4 h-4 bg-amber-500 rounded mr-2" />
+            Adds
+          </span>
+          <span className="flex items-center">
+            <span className="w-4 h-4 bg-emerald-500 rounded mr-2" />
+            Reduces
+          </span>
+          <span className="flex items-center">
+            <span className="w-4 h-4 bg-indigo-500 rounded mr-2" />
+            Total
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlabBreakdown;
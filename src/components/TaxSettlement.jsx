@@ -0,0 +1,97 @@
+import { TAXES_PAID_LABELS } from "../tax/labels";
+
+const inputClass =
+  "mt-1 block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const formatRupees = (amount) =>
+  `₹${Math.round(amount).toLocaleString("en-IN")}`;
+
+/**
+ * Takes the tax liability past the credits already paid or deducted to the
+ * amount still payable or the refund due, adding interest under 234A for
+ * filing late and under 234B and 234C on advance tax. `result` is the
+ * engine's result for the selected regime and `interest` is
+ * computeInterest's for it.
+ */
+const TaxSettlement = ({ result, interest, onFilingDateChange }) => {
+  const { taxCredits, netTaxPayable } = result;
+  const { section234A } = interest;
+  const credits = Object.entries(taxCredits).filter(([, amount]) => amount);
+  const balance = netTaxPayable + interest.total;
+  const refund = balance < 0;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <h3 className="text-lg font-semibold">Payable or Refund</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span>Total tax liability</span>
+            <span>{formatRupees(result.taxPayable)}</span>
+          </div>
+          {credits.map(([key, amount]) => (
+            <div key={key} className="flex justify-between text-gray-600">
+              <span>Less: {TAXES_PAID_LABELS[key]}</span>
+              <span>-{formatRupees(amount)}</span>
+            </div>
+          ))}
+          {section234A.interest > 0 && (
+            <div className="flex justify-between text-red-700">
+              <span>
+                Add: Interest u/s 234A (1% × {section234A.months} month
+                {section234A.months > 1 ? "s" : ""} on{" "}
+                {formatRupees(section234A.shortfall)})
+              </span>
+              <span>{formatRupees(section234A.interest)}</span>
+            </div>
+          )}
+          {interest.section234B > 0 && (
+            <div className="flex justify-between text-red-700">
+              <span>Add: Interest u/s 234B</span>
+              <span>{formatRupees(interest.section234B)}</span>
+            </div>
+          )}
+          {interest.section234C > 0 && (
+            <div className="flex justify-between text-red-700">
+              <span>Add: Interest u/s 234C</span>
+              <span>{formatRupees(interest.section234C)}</span>
+            </div>
+          )}
+          <div
+            className={`flex justify-between border-t pt-2 text-lg font-bold ${
+              refund ? "text-green-700" : ""
+            }`}
+          >
+            <span>{refund ? "Refund due" : "Net tax payable"}</span>
+            <span>{formatRupees(Math.abs(balance))}</span>
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block">
+            <span className="text-gray-700">Date you will file the return</span>
+            <input
+              type="date"
+              className={inputClass}
+              value={interest.filingDate}
+              onChange={(e) => onFilingDateChange(e.target.value)}
+            />
+          </label>
+          <p className="text-sm text-gray-600">
+            The due date is{" "}
+            {new Date(`${section234A.dueDate}T00:00:00`).toLocaleDateString(
+              "en-IN",
+              { day: "numeric", month: "long", year: "numeric" },
+            )}
+            . Filing later adds 1% a month on tax unpaid after TDS, TCS and
+            advance tax. Interest under 234B and 234C comes from the advance
+            tax payments in the planner below, with the balance paid on this
+            date.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettlement;
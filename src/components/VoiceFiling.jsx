@@ -0,0 +1,305 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Mic, MicOff } from "lucide-react";
+import { createFormData } from "../tax/formData";
+import { VOICE_QUESTIONS, applyAnswer, parseAnswer } from "../tax/voiceFiling";
+
+const inputClass =
+  "block w-full h-10 rounded-lg border border-gray-300 px-3 focus:border-purple-500 focus:ring focus:ring-purple-200";
+
+const SpeechRecognition =
+  typeof window !== "undefined" &&
+  (window.SpeechRecognition || window.webkitSpeechRecognition);
+
+const SPEECH_ERRORS = {
+  "not-allowed": "Microphone access was blocked. Allow it, or type your answer.",
+  "no-speech": "We didn't hear anything. Try again, or type your answer.",
+  "audio-capture": "No microphone was found. Type your answer instead.",
+  network: "Speech recognition needs an internet connection. Type your answer.",
+};
+
+const formatValue = (question, value) => {
+  if (value === null) return "Not understood";
+  if (question.kind === "ageGroup") return `Age group ${value}`;
+  if (question.kind === "financialYear") return value;
+  return `₹${Number(value).toLocaleString("en-IN")}`;
+};
+
+/**
+ * Asks the filing questions one at a time and fills the calculator's input
+ * model from the answers. Answers are spoken through the browser's speech
+ * recognition where it exists, or typed; every answer stays in an editable
+ * transcript.
+ */
+const VoiceFiling = () => {
+  const navigate = useNavigate();
+  const [step, setStep] = useState(0);
+  // What was heard for each question, by key: { heard, value }.
+  const [answers, setAnswers] = useState({});
+  const [typed, setTyped] = useState("");
+  const [listening, setListening] = useState(false);
+  const [readAloud, setReadAloud] = useState(Boolean(window.speechSynthesis));
+  const [message, setMessage] = useState("");
+  const recognitionRef = useRef(null);
+
+  const question = VOICE_QUESTIONS[step];
+  const finished = step >= VOICE_QUESTIONS.length;
+
+  const formData = VOICE_QUESTIONS.reduce((data, q) => {
+    const value = answers[q.key]?.value;
+    return value === null || value === undefined
+      ? data
+      : applyAnswer(data, q, value);
+  }, createFormData());
+
+  useEffect(() => {
+    if (!readAloud || finished || !window.speechSynthesis) return;
+    const utterance = new SpeechSynthesisUtterance(question.prompt);
+    utterance.lang = "en-IN";
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+  }, [question, finished, readAloud]);
+
+  useEffect(
+    () => () => {
+      recognitionRef.current?.abort();
+      window.speechSynthesis?.cancel();
+    },
+    [],
+  );
+
+  /**
+   * Records the answer to the current question and moves to the next one
+   * not yet answered.
+   */
+  const record = (answer) => {
+    const next = { ...answers, [question.key]: answer };
+    const index = VOICE_QUESTIONS.findIndex(
+      (q, i) => i > step && !next[q.key],
+    );
+    setAnswers(next);
+    setMessage("");
+    setStep(index < 0 ? VOICE_QUESTIONS.length : index);
+  };
+
+  const submit = (text) => {
+    const value = parseAnswer(question, text);
+    setTyped("");
+    if (value === null) {
+      setAnswers((prev) => ({
+        ...prev,
+        [question.key]: { heard: text, value },
+      }));
+      setMessage(`We couldn't understand “${text}”. Try again, or type it.`);
+      return;
+    }
+    record({ heard: text, value });
+  };
+
+  const handleListen = () => {
+    if (listening) {
+      recognitionRef.current?.stop();
+      return;
+    }
+    window.speechSynthesis?.cancel();
+    const recognition = new SpeechRecognition();
+    recognition.lang = "en-IN";
+    recognition.interimResults = false;
+    recognition.maxAlternatives = 1;
+    recognition.onresult = (event) => submit(event.results[0][0].transcript);
+    recognition.onerror = (event) =>
+      setMessage(
+        SPEECH_ERRORS[event.error] || "Speech recognition stopped. Try again.",
+      );
+    recognition.onend = () => setListening(false);
+    recognitionRef.current = recognition;
+    setMessage("");
+    setListening(true);
+    recognition.start();
+  };
+
+  // Skipped amounts are zero; skipped choices keep the calculator default.
+  const handleSkip = () =>
+    record({ heard: "", value: question.kind ? null : 0 });
+
+  const handleCorrect = (q, heard) =>
+    setAnswers((prev) => ({
+      ...prev,
+      [q.key]: { heard, value: parseAnswer(q, heard) },
+    }));
+
+  const handleContinue = (path) =>
+    navigate(path, {
+      state: { formData, prefilledFrom: "your voice answers" },
+    });
+
+  return (
+    <div className="w-full max-w-4xl bg-white p-4 sm:p-6 rounded-lg shadow-lg space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-xl sm:text-2xl font-bold text-purple-700">
+          Voice Filing
+        </h2>
+        {window.speechSynthesis && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="h-4 w-4 accent-purple-600"
+              checked={readAloud}
+              onChange={(e) => setReadAloud(e.target.checked)}
+            />
+            Read questions aloud
+          </label>
+        )}
+      </div>
+      {!SpeechRecognition && (
+        <p className="rounded-md bg-amber-100 px-4 py-2 text-sm text-amber-800">
+          This browser has no speech recognition. Type your answers instead;
+          amounts like &quot;12 lakh 50 thousand&quot; work here too.
+        </p>
+      )}
+
+      {finished ? (
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            That&apos;s everything we need for an estimate. Check the transcript
+            below, then open your answers in the calculator or carry on filing.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            <button
+              type="button"
+              className="px-6 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors"
+              onClick={() => handleContinue("/taxcalculator")}
+            >
+              Open in Tax Calculator
+            </button>
+            <button
+              type="button"
+              className="px-6 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+              onClick={() => handleContinue("/itrfiling/manual")}
+            >
+              Continue to Filing
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="rounded-lg border border-purple-200 bg-purple-50 p-4 space-y-4">
+          <p className="text-sm text-purple-900">
+            Question {step + 1} of {VOICE_QUESTIONS.length}
+          </p>
+          <p className="text-lg font-semibold text-gray-800">{question.prompt}</p>
+          <div className="flex flex-wrap items-center gap-3">
+            {SpeechRecognition && (
+              <button
+                type="button"
+                className={`flex items-center gap-2 px-6 py-2 rounded-md text-white transition-colors ${
+                  listening
+                    ? "bg-red-600 hover:bg-red-700"
+                    : "bg-purple-600 hover:bg-purple-700"
+                }`}
+                onClick={handleListen}
+              >
+                {listening ? (
+                  <MicOff className="h-5 w-5" />
+                ) : (
+                  <Mic className="h-5 w-5" />
+                )}
+                {listening ? "Listening… tap to stop" : "Speak answer"}
+              </button>
+            )}
+            <button
+              type="button"
+              className="px-4 py-2 text-gray-700 hover:text-gray-900"
+              onClick={handleSkip}
+            >
+              Skip
+            </button>
+          </div>
+          <form
+            className="flex gap-3"
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (typed.trim()) submit(typed.trim());
+            }}
+          >
+            <input
+              type="text"
+              className={inputClass}
+              value={typed}
+              placeholder="Or type your answer, e.g. twelve lakh fifty thousand"
+              onChange={(e) => setTyped(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-purple-100 text-purple-800 rounded-md hover:bg-purple-200 transition-colors"
+            >
+              Answer
+            </button>
+          </form>
+          {message && <p className="text-sm text-red-600">{message}</p>}
+        </div>
+      )}
+
+      {Object.keys(answers).length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-semibold text-gray-800">Transcript</h3>
+          <p className="text-sm text-gray-600">
+            Fix anything we heard wrong by editing it; the value updates as you
+            type.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-100 text-left">
+                <tr>
+                  <th className="px-2 py-2">Question</th>
+                  <th className="px-2 py-2">You said</th>
+                  <th className="px-2 py-2">Value</th>
+                  <th className="px-2 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {VOICE_QUESTIONS.filter((q) => answers[q.key]).map((q) => {
+                  const { heard, value } = answers[q.key];
+                  return (
+                    <tr key={q.key} className="border-b align-top">
+                      <td className="px-2 py-2 text-gray-700">{q.prompt}</td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="text"
+                          className={inputClass}
+                          value={heard}
+                          placeholder="Skipped"
+                          onChange={(e) => handleCorrect(q, e.target.value)}
+                        />
+                      </td>
+                      <td
+                        className={`px-2 py-2 whitespace-nowrap ${
+                          value === null && heard ? "text-red-600" : ""
+                        }`}
+                      >
+                        {heard || value !== null ? formatValue(q, value) : "—"}
+                      </td>
+                      <td className="px-2 py-2">
+                        <button
+                          type="button"
+                          className="text-purple-700 hover:underline"
+                          onClick={() => {
+                            setMessage("");
+                            setStep(VOICE_QUESTIONS.indexOf(q));
+                          }}
+                        >
+                          Ask again
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceFiling;
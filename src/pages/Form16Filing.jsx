@@ -0,0 +1,17 @@
+import NavBar from "../components/Navbar";
+import Footer from "../components/Footer";
+import Form16Upload from "../components/Form16Upload";
+
+const Form16Filing = () => {
+  return (
+    <>
+      <NavBar />
+      <div className="flex justify-center items-start min-h-screen px-4 sm:px-6 py-24 bg-gray-50">
+        <Form16Upload />
+      </div>
+      <Footer />
+    </>
+  );
+};
+
+export default Form16Filing;
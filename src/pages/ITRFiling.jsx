@@ -9,9 +9,9 @@ import AnimatedBackground from "../components/AnimatedBackground";
 
 const ITRFiling = () => {
   const sections = [
-    { name: "Form 16 Filing", icon: <BookCopy className="w-8 h-8" />, path: "/get-started" },
-    { name: "Manual Filing", icon: <Edit className="w-8 h-8" />, path: "/get-started" },
-    { name: "Voice Filing", icon: <Mic className="w-8 h-8" />, path: "/get-started" },
+    { name: "Form 16 Filing", icon: <BookCopy className="w-8 h-8" />, path: "/itrfiling/form16" },
+    { name: "Manual Filing", icon: <Edit className="w-8 h-8" />, path: "/itrfiling/manual" },
+    { name: "Voice Filing", icon: <Mic className="w-8 h-8" />, path: "/itrfiling/voice" },
   ];
 
   return (
@@ -0,0 +1,20 @@
+import NavBar from "../components/Navbar";
+import Footer from "../components/Footer";
+import ManualFilingWizard from "../components/ManualFilingWizard";
+
+const ManualFiling = () => {
+  return (
+    <>
+      <NavBar />
+      <div className="min-h-screen px-4 sm:px-6 py-24 bg-gray-50">
+        <h1 className="text-2xl sm:text-3xl font-bold text-purple-700 text-center">
+          Manual Filing
+        </h1>
+        <ManualFilingWizard />
+      </div>
+      <Footer />
+    </>
+  );
+};
+
+export default ManualFiling;
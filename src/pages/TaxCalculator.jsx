@@ -1,10 +1,27 @@
-import { Link } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import NavBar from "../components/Navbar";
 import Footer from "../components/Footer";
 import CalculatorComponent from "../components/Calculator";
 import CalculatorContent from "../components/CalculatorContent";
 
 function TaxCalculator() {
+  const { pathname, state } = useLocation();
+  const navigate = useNavigate();
+  // Figures handed over by another page are taken once and dropped from
+  // the history entry, so reloading does not pre-fill a profile again.
+  // The calculator has already put them in the address bar by then.
+  const [prefill] = useState(state);
+
+  useEffect(() => {
+    if (state?.formData) {
+      navigate(`${pathname}${window.location.search}`, {
+        replace: true,
+        state: null,
+      });
+    }
+  }, [state, pathname, navigate]);
+
   return (
     <div className="bg-gray-50 min-h-screen flex flex-col">
       <NavBar />
@@ -56,7 +73,13 @@ function TaxCalculator() {
           <h2 className="text-xl sm:text-2xl font-bold text-purple-700 mb-4 text-center sm:text-left">
             Calculate Your Income Tax
           </h2>
-          <CalculatorComponent />
+          {prefill?.formData && (
+            <p className="mb-4 rounded-md bg-purple-50 px-4 py-2 text-sm text-purple-900">
+              Pre-filled from {prefill.prefilledFrom || "your Form 16"}. Review
+              each tab, then press Calculate.
+            </p>
+          )}
+          <CalculatorComponent initialData={prefill?.formData} />
         </div>
 
         <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg">
@@ -0,0 +1,17 @@
+import NavBar from "../components/Navbar";
+import Footer from "../components/Footer";
+import VoiceFilingComponent from "../components/VoiceFiling";
+
+const VoiceFiling = () => {
+  return (
+    <>
+      <NavBar />
+      <div className="flex justify-center items-start min-h-screen px-4 sm:px-6 py-24 bg-gray-50">
+        <VoiceFilingComponent />
+      </div>
+      <Footer />
+    </>
+  );
+};
+
+export default VoiceFiling;
@@ -0,0 +1,294 @@
+/**
+ * Advance tax (sections 207-211), interest on its shortfalls under 234B and
+ * 234C, and interest for filing late under 234A, for an individual without
+ * presumptive business income.
+ *
+ * Assessed tax is the year's liability less the TDS expected against it.
+ * When it is ₹10,000 or more, 15%, 45%, 75% and 100% of it are due by 15
+ * June, 15 September, 15 December and 15 March. A resident senior citizen
+ * with no business or professional income pays no advance tax.
+ *
+ * 234C charges 1% a month on the shortfall at each instalment: three months
+ * for the first three, one for the last; nothing if 12% was paid by June or
+ * 36% by September. 234B charges 1% a month, a part month counting as a
+ * whole, from 1 April after the year until the balance is paid, when less
+ * than 90% of the assessed tax was paid in advance. Shortfalls are rounded
+ * down to the hundred (rule 119A). 234A charges 1% a month, a part month
+ * counting as a whole, on tax left unpaid after TDS, TCS and advance tax,
+ * from the filing due date until the return is filed.
+ *
+ * The advance tax payments in formData (`advanceTaxPayments`) are the one
+ * record of advance tax: their total is the advance tax credit in
+ * taxesPaid, and computeInterest works the interest out from them, so the
+ * calculator, the computation sheet and the ITR JSON show the same figure.
+ *
+ * Dates are "YYYY-MM-DD" strings. Not modelled: gains and dividends that
+ * arise after a due date, which 234C does not charge for.
+ */
+
+import { toAmount } from "./amounts";
+import { getYearRules, isSeniorCitizen } from "./rules";
+
+export const ADVANCE_TAX_THRESHOLD = 10000;
+
+const INTEREST_RATE = 0.01;
+
+// 90% of the assessed tax must be paid in advance to avoid 234B.
+const SECTION_234B_SHARE = 0.9;
+
+const INSTALMENTS = [
+  { month: "06", label: "15 June", share: 0.15, safeShare: 0.12, months: 3 },
+  {
+    month: "09",
+    label: "15 September",
+    share: 0.45,
+    safeShare: 0.36,
+    months: 3,
+  },
+  { month: "12", label: "15 December", share: 0.75, months: 3 },
+  { month: "03", label: "15 March", share: 1, months: 1 },
+];
+
+const roundDownToHundred = (amount) => Math.floor(amount / 100) * 100;
+
+export const createPayment = () => ({ date: "", amount: "" });
+
+/**
+ * Payments with a date in the financial year and an amount; those before
+ * 1 April or after 31 March are not advance tax for the year.
+ */
+const paymentsInYear = (financialYear, payments = []) => {
+  const { period } = getYearRules(financialYear);
+  return payments.filter(
+    ({ date, amount }) =>
+      date >= period.start && date <= period.end && toAmount(amount) > 0,
+  );
+};
+
+const sumPayments = (payments) =>
+  payments.reduce((total, { amount }) => total + toAmount(amount), 0);
+
+/**
+ * The instalment due dates of a financial year.
+ */
+export const getInstalmentDates = (financialYear) => {
+  const { period } = getYearRules(financialYear);
+  const startYear = period.start.slice(0, 4);
+  const endYear = period.end.slice(0, 4);
+  return INSTALMENTS.map(
+    ({ month }) => `${month === "03" ? endYear : startYear}-${month}-15`,
+  );
+};
+
+/**
+ * The due date for filing without a tax audit: 31 July after the year.
+ */
+export const getFilingDueDate = (financialYear) =>
+  `${getYearRules(financialYear).period.end.slice(0, 4)}-07-31`;
+
+/**
+ * Months from 1 April after the year to `date`, a part month counting as a
+ * whole; at least one.
+ */
+const monthsSinceYearEnd = (financialYear, date) => {
+  const [endYear] = getYearRules(financialYear).period.end.split("-");
+  const [year, month] = date.split("-").map(Number);
+  return Math.max(1, (year - Number(endYear)) * 12 + month - 3);
+};
+
+/**
+ * Builds the instalment schedule and the interest on shortfalls.
+ *
+ * `taxPayable` is the year's liability and `tds` the tax expected to be
+ * deducted at source. `payments` are [{ date, amount }] advance tax paid
+ * (or planned); those outside the year are not advance tax. `balanceDate` is
+ * when the rest is paid, for 234B; 31 July after the year when blank.
+ *
+ * Returns { assessedTax, liable, exemptReason, instalments: [{ label,
+ * dueDate, share, due, instalment, paid, shortfall, interest }],
+ * advancePaid, section234B: { shortfall, months, interest }, totalInterest }.
+ */
+export const planAdvanceTax = ({
+  financialYear,
+  ageGroup,
+  taxPayable,
+  tds = 0,
+  hasBusinessIncome = false,
+  payments = [],
+  balanceDate,
+}) => {
+  const { period } = getYearRules(financialYear);
+  const assessedTax = Math.max(0, Math.round(taxPayable - tds));
+  let exemptReason = "";
+  if (isSeniorCitizen(ageGroup) && !hasBusinessIncome) {
+    exemptReason =
+      "Resident senior citizens without business or professional income " +
+      "do not pay advance tax.";
+  } else if (assessedTax < ADVANCE_TAX_THRESHOLD) {
+    exemptReason =
+      "Tax left after TDS is under ₹10,000, so no advance tax is due.";
+  }
+  const liable = !exemptReason;
+
+  const validPayments = paymentsInYear(financialYear, payments);
+  const paidBy = (date) =>
+    sumPayments(validPayments.filter((payment) => payment.date <= date));
+
+  let previousDue = 0;
+  const instalments = getInstalmentDates(financialYear).map(
+    (dueDate, index) => {
+      const { label, share, safeShare, months } = INSTALMENTS[index];
+      const due = Math.round(assessedTax * share);
+      const paid = paidBy(dueDate);
+      const safe = safeShare && paid >= assessedTax * safeShare;
+      const shortfall =
+        liable && !safe ? roundDownToHundred(Math.max(0, due - paid)) : 0;
+      const row = {
+        label,
+        dueDate,
+        share,
+        due,
+        instalment: due - previousDue,
+        paid,
+        shortfall,
+        interest: shortfall * INTEREST_RATE * months,
+      };
+      previousDue = due;
+      return row;
+    },
+  );
+
+  const advancePaid = paidBy(period.end);
+  const months = monthsSinceYearEnd(
+    financialYear,
+    balanceDate || getFilingDueDate(financialYear),
+  );
+  const shortfall234B =
+    liable && advancePaid < assessedTax * SECTION_234B_SHARE
+      ? roundDownToHundred(assessedTax - advancePaid)
+      : 0;
+  const section234B = {
+    shortfall: shortfall234B,
+    months: shortfall234B ? months : 0,
+    interest: shortfall234B * INTEREST_RATE * months,
+  };
+
+  return {
+    assessedTax,
+    liable,
+    exemptReason,
+    instalments,
+    advancePaid,
+    section234B,
+    totalInterest:
+      instalments.reduce((total, { interest }) => total + interest, 0) +
+      section234B.interest,
+  };
+};
+
+/**
+ * Interest under 234A for filing on `filingDate`. `unpaidTax` is the
+ * liability less TDS, TCS and advance tax; self-assessment tax is taken to
+ * be paid when filing, so it does not reduce the interest.
+ *
+ * Returns { dueDate, shortfall, months, interest }.
+ */
+export const computeInterest234A = ({
+  financialYear,
+  unpaidTax,
+  filingDate,
+}) => {
+  const dueDate = getFilingDueDate(financialYear);
+  const shortfall = roundDownToHundred(Math.max(0, unpaidTax));
+  if (!filingDate || filingDate <= dueDate || !shortfall) {
+    return { dueDate, shortfall, months: 0, interest: 0 };
+  }
+  const [dueYear, dueMonth] = dueDate.split("-").map(Number);
+  const [year, month] = filingDate.split("-").map(Number);
+  const months = (year - dueYear) * 12 + month - dueMonth;
+  return {
+    dueDate,
+    shortfall,
+    months,
+    interest: shortfall * INTEREST_RATE * months,
+  };
+};
+
+/**
+ * Copies the total of the advance tax payments into taxesPaid.advanceTax.
+ * Without payment rows the form data is returned unchanged, keeping an
+ * amount typed in on its own.
+ */
+export const applyAdvanceTaxTotal = (formData) => {
+  if (!formData.advanceTaxPayments?.length) return formData;
+  const total = sumPayments(
+    paymentsInYear(formData.financialYear, formData.advanceTaxPayments),
+  );
+  return {
+    ...formData,
+    taxesPaid: { ...formData.taxesPaid, advanceTax: total ? `${total}` : "" },
+  };
+};
+
+/**
+ * The advance tax payments. An amount typed in without payment rows (as
+ * the filing wizard asks for it) is taken to be paid on 15 March, the
+ * last instalment date, since its dates are not known.
+ */
+export const getAdvanceTaxPayments = ({
+  financialYear,
+  taxesPaid,
+  advanceTaxPayments = [],
+}) => {
+  if (advanceTaxPayments.length) return advanceTaxPayments;
+  const amount = toAmount(taxesPaid?.advanceTax);
+  if (!amount) return [];
+  return [{ date: getInstalmentDates(financialYear)[3], amount: `${amount}` }];
+};
+
+/**
+ * All interest on the return: 234A for filing on `formData.filingDate`
+ * (the due date when blank), and 234B and 234C on the advance tax
+ * payments, with the balance paid when filing. `hasBusinessIncome` keeps a
+ * senior citizen liable for advance tax. `result` is the engine's result
+ * for formData.
+ *
+ * Returns { filingDate, plan, section234A, section234B, section234C,
+ * total }, where `plan` is planAdvanceTax's schedule and the sections are
+ * the interest amounts.
+ */
+export const computeInterest = (formData, result) => {
+  const { financialYear, taxCredits } = result;
+  const filingDate = formData.filingDate || getFilingDueDate(financialYear);
+  const plan = planAdvanceTax({
+    financialYear,
+    ageGroup: result.ageGroup,
+    taxPayable: result.taxPayable,
+    // Tax deducted or collected at source reduces the advance tax due.
+    tds:
+      taxCredits.tdsSalary +
+      taxCredits.tdsOther +
+      taxCredits.tds194S +
+      taxCredits.tcs,
+    hasBusinessIncome: formData.hasBusinessIncome,
+    payments: getAdvanceTaxPayments(formData),
+    balanceDate: filingDate,
+  });
+  const section234A = computeInterest234A({
+    financialYear,
+    unpaidTax: result.netTaxPayable + taxCredits.selfAssessmentTax,
+    filingDate,
+  });
+  const section234C = plan.instalments.reduce(
+    (total, { interest }) => total + interest,
+    0,
+  );
+  return {
+    filingDate,
+    plan,
+    section234A,
+    section234B: plan.section234B.interest,
+    section234C,
+    total: section234A.interest + plan.totalInterest,
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyAdvanceTaxTotal,
+  computeInterest,
+  getAdvanceTaxPayments,
+} from "./advanceTax";
+import { computeTax } from "./engine";
+import { createFormData } from "./formData";
+
+/**
+ * Form data for ₹20,00,000 of salary under the new regime in FY 2025-26:
+ * tax of ₹1,92,400 with cess and nothing deducted at source.
+ */
+const makeFormData = (changes = {}) => {
+  const formData = createFormData();
+  formData.financialYear = "FY 2025-2026";
+  formData.incomeDetails.salary = "2000000";
+  return { ...formData, ...changes };
+};
+
+const interestFor = (formData) =>
+  computeInterest(formData, computeTax({ ...formData, regime: "new" }));
+
+describe("applyAdvanceTaxTotal", () => {
+  it("totals the payments made during the year", () => {
+    const formData = applyAdvanceTaxTotal(
+      makeFormData({
+        advanceTaxPayments: [
+          { date: "2025-06-10", amount: "30000" },
+          { date: "2025-09-12", amount: "60000" },
+          // After 31 March: self-assessment tax, not advance tax.
+          { date: "2026-04-20", amount: "50000" },
+        ],
+      }),
+    );
+    expect(formData.taxesPaid.advanceTax).toBe("90000");
+  });
+
+  it("keeps a typed amount when no payments are listed", () => {
+    const formData = makeFormData();
+    formData.taxesPaid.advanceTax = "40000";
+    expect(applyAdvanceTaxTotal(formData)).toBe(formData);
+  });
+});
+
+describe("getAdvanceTaxPayments", () => {
+  it("takes a typed amount to be paid on 15 March", () => {
+    const formData = makeFormData();
+    formData.taxesPaid.advanceTax = "40000";
+    expect(getAdvanceTaxPayments(formData)).toEqual([
+      { date: "2026-03-15", amount: "40000" },
+    ]);
+  });
+});
+
+describe("computeInterest", () => {
+  it("charges 234A, 234B and 234C when nothing was paid in advance", () => {
+    const interest = interestFor(makeFormData({ filingDate: "2026-09-15" }));
+    // Shortfalls of 28,800, 86,500 and 1,44,300 for three months each,
+    // and 1,92,400 for one.
+    expect(interest.section234C).toBe(864 + 2595 + 4329 + 1924);
+    // 1% a month on 1,92,400 from April to September.
+    expect(interest.section234B).toBe(11544);
+    // Two months late, on 1,92,400.
+    expect(interest.section234A.interest).toBe(3848);
+    expect(interest.total).toBe(9712 + 11544 + 3848);
+  });
+
+  it("charges nothing when the tax was paid on time", () => {
+    const formData = applyAdvanceTaxTotal(
+      makeFormData({
+        advanceTaxPayments: [
+          { date: "2025-06-15", amount: "28860" },
+          { date: "2025-09-15", amount: "57720" },
+          { date: "2025-12-15", amount: "57720" },
+          { date: "2026-03-15", amount: "48100" },
+        ],
+      }),
+    );
+    expect(interestFor(formData).total).toBe(0);
+  });
+
+  it("uses the filing due date when no filing date is set", () => {
+    const interest = interestFor(makeFormData());
+    expect(interest.filingDate).toBe("2026-07-31");
+    expect(interest.section234A.interest).toBe(0);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Reading rupee amounts the way people write and say them in India, for
+ * every money input in the calculator and the filing flows.
+ *
+ * Accepted: plain or comma-grouped numbers ("150000", "1,50,000"), rupee
+ * signs and suffixes ("₹ 1,50,000/-", "Rs. 500 only"), shorthand ("50k",
+ * "12.5L", "1.2 cr") and words ("twelve lakh fifty thousand"). Anything
+ * else is rejected rather than read as zero.
+ *
+ * Inputs store the parsed value as a comma-free string, the form the
+ * engine reads. Text that does not parse is stored as typed so validation
+ * can point at it.
+ */
+
+export const AMOUNT_ERROR =
+  "Enter an amount like 1,50,000, 12.5L, 1.2 cr or 50k.";
+
+/**
+ * Converts a stored form value into a number, treating blanks as zero.
+ */
+export const toAmount = (value) => Number(value) || 0;
+
+const ONES = Object.fromEntries(
+  [
+    "zero", "one", "two", "three", "four", "five", "six", "seven", "eight",
+    "nine", "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen",
+    "sixteen", "seventeen", "eighteen", "nineteen",
+  ].map((word, value) => [word, value]),
+);
+
+const TENS = Object.fromEntries(
+  ["twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"]
+    .map((word, index) => [word, (index + 2) * 10]),
+);
+
+const SCALES = {
+  k: 1000,
+  thousand: 1000,
+  l: 100000,
+  lakh: 100000,
+  lakhs: 100000,
+  lac: 100000,
+  lacs: 100000,
+  cr: 10000000,
+  crore: 10000000,
+  crores: 10000000,
+};
+
+// Words allowed around an amount even when parsing strictly.
+const FILLER = new Set(["and", "rupee", "rupees", "rs", "inr", "only"]);
+
+const NOTHING = /^(no|none|nothing|nil|zero|skip|not applicable|na)$/;
+
+// Digits grouped the Indian way (1,50,000) or the international way
+// (150,000).
+const DIGIT_GROUPS = /^(\d{1,2}(,\d{2})*,\d{3}|\d{1,3}(,\d{3})+)$/;
+
+/**
+ * Reads an amount in words, digits or a mix ("12 lakh fifty thousand",
+ * "one point five crore"). Returns the rupees, or null when there is no
+ * amount. Strict parsing rejects any word that is not part of a number,
+ * numbers run together without a scale between them ("1 1", "twelve
+ * twelve"), a scale with no number before it ("lakh") and a scale no
+ * smaller than the one before it ("5 lakh 5 lakh"); otherwise such words
+ * are skipped, as in "my salary is twelve lakh".
+ */
+export const parseSpokenAmount = (text, { strict = false } = {}) => {
+  const words = `${text}`
+    .toLowerCase()
+    .replace(/(\d),(?=\d)/g, "$1")
+    .replace(/[₹,/]/g, " ")
+    .replace(/(\d)(k|l|lakhs?|lacs?|cr|crores?)\b/g, "$1 $2")
+    .replace(/-/g, " ")
+    .replace(/[^\w.\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (NOTHING.test(words.join(" "))) return 0;
+
+  let total = 0;
+  let current = 0;
+  let decimals = null;
+  let found = false;
+  let unknown = false;
+  let repeated = false;
+  let misplaced = false;
+  let lastScale = Infinity;
+  // The number just added since the last hundred or scale word. Only a
+  // unit may follow a tens word, as in "twenty five".
+  let previous = null;
+
+  const addNumber = (value, kind) => {
+    if (previous && !(previous === "tens" && kind === "ones" && value < 10)) {
+      repeated = true;
+    }
+    current += value;
+    previous = kind;
+    found = true;
+  };
+
+  const closeDecimals = () => {
+    if (decimals !== null) current += Number(`0.${decimals || 0}`);
+    decimals = null;
+  };
+
+  words.forEach((word) => {
+    if (word in ONES && decimals !== null) {
+      decimals += ONES[word];
+      found = true;
+    } else if (word in ONES) {
+      addNumber(ONES[word], "ones");
+    } else if (word in TENS) {
+      addNumber(TENS[word], "tens");
+    } else if (/^\d+(\.\d+)?$/.test(word)) {
+      addNumber(Number(word), "figure");
+    } else if (word === "point") {
+      decimals = "";
+    } else if (word === "hundred") {
+      closeDecimals();
+      if (!current) misplaced = true;
+      current = (current || 1) * 100;
+      previous = null;
+      found = true;
+    } else if (word in SCALES) {
+      closeDecimals();
+      if (!current || SCALES[word] >= lastScale) misplaced = true;
+      lastScale = SCALES[word];
+      total += (current || 1) * SCALES[word];
+      current = 0;
+      previous = null;
+      found = true;
+    } else if (!FILLER.has(word)) {
+      unknown = true;
+    }
+  });
+  closeDecimals();
+
+  if (!found || (strict && (unknown || repeated || misplaced))) return null;
+  return Math.round(total + current);
+};
+
+/**
+ * Reads a typed amount. Returns the rupees, or null when the text is blank
+ * or not an amount. Plain numbers keep their paise; shorthand and words
+ * are rounded to the rupee. Commas must group digits the Indian or the
+ * international way, so "12,5" is not read as 125.
+ */
+export const parseAmount = (text) => {
+  const typed = `${text ?? ""}`
+    .trim()
+    .toLowerCase()
+    .replace(/^(₹|rs\.?|inr)\s*/, "")
+    .replace(/\s*(\/-|only)$/, "")
+    .trim();
+  const groups = typed.match(/\d[\d,]*,\d+/g) || [];
+  if (groups.some((group) => !DIGIT_GROUPS.test(group))) return null;
+  const cleaned = typed.replace(/(\d),(?=\d)/g, "$1");
+  // Money inputs take no negative amounts; losses are worked out, not typed.
+  if (!cleaned || cleaned.startsWith("-")) return null;
+
+  const plain = cleaned.match(/^(\d+(?:\.\d+)?|\.\d+)$/);
+  if (plain) return Number(plain[1]);
+  const shorthand = cleaned.match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]+)\.?$/);
+  if (shorthand && SCALES[shorthand[2]]) {
+    return Math.round(Number(shorthand[1]) * SCALES[shorthand[2]]);
+  }
+  // Other words after a number ("2 hundred", "1000 rupees") are read as
+  // words.
+  return parseSpokenAmount(cleaned, { strict: true });
+};
+
+/**
+ * True when a stored value is blank or an amount.
+ */
+export const isAmount = (value) =>
+  `${value ?? ""}`.trim() === "" || parseAmount(value) !== null;
+
+/**
+ * Converts what the user typed into the value an input stores: "" when
+ * blank, the parsed amount as a string, or the text itself when it is not
+ * an amount.
+ */
+export const toStoredAmount = (text) => {
+  if (!text.trim()) return "";
+  const amount = parseAmount(text);
+  return amount === null ? text : `${amount}`;
+};
+
+/**
+ * Displays a stored amount with Indian digit grouping; anything else is
+ * shown as stored so the user can correct it.
+ */
+export const formatAmountInput = (value) => {
+  const text = `${value ?? ""}`;
+  return /^\d+(\.\d+)?$/.test(text)
+    ? Number(text).toLocaleString("en-IN", { maximumFractionDigits: 2 })
+    : text;
+};
+
+const MONEY_FIELDS = {
+  incomeDetails: null,
+  deductions: null,
+  taxesPaid: null,
+  hraDetails: ["hraReceived", "rentPaid"],
+};
+
+const ROW_MONEY_FIELDS = {
+  employers: ["salary", "basicSalary", "exemptAllowances", "tds"],
+  capitalGains: ["buyValue", "sellValue", "expenses"],
+  advanceTaxPayments: ["amount"],
+};
+
+/**
+ * Paths of stored money fields in formData ("incomeDetails.salary",
+ * "employers.0.tds") that do not hold an amount.
+ */
+export const findInvalidAmounts = (formData) => [
+  ...Object.entries(MONEY_FIELDS).flatMap(([category, fields]) =>
+    (fields || Object.keys(formData[category] || {}))
+      .filter((field) => !isAmount(formData[category]?.[field]))
+      .map((field) => `${category}.${field}`),
+  ),
+  ...Object.entries(ROW_MONEY_FIELDS).flatMap(([category, fields]) =>
+    (formData[category] || []).flatMap((row, index) =>
+      fields
+        .filter((field) => !isAmount(row[field]))
+        .map((field) => `${category}.${index}.${field}`),
+    ),
+  ),
+];
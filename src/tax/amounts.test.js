@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { findInvalidAmounts, parseAmount, parseSpokenAmount } from "./amounts";
+import { createFormData } from "./formData";
+
+describe("parseAmount", () => {
+  it.each([
+    ["150000", 150000],
+    ["1,50,000", 150000],
+    ["150,000", 150000],
+    ["₹ 1,50,000/-", 150000],
+    ["Rs. 500 only", 500],
+    ["1234.50", 1234.5],
+    ["50k", 50000],
+    ["12.5L", 1250000],
+    ["1.2 cr", 12000000],
+    ["twelve lakh fifty thousand", 1250000],
+    ["one hundred twenty five", 125],
+    ["1 lakh 50 thousand", 150000],
+    ["2 hundred", 200],
+    ["1000 rupees", 1000],
+    ["1 crore 20 lakh", 12000000],
+  ])("reads %j", (text, amount) => {
+    expect(parseAmount(text)).toBe(amount);
+  });
+
+  it.each([
+    "",
+    "-500",
+    "abc",
+    "12 apples",
+    "1 1",
+    "twelve twelve",
+    "twenty twelve",
+    "12,5",
+    "1,5,00,000",
+    "15,0000",
+    "lakh",
+    "hundred",
+    "5 lakh 5 lakh",
+    "2 thousand 3 lakh",
+  ])("rejects %j", (text) => {
+    expect(parseAmount(text)).toBeNull();
+  });
+});
+
+describe("parseSpokenAmount", () => {
+  it("skips words around the amount", () => {
+    expect(parseSpokenAmount("my salary is twelve lakh")).toBe(1200000);
+  });
+
+  it("reads no, none and skip as zero", () => {
+    expect(parseSpokenAmount("skip")).toBe(0);
+  });
+});
+
+describe("findInvalidAmounts", () => {
+  it("lists the fields that do not hold an amount", () => {
+    const formData = createFormData();
+    formData.incomeDetails.salary = "12,5";
+    formData.employers = [{ salary: "1 1", basicSalary: "", tds: "" }];
+    expect(findInvalidAmounts(formData)).toEqual([
+      "incomeDetails.salary",
+      "employers.0.salary",
+    ]);
+  });
+
+  it("flags a bad advance tax payment amount", () => {
+    const formData = createFormData();
+    formData.advanceTaxPayments = [
+      { date: "2025-06-15", amount: "5 lakh 5 lakh" },
+    ];
+    expect(findInvalidAmounts(formData)).toEqual([
+      "advanceTaxPayments.0.amount",
+    ]);
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Broker and mutual-fund capital-gains statements (CSV) into the capital
+ * gains tab's transactions. Everything runs in the browser: the file is read
+ * locally, matched against a layout, and every row is normalised or given a
+ * row-level error for the preview.
+ *
+ * A layout maps each transaction field to the header names it may appear
+ * under. Layouts are plain data so new brokers, or a user's own column
+ * choices, need no code changes.
+ */
+
+import { ASSET_TYPES } from "./capitalGains";
+
+export const TRANSACTION_FIELDS = {
+  name: { label: "Security / Scheme", required: false },
+  assetType: { label: "Asset Type", required: false },
+  buyDate: { label: "Buy Date", required: true },
+  sellDate: { label: "Sell Date", required: true },
+  quantity: { label: "Quantity", required: false },
+  buyValue: { label: "Buy Value", required: true },
+  sellValue: { label: "Sell Value", required: true },
+  expenses: { label: "Expenses", required: false },
+};
+
+export const BROKER_LAYOUTS = [
+  {
+    id: "zerodha",
+    label: "Zerodha Console (Tax P&L)",
+    assetType: "listedEquity",
+    columns: {
+      name: ["Symbol"],
+      buyDate: ["Entry Date"],
+      sellDate: ["Exit Date"],
+      quantity: ["Quantity"],
+      buyValue: ["Buy Value"],
+      sellValue: ["Sell Value"],
+    },
+  },
+  {
+    id: "groww",
+    label: "Groww (Stocks Capital Gains)",
+    assetType: "listedEquity",
+    columns: {
+      name: ["Stock name", "Stock Name"],
+      buyDate: ["Buy date", "Buy Date"],
+      sellDate: ["Sell date", "Sell Date"],
+      quantity: ["Quantity"],
+      buyValue: ["Buy value", "Buy Value"],
+      sellValue: ["Sell value", "Sell Value"],
+    },
+  },
+  {
+    id: "upstox",
+    label: "Upstox (Realised P&L)",
+    assetType: "listedEquity",
+    columns: {
+      name: ["Scrip Name", "Scrip"],
+      buyDate: ["Buy Date"],
+      sellDate: ["Sell Date"],
+      quantity: ["Quantity", "Qty"],
+      buyValue: ["Buy Amount"],
+      sellValue: ["Sell Amount"],
+      expenses: ["Charges"],
+    },
+  },
+  {
+    id: "camsKfin",
+    label: "CAMS / KFintech (Mutual Fund Capital Gains)",
+    assetTypeRules: [
+      { pattern: "equity|elss", assetType: "equityFund" },
+      { pattern: ".*", assetType: "debtFund" },
+    ],
+    columns: {
+      name: ["Scheme Name", "Scheme"],
+      assetType: ["Fund Type", "Asset Class", "Scheme Type"],
+      buyDate: ["Purchase Date", "Date of Purchase"],
+      sellDate: ["Redemption Date", "Date of Redemption"],
+      quantity: ["Units"],
+      buyValue: ["Purchase Amount", "Cost of Acquisition", "Purchase Value"],
+      sellValue: ["Redemption Amount", "Redemption Value", "Sale Value"],
+      expenses: ["STT"],
+    },
+  },
+  {
+    id: "generic",
+    label: "Generic (Asset Type, Buy Date, Sell Date, Buy Value, Sell Value)",
+    assetType: "listedEquity",
+    columns: {
+      name: ["Name", "Description"],
+      assetType: ["Asset Type"],
+      buyDate: ["Buy Date", "Purchase Date"],
+      sellDate: ["Sell Date", "Sale Date"],
+      quantity: ["Quantity"],
+      buyValue: ["Buy Value", "Cost"],
+      sellValue: ["Sell Value", "Sale Value"],
+      expenses: ["Expenses"],
+    },
+  },
+];
+
+// Header rows in broker files often follow a few lines of account details.
+const HEADER_SEARCH_ROWS = 30;
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+/**
+ * Splits CSV text into rows of trimmed cells. Handles quoted cells with
+ * commas, escaped quotes and line breaks.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some(Boolean));
+};
+
+/**
+ * Parses the date formats seen in Indian statements (DD-MM-YYYY,
+ * DD/MM/YYYY, DD-Mon-YYYY, YYYY-MM-DD) into ISO "YYYY-MM-DD", or null.
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let [year, month, day] = match
+    ? [match[1], match[2], match[3]].map(Number)
+    : [];
+
+  if (!match) {
+    match = text.match(/^(\d{1,2})[-/. ](\d{1,2}|[A-Za-z]{3})[A-Za-z]*[-/. ](\d{2,4})$/);
+    if (!match) return null;
+    day = Number(match[1]);
+    month = MONTHS[match[2].toLowerCase()] || Number(match[2]);
+    year = Number(match[3]);
+    if (year < 100) year += 2000;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parses statement amounts such as "₹1,23,456.50", "Rs. 500" or "(250)"
+ * (a negative). Returns null when the cell is not a number.
+ */
+export const parseStatementAmount = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text || text === "-") return 0;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith("-");
+  const cleaned = text
+    .replace(/^[(-]|\)$/g, "")
+    .replace(/₹|rs\.?|inr|,|\s/gi, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+  return (negative ? -1 : 1) * Number(cleaned);
+};
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/\s+/g, " ");
+
+/**
+ * Resolves a layout against a header row: field name to column index.
+ */
+export const resolveColumns = (layout, headers) => {
+  const normalised = headers.map(normaliseHeader);
+  return Object.fromEntries(
+    Object.entries(layout.columns).map(([field, names]) => [
+      field,
+      names
+        .map((name) => normalised.indexOf(normaliseHeader(name)))
+        .find((index) => index >= 0) ?? -1,
+    ]),
+  );
+};
+
+const hasRequiredColumns = (columns) =>
+  Object.entries(TRANSACTION_FIELDS)
+    .filter(([, { required }]) => required)
+    .every(([field]) => columns[field] >= 0);
+
+/**
+ * Finds the header row and the layout that matches it best. Returns null
+ * when no layout finds all the required columns.
+ */
+export const detectLayout = (rows, layouts = BROKER_LAYOUTS) => {
+  let best = null;
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((headers, headerIndex) => {
+    layouts.forEach((layout) => {
+      const columns = resolveColumns(layout, headers);
+      if (!hasRequiredColumns(columns)) return;
+      const matched = Object.values(columns).filter((i) => i >= 0).length;
+      if (!best || matched > best.matched) {
+        best = { layout, headerIndex, columns, matched };
+      }
+    });
+  });
+  return best;
+};
+
+const resolveAssetType = (layout, cell) => {
+  if (cell && ASSET_TYPES[cell]) return cell;
+  const byLabel = Object.entries(ASSET_TYPES).find(
+    ([, { label }]) => label.toLowerCase() === String(cell).toLowerCase(),
+  );
+  if (byLabel) return byLabel[0];
+  const rule = (layout.assetTypeRules || []).find(({ pattern }) =>
+    new RegExp(pattern, "i").test(cell || ""),
+  );
+  return rule ? rule.assetType : layout.assetType || "other";
+};
+
+/**
+ * Turns data rows into transactions using resolved `columns`. Each result
+ * has `rowNumber` (1-based, as in a spreadsheet), the `transaction` and a
+ * list of `errors`; rows with errors must not be imported.
+ */
+export const normaliseRows = (rows, headerIndex, layout, columns) =>
+  rows.slice(headerIndex + 1).map((cells, offset) => {
+    const cell = (field) => (columns[field] >= 0 ? cells[columns[field]] : "");
+    const errors = [];
+
+    const dates = {};
+    ["buyDate", "sellDate"].forEach((field) => {
+      dates[field] = parseStatementDate(cell(field));
+      if (!dates[field]) {
+        errors.push(
+          `${TRANSACTION_FIELDS[field].label} "${cell(field) || ""}" is not a date.`,
+        );
+      }
+    });
+
+    const amounts = {};
+    ["buyValue", "sellValue", "expenses"].forEach((field) => {
+      amounts[field] = parseStatementAmount(cell(field));
+      if (amounts[field] === null) {
+        errors.push(
+          `${TRANSACTION_FIELDS[field].label} "${cell(field)}" is not an amount.`,
+        );
+      } else if (amounts[field] < 0) {
+        errors.push(`${TRANSACTION_FIELDS[field].label} cannot be negative.`);
+      }
+    });
+
+    return {
+      rowNumber: headerIndex + offset + 2,
+      name: cell("name"),
+      quantity: cell("quantity"),
+      errors,
+      transaction: {
+        assetType: resolveAssetType(layout, cell("assetType")),
+        buyDate: dates.buyDate || "",
+        sellDate: dates.sellDate || "",
+        buyValue: `${amounts.buyValue ?? ""}`,
+        sellValue: `${amounts.sellValue ?? ""}`,
+        expenses: amounts.expenses ? `${amounts.expenses}` : "",
+      },
+    };
+  });
+
+/**
+ * Reads a statement end to end. `layoutId` and `columnOverrides` let the
+ * user force a layout or re-point individual columns from the preview.
+ */
+export const importStatement = (
+  text,
+  { layoutId, columnOverrides = {}, layouts = BROKER_LAYOUTS } = {},
+) => {
+  const rows = parseCsv(text);
+  const candidates = layoutId
+    ? layouts.filter(({ id }) => id === layoutId)
+    : layouts;
+  const detected = detectLayout(rows, candidates);
+  const headerIndex = detected ? detected.headerIndex : 0;
+  const layout = detected ? detected.layout : candidates[0];
+  const columns = {
+    ...(detected ? detected.columns : resolveColumns(layout, rows[0] || [])),
+    ...columnOverrides,
+  };
+
+  if (!hasRequiredColumns(columns)) {
+    return {
+      layout,
+      headers: rows[headerIndex] || [],
+      columns,
+      rows: [],
+      error:
+        "Could not find buy/sell date and value columns. Pick the columns below.",
+    };
+  }
+
+  return {
+    layout,
+    headers: rows[headerIndex],
+    columns,
+    rows: normaliseRows(rows, headerIndex, layout, columns),
+    error: "",
+  };
+};
@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import {
+  detectLayout,
+  normaliseRows,
+  parseCsv,
+  parseStatementDate,
+} from "./brokerImport";
+
+describe("parseCsv", () => {
+  it("keeps commas, quotes and line breaks inside quoted cells", () => {
+    const text =
+      'Name,Note\r\n"Tata Motors, Ltd","said ""hold""\nthen sold"\n\n';
+    expect(parseCsv(text)).toEqual([
+      ["Name", "Note"],
+      ["Tata Motors, Ltd", 'said "hold"\nthen sold'],
+    ]);
+  });
+});
+
+describe("parseStatementDate", () => {
+  it.each([
+    ["05-04-2024", "2024-04-05"],
+    ["5/4/24", "2024-04-05"],
+    ["05-Apr-2024", "2024-04-05"],
+    ["05 April 2024", "2024-04-05"],
+    ["2024-04-05", "2024-04-05"],
+  ])("reads %j", (value, expected) => {
+    expect(parseStatementDate(value)).toBe(expected);
+  });
+
+  it.each(["31-02-2024", "2024/13/01", "yesterday", ""])(
+    "rejects %j",
+    (value) => {
+      expect(parseStatementDate(value)).toBeNull();
+    },
+  );
+});
+
+describe("detectLayout", () => {
+  it("finds the header row below a statement's title lines", () => {
+    const rows = parseCsv(
+      [
+        "Tax P&L statement",
+        "Client ID,AB1234",
+        "Symbol,Entry Date,Exit Date,Quantity,Buy Value,Sell Value",
+        "INFY,01-04-2023,10-06-2025,10,14000,16000",
+      ].join("\n"),
+    );
+    const detected = detectLayout(rows);
+    expect(detected.layout.id).toBe("zerodha");
+    expect(detected.headerIndex).toBe(2);
+    expect(detected.columns.sellValue).toBe(5);
+  });
+
+  it("returns null when no layout has the required columns", () => {
+    expect(detectLayout([["Date", "Amount"]])).toBeNull();
+  });
+});
+
+describe("normaliseRows", () => {
+  const rows = parseCsv(
+    [
+      "Symbol,Entry Date,Exit Date,Quantity,Buy Value,Sell Value",
+      'INFY,01-04-2023,10-06-2025,10,"14,000","16,000"',
+      "TCS,someday,10-06-2025,5,abc,(500)",
+    ].join("\n"),
+  );
+  const { layout, headerIndex, columns } = detectLayout(rows);
+  const [good, bad] = normaliseRows(rows, headerIndex, layout, columns);
+
+  it("turns a row into a transaction", () => {
+    expect(good.errors).toEqual([]);
+    expect(good.rowNumber).toBe(2);
+    expect(good.transaction).toEqual({
+      assetType: "listedEquity",
+      buyDate: "2023-04-01",
+      sellDate: "2025-06-10",
+      buyValue: "14000",
+      sellValue: "16000",
+      expenses: "",
+    });
+  });
+
+  it("lists every problem in a row", () => {
+    expect(bad.rowNumber).toBe(3);
+    expect(bad.errors).toEqual([
+      'Buy Date "someday" is not a date.',
+      'Buy Value "abc" is not an amount.',
+      "Sell Value cannot be negative.",
+    ]);
+  });
+});
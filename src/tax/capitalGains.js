@@ -0,0 +1,220 @@
+/**
+ * Capital gains (sections 45-55A, 111A, 112, 112A). Turns the calculator's
+ * transaction list into gains classified by holding period, sets off losses
+ * and returns the income that is taxed at slab rates separately from the
+ * rows taxed at special rates.
+ *
+ * Dates are ISO "YYYY-MM-DD" strings, as produced by <input type="date">.
+ */
+
+import { toAmount } from "./amounts";
+import { COST_INFLATION_INDEX, getYearRules } from "./rules";
+
+export const ASSET_TYPES = {
+  listedEquity: { label: "Listed Shares (STT paid)", equity: true },
+  equityFund: { label: "Equity Mutual Fund", equity: true },
+  debtFund: { label: "Debt Mutual Fund" },
+  listedBond: { label: "Listed Bonds / Debentures" },
+  property: { label: "Land / Building", landOrBuilding: true },
+  unlistedShares: { label: "Unlisted Shares" },
+  other: { label: "Gold / Other Assets" },
+};
+
+// Debt funds bought from this date are always short-term (Section 50AA).
+const SPECIFIED_FUND_DATE = "2023-04-01";
+
+// Land and buildings bought before this date may still use indexation at
+// 20% if that gives lower tax.
+const INDEXATION_GRANDFATHER_DATE = "2024-07-23";
+
+const SECTION_LABELS = {
+  "111A": "Short-term Capital Gains on Equity",
+  "112A": "Long-term Capital Gains on Equity",
+  112: "Long-term Capital Gains",
+};
+
+/**
+ * Returns an empty transaction for the capital gains tab.
+ */
+export const createTransaction = () => ({
+  assetType: "listedEquity",
+  buyDate: "",
+  sellDate: "",
+  buyValue: "",
+  sellValue: "",
+  expenses: "",
+});
+
+const addMonths = (isoDate, months) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Financial year (by its starting calendar year) a date falls in.
+ */
+const financialYearOf = (isoDate) => {
+  const [year, month] = isoDate.split("-").map(Number);
+  return month >= 4 ? year : year - 1;
+};
+
+const getCostInflationIndex = (isoDate) =>
+  COST_INFLATION_INDEX[Math.max(2001, financialYearOf(isoDate))];
+
+/**
+ * Rates in force on a sale date: the last period starting on or before it.
+ */
+const getPeriodRules = (periods, sellDate) =>
+  periods.reduce(
+    (current, period) => (sellDate >= period.from ? period : current),
+    periods[0],
+  );
+
+/**
+ * Validates a transaction against the financial year. Returns an error
+ * message, or an empty string when the row can be computed.
+ */
+export const validateTransaction = (txn, { start, end }) => {
+  if (!txn.buyDate || !txn.sellDate) return "Enter both buy and sell dates.";
+  if (txn.sellDate < txn.buyDate) return "Sell date is before buy date.";
+  if (txn.sellDate < start || txn.sellDate > end) {
+    return `Sell date is outside this financial year (${start} to ${end}).`;
+  }
+  if (!toAmount(txn.sellValue)) return "Enter the sale value.";
+  return "";
+};
+
+/**
+ * Classifies one transaction and computes its gain. Long-term gains on land
+ * and buildings bought before 23 July 2024 use whichever of 12.5% without
+ * indexation or 20% with indexation gives lower tax.
+ */
+export const classifyTransaction = (txn, periods) => {
+  const period = getPeriodRules(periods, txn.sellDate);
+  const asset = ASSET_TYPES[txn.assetType] || ASSET_TYPES.other;
+  const holdingMonths =
+    period.holdingMonths[txn.assetType] ?? period.holdingMonths.other;
+  const specifiedFund =
+    txn.assetType === "debtFund" && txn.buyDate >= SPECIFIED_FUND_DATE;
+  const longTerm =
+    !specifiedFund && txn.sellDate > addMonths(txn.buyDate, holdingMonths);
+
+  const cost = toAmount(txn.buyValue);
+  const sale = toAmount(txn.sellValue) - toAmount(txn.expenses);
+  const gain = sale - cost;
+  const row = { ...txn, term: longTerm ? "long" : "short", gain };
+
+  if (!longTerm) {
+    return asset.equity
+      ? { ...row, section: "111A", rate: period.stcg111A }
+      : { ...row, section: null, rate: null };
+  }
+  if (asset.equity) {
+    return { ...row, section: "112A", rate: period.ltcg112A };
+  }
+
+  const indexedCost = Math.round(
+    (cost * getCostInflationIndex(txn.sellDate)) /
+      getCostInflationIndex(txn.buyDate),
+  );
+  const indexedGain = sale - indexedCost;
+  const useIndexation =
+    period.indexation ||
+    (asset.landOrBuilding &&
+      txn.buyDate < INDEXATION_GRANDFATHER_DATE &&
+      indexedGain * 0.2 < gain * period.ltcg112);
+
+  return useIndexation
+    ? { ...row, section: "112", rate: 0.2, gain: indexedGain, indexedCost }
+    : { ...row, section: "112", rate: period.ltcg112 };
+};
+
+/**
+ * Sets off a loss against gain buckets, highest rate first. Slab-rate gains
+ * (rate null) count as the highest. Returns the loss left over.
+ */
+const setOffLoss = (loss, buckets) => {
+  let remaining = loss;
+  [...buckets]
+    .sort((a, b) => (b.rate ?? 1) - (a.rate ?? 1))
+    .forEach((bucket) => {
+      const used = Math.min(bucket.income, remaining);
+      bucket.income -= used;
+      remaining -= used;
+    });
+  return remaining;
+};
+
+/**
+ * Computes capital gains for a financial year.
+ *
+ * Returns the classified `transactions` (invalid rows carry an `error` and
+ * are left out), `slabIncome` for short-term gains taxed at slab rates,
+ * `specialRateIncome` rows in the same shape as the engine's special-rate
+ * income, the 112A exemption used and losses carried forward.
+ */
+export const computeCapitalGains = (transactions = [], financialYear) => {
+  const { period, capitalGains } = getYearRules(financialYear);
+  const rows = transactions.map((txn) => {
+    const error = validateTransaction(txn, period);
+    return error
+      ? { ...txn, error }
+      : classifyTransaction(txn, capitalGains.periods);
+  });
+
+  const buckets = {};
+  const losses = { short: 0, long: 0 };
+  rows
+    .filter((row) => !row.error)
+    .forEach((row) => {
+      if (row.gain < 0) {
+        losses[row.term] -= row.gain;
+        return;
+      }
+      const key = `${row.term}-${row.section}-${row.rate}`;
+      buckets[key] = buckets[key] || {
+        term: row.term,
+        section: row.section,
+        rate: row.rate,
+        income: 0,
+      };
+      buckets[key].income += row.gain;
+    });
+
+  const all = Object.values(buckets);
+  const shortTerm = all.filter((bucket) => bucket.term === "short");
+  const longTerm = all.filter((bucket) => bucket.term === "long");
+  const shortLossLeft = setOffLoss(losses.short, shortTerm);
+  const unusedShortLoss = setOffLoss(shortLossLeft, longTerm);
+  const unusedLongLoss = setOffLoss(losses.long, longTerm);
+
+  let exemptionLeft = capitalGains.exemption112A;
+  longTerm
+    .filter((bucket) => bucket.section === "112A")
+    .sort((a, b) => b.rate - a.rate)
+    .forEach((bucket) => {
+      const used = Math.min(bucket.income, exemptionLeft);
+      bucket.income -= used;
+      exemptionLeft -= used;
+    });
+
+  return {
+    transactions: rows,
+    slabIncome: all
+      .filter((bucket) => bucket.section === null)
+      .reduce((total, bucket) => total + bucket.income, 0),
+    specialRateIncome: all
+      .filter((bucket) => bucket.section !== null && bucket.income > 0)
+      .map((bucket) => ({
+        key: `cg-${bucket.section}-${bucket.rate}`,
+        section: bucket.section,
+        label: SECTION_LABELS[bucket.section],
+        rate: bucket.rate,
+        income: bucket.income,
+        capitalGain: true,
+      })),
+    exemption112A: capitalGains.exemption112A - exemptionLeft,
+    carryForwardLoss: { shortTerm: unusedShortLoss, longTerm: unusedLongLoss },
+  };
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { computeCapitalGains, createTransaction } from "./capitalGains";
+import { computeTax } from "./engine";
+
+const FY_2025 = "FY 2025-2026";
+
+/**
+ * A sale of `assetType` with a gain (or, when negative, a loss) of `gain`.
+ */
+const sale = (assetType, buyDate, sellDate, gain) => ({
+  ...createTransaction(),
+  assetType,
+  buyDate,
+  sellDate,
+  buyValue: "1000000",
+  sellValue: String(1000000 + gain),
+});
+
+const incomeBySection = ({ specialRateIncome }) =>
+  Object.fromEntries(
+    specialRateIncome.map(({ section, income }) => [section, income]),
+  );
+
+describe("computeCapitalGains", () => {
+  it("counts listed shares as long-term only after twelve months", () => {
+    const { transactions } = computeCapitalGains(
+      [
+        sale("listedEquity", "2024-06-01", "2025-06-01", 10000),
+        sale("listedEquity", "2024-06-01", "2025-06-02", 10000),
+      ],
+      FY_2025,
+    );
+    expect(transactions.map((row) => row.section)).toEqual(["111A", "112A"]);
+  });
+
+  it("taxes a debt fund bought from April 2023 at slab rates", () => {
+    const gains = computeCapitalGains(
+      [sale("debtFund", "2023-04-01", "2025-09-01", 50000)],
+      FY_2025,
+    );
+    expect(gains.transactions[0].term).toBe("short");
+    expect(gains.slabIncome).toBe(50000);
+    expect(gains.specialRateIncome).toEqual([]);
+  });
+
+  it("exempts the first ₹1,25,000 of 112A gains", () => {
+    const gains = computeCapitalGains(
+      [sale("equityFund", "2023-01-10", "2025-08-01", 200000)],
+      FY_2025,
+    );
+    expect(gains.exemption112A).toBe(125000);
+    expect(incomeBySection(gains)).toEqual({ "112A": 75000 });
+  });
+
+  it("sets a short-term loss off slab-rate gains first, then long-term", () => {
+    const gains = computeCapitalGains(
+      [
+        sale("listedEquity", "2025-05-01", "2025-08-01", -300000),
+        sale("debtFund", "2024-01-01", "2025-08-01", 100000),
+        sale("listedEquity", "2025-04-10", "2025-07-01", 150000),
+        sale("listedEquity", "2023-01-10", "2025-08-01", 300000),
+      ],
+      FY_2025,
+    );
+    // 1,00,000 at slab rates and 1,50,000 under 111A take 2,50,000; the
+    // rest comes off the 112A gain before its exemption.
+    expect(gains.slabIncome).toBe(0);
+    expect(incomeBySection(gains)).toEqual({ "112A": 125000 });
+    expect(gains.carryForwardLoss).toEqual({ shortTerm: 0, longTerm: 0 });
+  });
+
+  it("carries a long-term loss forward rather than set it off short-term", () => {
+    const gains = computeCapitalGains(
+      [
+        sale("unlistedShares", "2020-01-10", "2025-08-01", -50000),
+        sale("listedEquity", "2025-04-10", "2025-07-01", 100000),
+      ],
+      FY_2025,
+    );
+    expect(incomeBySection(gains)).toEqual({ "111A": 100000 });
+    expect(gains.carryForwardLoss).toEqual({ shortTerm: 0, longTerm: 50000 });
+  });
+});
+
+describe("surcharge on capital gains", () => {
+  it("limits surcharge on 112A tax to 15%", () => {
+    // ₹2 crore at slab rates plus ₹10 lakh of 112A gains after the
+    // exemption, at 12.5%.
+    const result = computeTax({
+      financialYear: FY_2025,
+      regime: "new",
+      ageGroup: "0-60",
+      incomeDetails: { salary: "20075000" },
+      capitalGains: [
+        sale("listedEquity", "2023-01-10", "2025-08-01", 1125000),
+      ],
+    });
+    expect(result.specialRateTax).toBe(125000);
+    expect(result.surcharge).toBe(5580000 * 0.25 + 125000 * 0.15);
+  });
+});
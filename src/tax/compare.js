@@ -0,0 +1,60 @@
+/**
+ * Old vs New regime comparison built on the engine: both regimes are
+ * computed from the same inputs so the recommendation comes from real
+ * numbers rather than a static label.
+ */
+
+import { computeTax } from "./engine";
+
+/**
+ * Old-regime tax payable if the user's exemptions and Chapter VI-A claims
+ * were replaced by a single deduction of `amount`.
+ */
+const oldRegimeTaxWithDeductions = (input, amount) =>
+  computeTax({
+    ...input,
+    regime: "old",
+    incomeDetails: { ...input.incomeDetails, exemptAllowances: 0 },
+    hraDetails: { ...input.hraDetails, claimExemption: false },
+    deductions: { otherDeduction: amount },
+  }).taxPayable;
+
+/**
+ * Smallest total of exemptions plus deductions at which the old regime costs
+ * no more than `newTax`, or null when no amount makes the old regime win.
+ */
+export const findBreakEvenDeductions = (input, newTax) => {
+  let low = 0;
+  let high = Math.max(0, computeTax({ ...input, regime: "new" }).totalIncome);
+
+  if (oldRegimeTaxWithDeductions(input, high) > newTax) return null;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (oldRegimeTaxWithDeductions(input, mid) <= newTax) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Computes both regimes and recommends the cheaper one. Ties go to the new
+ * regime, which is the default and needs no investment proofs.
+ */
+export const compareRegimes = (input) => {
+  const oldRegime = computeTax({ ...input, regime: "old" });
+  const newRegime = computeTax({ ...input, regime: "new" });
+  const recommended =
+    oldRegime.taxPayable < newRegime.taxPayable ? "old" : "new";
+
+  return {
+    old: oldRegime,
+    new: newRegime,
+    recommended,
+    saving: Math.abs(oldRegime.taxPayable - newRegime.taxPayable),
+    currentOldDeductions: oldRegime.exemptAllowances + oldRegime.chapterVIA,
+    breakEvenDeductions: findBreakEvenDeductions(input, newRegime.taxPayable),
+  };
+};
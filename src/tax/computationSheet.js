@@ -0,0 +1,259 @@
+/**
+ * The computation of total income and tax in the layout chartered
+ * accountants hand to clients: income head by head, gross total income,
+ * Chapter VI-A deductions, total income, then the tax on it slab by slab
+ * down to the net amount payable or refundable, with the interest under
+ * 234A, 234B and 234C that computeInterest works out for the calculator.
+ *
+ * Built from the calculator's formData and the engine's result for the
+ * chosen regime; the PDF export only draws what this returns. Amounts are
+ * signed: deductions ("Less:") are negative.
+ */
+
+import { computeInterest } from "./advanceTax";
+import { toAmount } from "./amounts";
+import { getAssessmentYear } from "./itrJson";
+import {
+  INCOME_LABELS,
+  TAXES_PAID_LABELS,
+  getDeductionLabel,
+  getSlabRangeLabel,
+} from "./labels";
+import { getYearRules } from "./rules";
+
+const REGIME_NAMES = {
+  new: "New regime (section 115BAC)",
+  old: "Old regime",
+};
+
+const formatRate = (rate) => `${Math.round(rate * 10000) / 100}%`;
+
+// "2026" becomes "2026-27".
+const formatAssessmentYear = (financialYear) => {
+  const year = getAssessmentYear(financialYear);
+  return `${year}-${String(Number(year) + 1).slice(2)}`;
+};
+
+const item = (label, amount) => ({ label, amount });
+
+const total = (label, amount) => ({ label, amount, total: true });
+
+// Rows with nothing in them are left out, as on a CA's sheet.
+const nonZero = (rows) => rows.filter((row) => row.total || row.amount);
+
+const sumRows = (rows) =>
+  rows.reduce((sum, row) => sum + (row.total ? 0 : row.amount), 0);
+
+const salaryHead = (formData, result) => {
+  const rows = nonZero([
+    item("Gross salary", toAmount(formData.incomeDetails.salary)),
+    item("Less: HRA exempt u/s 10(13A)", -result.hraExemption),
+    item(
+      "Less: Other exempt allowances u/s 10",
+      -(result.exemptAllowances - result.hraExemption),
+    ),
+    item("Less: Standard deduction u/s 16(ia)", -result.standardDeduction),
+  ]);
+  return { heading: "Income from Salaries", rows };
+};
+
+const housePropertyHead = ({ houseProperty }) => {
+  const rows = nonZero([
+    item("Rent received (gross annual value)", houseProperty.rentReceived),
+    item("Less: Municipal taxes paid", -houseProperty.municipalTax),
+    item(
+      "Less: Standard deduction at 30% u/s 24(a)",
+      -houseProperty.standardDeduction,
+    ),
+    item(
+      "Less: Interest on borrowed capital u/s 24(b) (let-out)",
+      -houseProperty.letOutInterest,
+    ),
+    item(
+      "Less: Interest on borrowed capital u/s 24(b) (self-occupied)",
+      -houseProperty.selfOccupiedInterest,
+    ),
+  ]);
+  // Only the loss allowed to be set off this year enters the total.
+  if (houseProperty.carryForward) {
+    rows.push(
+      item(
+        "Add: Loss carried forward to later years",
+        houseProperty.carryForward,
+      ),
+    );
+  }
+  return { heading: "Income from House Property", rows };
+};
+
+const capitalGainsHead = ({ capitalGains, specialRateIncome }) => ({
+  heading: "Capital Gains",
+  rows: nonZero([
+    item("Short-term gains taxed at slab rates", capitalGains.slabIncome),
+    ...specialRateIncome
+      .filter((row) => row.capitalGain)
+      .map((row) => item(`${row.label} (u/s ${row.section})`, row.income)),
+  ]),
+});
+
+const otherSourcesHead = (formData, { specialRateIncome }) => ({
+  heading: "Income from Other Sources",
+  rows: nonZero([
+    item(
+      INCOME_LABELS.interestIncome,
+      toAmount(formData.incomeDetails.interestIncome),
+    ),
+    item(INCOME_LABELS.otherIncome, toAmount(formData.incomeDetails.otherIncome)),
+    ...specialRateIncome
+      .filter((row) => !row.capitalGain)
+      .map((row) => item(`${row.label} (u/s ${row.section})`, row.income)),
+  ]),
+});
+
+const taxSection = (result) => {
+  const { rate, marginalRelief } = result.surchargeDetails;
+  const slabRows = result.slabBreakdown
+    .filter(({ income }) => income)
+    .map((row) =>
+      item(
+        `${getSlabRangeLabel(row)}: ₹${row.income.toLocaleString(
+          "en-IN",
+        )} at ${formatRate(row.rate)}`,
+        Math.round(row.tax),
+      ),
+    );
+  const specialRows = result.specialRateIncome
+    .filter(({ income }) => income)
+    .map((row) =>
+      item(
+        `u/s ${row.section}: ₹${(
+          row.income - row.basicExemptionUsed
+        ).toLocaleString("en-IN")} at ${formatRate(row.rate)}`,
+        row.tax,
+      ),
+    );
+
+  return {
+    heading: "Computation of Tax",
+    rows: [
+      ...slabRows,
+      ...specialRows,
+      total(
+        "Tax on total income",
+        Math.round(result.slabTax + result.specialRateTax),
+      ),
+      ...nonZero([
+        item("Less: Rebate u/s 87A", -Math.round(result.rebate87A)),
+        item(
+          "Less: Marginal relief on the 87A rebate",
+          -Math.round(result.rebateMarginalRelief),
+        ),
+        item(
+          `Add: Surcharge at ${formatRate(rate)}${
+            marginalRelief ? " (after marginal relief)" : ""
+          }`,
+          result.surcharge,
+        ),
+      ]),
+      item(
+        `Add: Health and Education Cess at ${formatRate(
+          getYearRules(result.financialYear).cessRate,
+        )}`,
+        result.healthEducationCess,
+      ),
+      total("Total tax liability", Math.round(result.taxPayable)),
+    ],
+  };
+};
+
+const taxesPaidSection = (formData, result) => {
+  const interest = computeInterest(formData, result);
+  const rows = nonZero([
+    ...Object.entries(result.taxCredits).map(([key, amount]) =>
+      item(`Less: ${TAXES_PAID_LABELS[key]}`, -amount),
+    ),
+    item("Add: Interest u/s 234A", interest.section234A.interest),
+    item("Add: Interest u/s 234B", interest.section234B),
+    item("Add: Interest u/s 234C", interest.section234C),
+  ]);
+  const balance = Math.round(result.taxPayable) + sumRows(rows);
+  return {
+    heading: "Taxes Paid",
+    rows: [
+      ...rows,
+      total(
+        balance < 0 ? "Refund due" : "Net tax payable",
+        Math.abs(balance),
+      ),
+    ],
+  };
+};
+
+/**
+ * Lays out the computation. `name` heads the sheet (the calculator passes
+ * the profile's name). Returns { title, details: [[label, value]],
+ * sections: [{ heading?, rows: [{ label, amount, total? }] }] }; income
+ * sections end with a total row for the head, and the gross total and
+ * total income stand alone without a heading.
+ */
+export const buildComputation = (formData, result, { name, date } = {}) => {
+  const heads = [
+    salaryHead(formData, result),
+    housePropertyHead(result),
+    capitalGainsHead(result),
+    otherSourcesHead(formData, result),
+  ]
+    .filter(({ rows }) => rows.length)
+    .map(({ heading, rows }) => ({
+      heading,
+      rows: [...rows, total(heading, sumRows(rows))],
+    }));
+  const specialIncome = result.specialRateIncome.reduce(
+    (sum, { income }) => sum + income,
+    0,
+  );
+  const deductions = nonZero(
+    Object.entries(result.deductionDetails).map(([key, { allowed }]) =>
+      item(getDeductionLabel(key, result.ageGroup), allowed),
+    ),
+  );
+
+  return {
+    title: "Computation of Total Income and Tax",
+    details: [
+      ...(name ? [["Name", name]] : []),
+      ["Financial year", result.financialYear.replace(/^FY /, "")],
+      ["Assessment year", formatAssessmentYear(result.financialYear)],
+      ["Tax regime", REGIME_NAMES[result.regime]],
+      ["Age group", result.ageGroup],
+      ...(date ? [["Prepared on", date]] : []),
+    ],
+    sections: [
+      ...heads,
+      {
+        rows: [
+          total(
+            "Gross total income",
+            result.grossTotalIncome + specialIncome,
+          ),
+        ],
+      },
+      ...(deductions.length
+        ? [
+            {
+              heading: "Deductions under Chapter VI-A",
+              rows: [
+                ...deductions,
+                total("Total deductions", result.chapterVIA),
+              ],
+            },
+          ]
+        : []),
+      {
+        rows: [total("Total income", result.taxableIncome)],
+      },
+      taxSection(result),
+      taxesPaidSection(formData, result),
+    ],
+  };
+};
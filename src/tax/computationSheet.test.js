@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { buildComputation } from "./computationSheet";
+import { computeTax } from "./engine";
+import { createFormData } from "./formData";
+
+describe("buildComputation", () => {
+  it("adds interest to the net tax payable", () => {
+    const formData = createFormData();
+    formData.financialYear = "FY 2025-2026";
+    formData.incomeDetails.salary = "2000000";
+    formData.filingDate = "2026-09-15";
+    const result = computeTax({ ...formData, regime: "new" });
+    const { rows } = buildComputation(formData, result).sections.at(-1);
+    expect(rows.map(({ label, amount }) => [label, amount])).toEqual([
+      ["Add: Interest u/s 234A", 3848],
+      ["Add: Interest u/s 234B", 11544],
+      ["Add: Interest u/s 234C", 9712],
+      ["Net tax payable", 192400 + 25104],
+    ]);
+  });
+});
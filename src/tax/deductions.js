@@ -0,0 +1,206 @@
+/**
+ * Chapter VI-A deduction rules. Limits here are statutory ceilings; the
+ * engine deducts the allowed amount, never more than the user claimed.
+ */
+
+import { toAmount } from "./amounts";
+import { compute80GG } from "./hra";
+import { isSeniorCitizen } from "./rules";
+
+const formatLimit = (amount) => `₹${amount.toLocaleString("en-IN")}`;
+
+// 80C, 80CCC and 80CCD(1) share one ceiling, filled in this order.
+const SECTION_80C_FIELDS = ["basic80C", "pension80CCC", "nps80CCD"];
+const SECTION_80C_LIMIT = 150000;
+
+// 80GG depends on income left after the other deductions.
+const SECTION_80GG_FIELD = "rent80GG";
+
+// 80G donations are handled last: the qualifying limit depends on every
+// other deduction.
+const SECTION_80G_FIELDS = [
+  "donations80G",
+  "donations80G50",
+  "donations80GLimited",
+  "donations80GLimited50",
+];
+
+/**
+ * Interest deduction: 80TTA (savings interest, ₹10,000) for non-seniors,
+ * 80TTB (all deposit interest, ₹50,000) for senior citizens.
+ */
+export const getInterestSection = (ageGroup) =>
+  isSeniorCitizen(ageGroup) ? "80TTB" : "80TTA";
+
+/**
+ * Ceilings for deductions with a fixed limit, given the taxpayer's and
+ * parents' ages. The interest deduction is also limited to the interest
+ * income declared.
+ */
+const getFixedLimits = ({
+  ageGroup,
+  parentsSeniorCitizen,
+  interestIncome,
+}) => {
+  const senior = isSeniorCitizen(ageGroup);
+  const interestLimit = senior ? 50000 : 10000;
+  return {
+    nps80CCD1B: { limit: 50000, section: "80CCD(1B)" },
+    deposits80TTA: {
+      limit: Math.min(interestLimit, interestIncome),
+      note:
+        interestIncome < interestLimit
+          ? `${getInterestSection(ageGroup)} is limited to the interest income declared (${formatLimit(interestIncome)}).`
+          : "",
+      section: getInterestSection(ageGroup),
+    },
+    medical80D: {
+      limit: senior ? 50000 : 25000,
+      section: "80D (self & family)",
+    },
+    medical80DParents: {
+      limit: parentsSeniorCitizen ? 50000 : 25000,
+      section: "80D (parents)",
+    },
+    housing80EEA: { limit: 150000, section: "80EEA" },
+  };
+};
+
+/**
+ * Applies statutory caps to every claimed deduction.
+ *
+ * Returns `fields`, keyed like `deductions`, each with the claimed and
+ * allowed amounts plus a note explaining any cap, and `total`, the allowed
+ * Chapter VI-A deduction. `grossTotalIncome` sets the 80G qualifying limit;
+ * `regimeRules` decides which fields the regime permits and the employer
+ * NPS ceiling.
+ */
+export const computeDeductionSummary = (
+  {
+    ageGroup,
+    parentsSeniorCitizen,
+    incomeDetails = {},
+    hraDetails = {},
+    deductions = {},
+  },
+  grossTotalIncome = Infinity,
+  regimeRules = {},
+) => {
+  const { allowedDeductions, employerNpsRate = 0.1 } = regimeRules;
+  const fields = {};
+  const isPermitted = (field) =>
+    !allowedDeductions || allowedDeductions.includes(field);
+  const allow = (field, limit, note) => {
+    const claimed = toAmount(deductions[field]);
+    if (!isPermitted(field)) {
+      fields[field] = {
+        claimed,
+        allowed: 0,
+        note: claimed > 0 ? "Not allowed under the New Regime." : "",
+      };
+      return;
+    }
+    const allowed = Math.max(0, Math.min(claimed, limit));
+    fields[field] = { claimed, allowed, note: allowed < claimed ? note : "" };
+  };
+
+  let remaining80C = SECTION_80C_LIMIT;
+  SECTION_80C_FIELDS.forEach((field) => {
+    allow(
+      field,
+      remaining80C,
+      `80C, 80CCC and 80CCD(1) together are limited to ${formatLimit(SECTION_80C_LIMIT)}.`,
+    );
+    remaining80C -= fields[field].allowed;
+  });
+
+  const fixedLimits = getFixedLimits({
+    ageGroup,
+    parentsSeniorCitizen,
+    interestIncome: Math.max(0, toAmount(incomeDetails.interestIncome)),
+  });
+  Object.entries(fixedLimits).forEach(([field, { limit, section, note }]) =>
+    allow(
+      field,
+      limit,
+      note || `${section} is limited to ${formatLimit(limit)}.`,
+    ),
+  );
+
+  const basicSalary = toAmount(incomeDetails.basicSalary);
+  const npsLimit = Math.floor(basicSalary * employerNpsRate);
+  const npsRate = `${Math.round(employerNpsRate * 100)}%`;
+  allow(
+    "nps80CCD2",
+    npsLimit,
+    basicSalary > 0
+      ? `80CCD(2) is limited to ${npsRate} of basic salary (${formatLimit(npsLimit)}).`
+      : `80CCD(2) is limited to ${npsRate} of basic salary; enter Basic Salary + DA under Income Details.`,
+  );
+
+  Object.keys(deductions)
+    .filter(
+      (field) =>
+        !fields[field] &&
+        field !== SECTION_80GG_FIELD &&
+        !SECTION_80G_FIELDS.includes(field),
+    )
+    .forEach((field) => allow(field, Infinity, ""));
+
+  if (SECTION_80GG_FIELD in deductions) {
+    const rent = compute80GG({
+      rentPaid: deductions[SECTION_80GG_FIELD],
+      adjustedTotalIncome:
+        grossTotalIncome -
+        Object.values(fields).reduce((total, { allowed }) => total + allowed, 0),
+      hraReceived: hraDetails.hraReceived,
+    });
+    allow(
+      SECTION_80GG_FIELD,
+      rent.allowed,
+      rent.blocked
+        ? "80GG is not available when you receive HRA."
+        : `80GG is limited to the least of ₹60,000, 25% of adjusted total income and rent over 10% of it (${formatLimit(rent.allowed)}).`,
+    );
+  }
+
+  const beforeDonations = Object.values(fields).reduce(
+    (total, { allowed }) => total + allowed,
+    0,
+  );
+  const qualifyingLimit = Math.max(
+    0,
+    Math.floor(0.1 * (grossTotalIncome - beforeDonations)),
+  );
+  const limitNote = `Limited to 10% of adjusted gross total income (${formatLimit(qualifyingLimit)}).`;
+
+  allow("donations80G", Infinity, "");
+  allow("donations80GLimited", qualifyingLimit, limitNote);
+  allow(
+    "donations80GLimited50",
+    qualifyingLimit - fields.donations80GLimited.allowed,
+    limitNote,
+  );
+  allow("donations80G50", Infinity, "");
+  ["donations80G50", "donations80GLimited50"].forEach((field) => {
+    const entry = fields[field];
+    entry.allowed = Math.floor(entry.allowed * 0.5);
+    if (entry.claimed > 0 && isPermitted(field)) {
+      entry.note = [entry.note, "50% of the qualifying amount is deductible."]
+        .filter(Boolean)
+        .join(" ");
+    }
+  });
+
+  SECTION_80G_FIELDS.filter((field) => !(field in deductions)).forEach(
+    (field) => delete fields[field],
+  );
+
+  return {
+    fields,
+    total: Object.values(fields).reduce(
+      (total, { allowed }) => total + allowed,
+      0,
+    ),
+  };
+};
@@ -0,0 +1,115 @@
+/**
+ * Salary from more than one employer in a year (one Form 16 each). The
+ * employers' figures add up to the salary fields and TDS the engine uses,
+ * so the standard deduction is still taken once on the combined salary.
+ *
+ * Each employer deducts TDS as if its salary were the only income, so the
+ * basic exemption, lower slabs, standard deduction and 87A rebate can be
+ * given more than once. `checkMultipleEmployers` estimates the tax that
+ * leaves due at filing time.
+ */
+
+import { toAmount } from "./amounts";
+import { computeTax } from "./engine";
+import { createFormData } from "./formData";
+
+// Salary fields that are the sum of the employers' figures.
+export const SALARY_FIELDS = ["salary", "basicSalary", "exemptAllowances"];
+
+/**
+ * Returns an empty employer row.
+ */
+export const createEmployer = () => ({
+  name: "",
+  tan: "",
+  salary: "",
+  basicSalary: "",
+  exemptAllowances: "",
+  tds: "",
+});
+
+/**
+ * Totals of the employers' salary fields and TDS.
+ */
+export const sumEmployers = (employers = []) =>
+  [...SALARY_FIELDS, "tds"].reduce(
+    (totals, field) => ({
+      ...totals,
+      [field]: employers.reduce((sum, row) => sum + toAmount(row[field]), 0),
+    }),
+    {},
+  );
+
+/**
+ * Copies the employer totals into incomeDetails and taxesPaid.tdsSalary.
+ * Without employer rows the form data is returned unchanged.
+ */
+export const applyEmployerTotals = (formData) => {
+  if (!formData.employers?.length) return formData;
+  const totals = sumEmployers(formData.employers);
+  return {
+    ...formData,
+    incomeDetails: {
+      ...formData.incomeDetails,
+      ...Object.fromEntries(
+        SALARY_FIELDS.map((field) => [field, totals[field] ? `${totals[field]}` : ""]),
+      ),
+    },
+    taxesPaid: {
+      ...formData.taxesPaid,
+      tdsSalary: totals.tds ? `${totals.tds}` : "",
+    },
+  };
+};
+
+const taxOnSalary = (formData, regime, salaryDetails) => {
+  const empty = createFormData();
+  return computeTax({
+    ...empty,
+    financialYear: formData.financialYear,
+    ageGroup: formData.ageGroup,
+    regime,
+    incomeDetails: { ...empty.incomeDetails, ...salaryDetails },
+  });
+};
+
+/**
+ * Compares the tax on the combined salary with the tax each employer would
+ * have deducted on its own salary. Returns null for fewer than two
+ * employers; otherwise each employer's standalone tax and rebate, the
+ * combined tax and the `shortfall` between them.
+ */
+export const checkMultipleEmployers = (formData, regime) => {
+  const employers = formData.employers || [];
+  if (employers.length < 2) return null;
+
+  const standalone = employers.map((employer) => {
+    const result = taxOnSalary(formData, regime, {
+      salary: employer.salary,
+      basicSalary: employer.basicSalary,
+      exemptAllowances: employer.exemptAllowances,
+    });
+    return {
+      name: employer.name,
+      taxPayable: result.taxPayable,
+      rebate87A: result.rebate87A + result.rebateMarginalRelief,
+    };
+  });
+  const totals = sumEmployers(employers);
+  const combined = taxOnSalary(formData, regime, {
+    salary: totals.salary,
+    basicSalary: totals.basicSalary,
+    exemptAllowances: totals.exemptAllowances,
+  });
+  const standaloneTax = standalone.reduce(
+    (sum, { taxPayable }) => sum + taxPayable,
+    0,
+  );
+
+  return {
+    employers: standalone,
+    combinedTax: combined.taxPayable,
+    rebateEmployers: standalone.filter(({ rebate87A }) => rebate87A > 0).length,
+    shortfall: Math.max(0, combined.taxPayable - standaloneTax),
+  };
+};
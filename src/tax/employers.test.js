@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { applyEmployerTotals, createEmployer } from "./employers";
+import { createFormData } from "./formData";
+
+const employer = (figures) => ({ ...createEmployer(), ...figures });
+
+describe("applyEmployerTotals", () => {
+  it("adds up every employer's salary, exempt allowances and TDS", () => {
+    const formData = createFormData();
+    formData.incomeDetails.interestIncome = "12000";
+    formData.employers = [
+      employer({
+        salary: "900000",
+        basicSalary: "450000",
+        exemptAllowances: "60000",
+        tds: "35000",
+      }),
+      employer({ salary: "650000", basicSalary: "300000", tds: "18000" }),
+    ];
+
+    const applied = applyEmployerTotals(formData);
+    expect(applied.incomeDetails).toMatchObject({
+      salary: "1550000",
+      basicSalary: "750000",
+      exemptAllowances: "60000",
+      interestIncome: "12000",
+    });
+    expect(applied.taxesPaid.tdsSalary).toBe("53000");
+  });
+
+  it("clears a total no employer has a figure for", () => {
+    const formData = createFormData();
+    formData.incomeDetails.exemptAllowances = "40000";
+    formData.employers = [employer({ salary: "800000" })];
+    const applied = applyEmployerTotals(formData);
+    expect(applied.incomeDetails.exemptAllowances).toBe("");
+    expect(applied.taxesPaid.tdsSalary).toBe("");
+  });
+
+  it("leaves form data without employers as it was", () => {
+    const formData = createFormData();
+    expect(applyEmployerTotals(formData)).toBe(formData);
+  });
+});
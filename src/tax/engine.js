@@ -0,0 +1,382 @@
+/**
+ * Pure income-tax engine shared by the calculator and any page that needs
+ * the same numbers. Nothing here touches React state: callers pass a plain
+ * input object and get back an itemised result.
+ *
+ * Input shape:
+ * {
+ *   financialYear: "FY 2025-2026",
+ *   ageGroup: "0-60",
+ *   regime: "new" | "old",
+ *   incomeDetails: { salary, exemptAllowances, interestIncome, ... },
+ *   hraDetails: { hraReceived, rentPaid, metroCity, claimExemption },
+ *   deductions: { basic80C, deposits80TTA, medical80D, ... },
+ *   taxesPaid: { tdsSalary, tdsOther, tcs, advanceTax, ... },
+ * }
+ *
+ * Amounts may be numbers or the comma-free strings the calculator stores.
+ *
+ * Income taxed at special flat rates (VDA under 115BBH, capital gains under
+ * 111A/112A/112) is kept out of the slabs: it gets no Chapter VI-A
+ * deduction and the 87A rebate reaches only the sections the regime lists,
+ * but it counts towards the rebate limit and surcharge bands.
+ */
+
+import { toAmount } from "./amounts";
+import { computeCapitalGains } from "./capitalGains";
+import { computeDeductionSummary } from "./deductions";
+import { computeHouseProperty } from "./houseProperty";
+import { computeHraExemption } from "./hra";
+import { getRegimeRules, getSlabs, getYearRules } from "./rules";
+
+/**
+ * Standard deduction available for the financial year and regime, limited
+ * to the salary it is deducted from.
+ */
+export const getStandardDeduction = ({
+  financialYear,
+  regime,
+  incomeDetails,
+}) =>
+  Math.min(
+    getRegimeRules(financialYear, regime).standardDeduction,
+    toAmount(incomeDetails?.salary),
+  );
+
+/**
+ * HRA exempt under Section 10(13A), once the user claims it in the HRA
+ * calculator. It is worked out from the HRA inputs rather than stored, and
+ * kept apart from the other exempt allowances (LTA and the like).
+ */
+export const getHraExemption = ({ incomeDetails = {}, hraDetails = {} }) =>
+  hraDetails.claimExemption
+    ? computeHraExemption({
+        ...hraDetails,
+        basicSalary: incomeDetails.basicSalary,
+      }).exempt
+    : 0;
+
+/**
+ * 1. Calculate "gross income" taxed at slab rates.
+ *    - Old Regime: subtract "exemptAllowances" and the HRA exemption from
+ *      "salary"
+ *    - New Regime: do not subtract either
+ *    House property enters as its computed head, which may be a loss.
+ */
+export const computeTotalIncome = ({
+  financialYear,
+  regime,
+  incomeDetails = {},
+  hraDetails,
+  capitalGains,
+}) => {
+  const inc = incomeDetails;
+  let salary = toAmount(inc.salary);
+  const exempt =
+    toAmount(inc.exemptAllowances) +
+    getHraExemption({ incomeDetails, hraDetails });
+  // basicSalary is part of salary; it is collected to test caps and HRA.
+  const otherIncome = toAmount(inc.interestIncome) + toAmount(inc.otherIncome);
+  const houseProperty = computeHouseProperty(
+    inc,
+    getRegimeRules(financialYear, regime),
+  );
+
+  if (regime === "old") {
+    salary -= exempt;
+  }
+  const shortTermGains = computeCapitalGains(
+    capitalGains,
+    financialYear,
+  ).slabIncome;
+  return Math.max(
+    0,
+    salary + otherIncome + houseProperty.taxableIncome + shortTermGains,
+  );
+};
+
+/**
+ * Income taxed at the year's special flat rates, one row per section and
+ * rate. VDA losses are ignored because they cannot be set off; capital
+ * losses are set off inside the capital gains module.
+ */
+export const computeSpecialRateIncome = ({
+  financialYear,
+  incomeDetails = {},
+  capitalGains,
+}) => {
+  const { specialRates } = getYearRules(financialYear);
+  const vda = toAmount(incomeDetails.digitalAssets);
+
+  return [
+    ...(vda > 0 ? [{ key: "vda", ...specialRates.vda, income: vda }] : []),
+    ...computeCapitalGains(capitalGains, financialYear).specialRateIncome,
+  ];
+};
+
+/**
+ * A resident's unused basic exemption limit can absorb capital gains taxed
+ * at special rates (not VDA income). It is applied to the highest rate
+ * first; each row gets the amount absorbed and its tax.
+ */
+export const applyBasicExemption = (rows, shortfall) => {
+  let remaining = shortfall;
+  const absorbed = {};
+  [...rows]
+    .filter((row) => row.capitalGain)
+    .sort((a, b) => b.rate - a.rate)
+    .forEach((row) => {
+      absorbed[row.key] = Math.min(row.income, remaining);
+      remaining -= absorbed[row.key];
+    });
+
+  return rows.map((row) => {
+    const basicExemptionUsed = absorbed[row.key] || 0;
+    return {
+      ...row,
+      basicExemptionUsed,
+      tax: Math.round((row.income - basicExemptionUsed) * row.rate),
+    };
+  });
+};
+
+/**
+ * Income below which the first (nil-rate) slab taxes nothing.
+ */
+const getBasicExemptionLimit = (slabs) =>
+  slabs[0].rate === 0 ? slabs[0].upTo : 0;
+
+/**
+ * 2. Chapter VI-A deductions after statutory caps and the regime's list of
+ *    permitted sections. Returns the per-field breakdown and allowed total.
+ */
+export const computeChapterVIA = (input, grossTotalIncome) =>
+  computeDeductionSummary(
+    input,
+    grossTotalIncome,
+    getRegimeRules(input.financialYear, input.regime),
+  );
+
+/**
+ * 3. Slab-wise tax on taxable income using the year's slab table: one row
+ *    per slab with its range (`from` to `upTo`), the income falling in it,
+ *    the rate and the tax. Slabs above the income have nil income.
+ */
+export const computeSlabBreakdown = (taxableIncome, slabs) => {
+  let from = 0;
+  return slabs.map(({ upTo, rate }) => {
+    const income = Math.max(0, Math.min(taxableIncome, upTo) - from);
+    const row = { from, upTo, income, rate, tax: income * rate };
+    from = upTo;
+    return row;
+  });
+};
+
+export const computeSlabTax = (taxableIncome, slabs) =>
+  computeSlabBreakdown(taxableIncome, slabs).reduce(
+    (total, { tax }) => total + tax,
+    0,
+  );
+
+/**
+ * 4. Rebate under section 87A for incomes within the year's limit. Where the
+ *    regime allows it, marginal relief keeps tax just above the limit from
+ *    exceeding the income over the limit. `totalIncome` decides eligibility;
+ *    `tax` is the slab tax the rebate comes off.
+ */
+export const computeRebate = (totalIncome, tax, rebate) => {
+  if (totalIncome <= rebate.incomeLimit) {
+    return { rebate87A: Math.min(tax, rebate.maxRebate), marginalRelief: 0 };
+  }
+  const excess = totalIncome - rebate.incomeLimit;
+  return {
+    rebate87A: 0,
+    marginalRelief: rebate.marginalRelief ? Math.max(0, tax - excess) : 0,
+  };
+};
+
+/**
+ * Slab tax plus special-rate tax, less the 87A rebate and its marginal
+ * relief. `totalIncome` includes special-rate income, which counts towards
+ * the rebate limit; the rebate reaches only the slab tax and
+ * `rebatableSpecialTax`.
+ */
+export const computeIncomeTax = (
+  slabIncome,
+  slabs,
+  rebate,
+  {
+    totalIncome = slabIncome,
+    specialRateTax = 0,
+    rebatableSpecialTax = 0,
+  } = {},
+) => {
+  const slabTax = computeSlabTax(slabIncome, slabs);
+  const { rebate87A, marginalRelief } = computeRebate(
+    totalIncome,
+    slabTax + rebatableSpecialTax,
+    rebate,
+  );
+  return {
+    slabTax,
+    rebate87A,
+    rebateMarginalRelief: marginalRelief,
+    incomeTax: slabTax + specialRateTax - rebate87A - marginalRelief,
+  };
+};
+
+/**
+ * 5. Surcharge at the band the income falls in. Marginal relief caps tax plus
+ *    surcharge at the amount payable on the band threshold plus the income
+ *    earned above it. `taxAt` returns income tax for a given income.
+ *    `cap` limits the rate on the part of the tax from capped sections.
+ */
+export const computeSurcharge = (
+  taxableIncome,
+  tax,
+  bands,
+  taxAt,
+  cap = { tax: 0, rate: Infinity },
+) => {
+  let index = -1;
+  bands.forEach(({ above }, i) => {
+    if (taxableIncome > above) index = i;
+  });
+  if (index < 0) {
+    return {
+      rate: 0,
+      threshold: 0,
+      grossSurcharge: 0,
+      marginalRelief: 0,
+      surcharge: 0,
+    };
+  }
+
+  const { above, rate } = bands[index];
+  const previousRate = index > 0 ? bands[index - 1].rate : 0;
+  const grossSurcharge =
+    (tax - cap.tax) * rate + cap.tax * Math.min(rate, cap.rate);
+  const ceiling =
+    taxAt(above) * (1 + previousRate) + (taxableIncome - above) - tax;
+  const surcharge = Math.max(0, Math.min(grossSurcharge, ceiling));
+
+  return {
+    rate,
+    threshold: above,
+    grossSurcharge,
+    marginalRelief: grossSurcharge - surcharge,
+    surcharge,
+  };
+};
+
+/**
+ * Runs the full computation for one regime and returns every figure the
+ * results dashboard shows.
+ */
+export const computeTax = (input) => {
+  const { cessRate, surchargeCap } = getYearRules(input.financialYear);
+  const rules = getRegimeRules(input.financialYear, input.regime);
+  const normalIncome = computeTotalIncome(input);
+  const standardDeduction = getStandardDeduction(input);
+  const grossTotalIncome = Math.max(0, normalIncome - standardDeduction);
+  const { fields: deductionDetails, total: chapterVIA } = computeChapterVIA(
+    input,
+    grossTotalIncome,
+  );
+  const slabIncome = Math.max(0, grossTotalIncome - chapterVIA);
+  const slabs = getSlabs(rules, input.ageGroup);
+
+  const specialRateIncome = applyBasicExemption(
+    computeSpecialRateIncome(input),
+    Math.max(0, getBasicExemptionLimit(slabs) - slabIncome),
+  );
+  const sumTax = (rows) => rows.reduce((total, { tax }) => total + tax, 0);
+  const specialIncome = specialRateIncome.reduce(
+    (total, { income }) => total + income,
+    0,
+  );
+  const specialRateTax = sumTax(specialRateIncome);
+  const rebatableSpecialTax = sumTax(
+    specialRateIncome.filter(({ section }) =>
+      rules.rebate.specialRateSections?.includes(section),
+    ),
+  );
+  const taxableIncome = slabIncome + specialIncome;
+
+  const taxAt = (income) =>
+    computeIncomeTax(Math.max(0, income - specialIncome), slabs, rules.rebate, {
+      totalIncome: income,
+      specialRateTax,
+    }).incomeTax;
+  const { slabTax, rebate87A, rebateMarginalRelief, incomeTax } =
+    computeIncomeTax(slabIncome, slabs, rules.rebate, {
+      totalIncome: taxableIncome,
+      specialRateTax,
+      rebatableSpecialTax,
+    });
+  const surchargeDetails = computeSurcharge(
+    taxableIncome,
+    incomeTax,
+    rules.surcharge,
+    taxAt,
+    {
+      tax: sumTax(
+        specialRateIncome.filter(({ section }) =>
+          surchargeCap.sections.includes(section),
+        ),
+      ),
+      rate: surchargeCap.rate,
+    },
+  );
+  const surcharge = Math.round(surchargeDetails.surcharge);
+  const cess = Math.round((incomeTax + surcharge) * cessRate);
+  const taxCredits = {
+    tdsSalary: toAmount(input.taxesPaid?.tdsSalary),
+    tdsOther: toAmount(input.taxesPaid?.tdsOther),
+    tds194S: toAmount(input.taxesPaid?.tds194S),
+    tcs: toAmount(input.taxesPaid?.tcs),
+    advanceTax: toAmount(input.taxesPaid?.advanceTax),
+    selfAssessmentTax: toAmount(input.taxesPaid?.selfAssessmentTax),
+  };
+  const totalTaxCredits = Object.values(taxCredits).reduce(
+    (total, amount) => total + amount,
+    0,
+  );
+
+  return {
+    financialYear: input.financialYear,
+    regime: input.regime,
+    ageGroup: input.ageGroup,
+    totalIncome: normalIncome + specialIncome,
+    houseProperty: computeHouseProperty(input.incomeDetails, rules),
+    capitalGains: computeCapitalGains(input.capitalGains, input.financialYear),
+    // All allowances exempt u/s 10, of which `hraExemption` is the HRA.
+    exemptAllowances:
+      input.regime === "old"
+        ? toAmount(input.incomeDetails?.exemptAllowances) +
+          getHraExemption(input)
+        : 0,
+    hraExemption: input.regime === "old" ? getHraExemption(input) : 0,
+    standardDeduction,
+    grossTotalIncome,
+    chapterVIA,
+    deductionDetails,
+    slabIncome,
+    taxableIncome,
+    slabBreakdown: computeSlabBreakdown(slabIncome, slabs),
+    slabTax,
+    specialRateIncome,
+    specialRateTax,
+    rebate87A,
+    rebateMarginalRelief,
+    incomeTax,
+    surcharge,
+    surchargeDetails,
+    healthEducationCess: cess,
+    taxPayable: incomeTax + surcharge + cess,
+    taxCredits,
+    totalTaxCredits,
+    // Positive when tax is still owed, negative when a refund is due.
+    netTaxPayable: Math.round(incomeTax + surcharge + cess) - totalTaxCredits,
+  };
+};
@@ -0,0 +1,350 @@
+import { describe, expect, it } from "vitest";
+import { computeSlabBreakdown, computeTax } from "./engine";
+import { getRegimeRules, getSlabs } from "./rules";
+
+const FY_2025 = "FY 2025-2026";
+const FY_2024 = "FY 2024-2025";
+
+/**
+ * Engine input for a salaried individual. `salary` is gross; the regime's
+ * standard deduction comes off it.
+ */
+const makeInput = ({
+  financialYear = FY_2025,
+  regime = "new",
+  ageGroup = "0-60",
+  salary = 0,
+  incomeDetails = {},
+  ...rest
+} = {}) => ({
+  financialYear,
+  regime,
+  ageGroup,
+  incomeDetails: { salary: String(salary), ...incomeDetails },
+  ...rest,
+});
+
+const listedEquitySale = (buyDate, sellDate, gain) => ({
+  assetType: "listedEquity",
+  buyDate,
+  sellDate,
+  buyValue: "1000000",
+  sellValue: String(1000000 + gain),
+  expenses: "",
+});
+
+describe("slab tax", () => {
+  it("splits taxable income across the slabs", () => {
+    const slabs = getSlabs(getRegimeRules(FY_2025, "new"), "0-60");
+    const rows = computeSlabBreakdown(1000000, slabs);
+    expect(rows.map(({ income }) => income)).toEqual([
+      400000, 400000, 200000, 0, 0, 0, 0,
+    ]);
+    expect(rows.map(({ tax }) => tax)).toEqual([0, 20000, 20000, 0, 0, 0, 0]);
+  });
+
+  it.each([
+    // Old regime, ₹10,00,000 taxable: exemption limit varies with age.
+    ["0-60", 117000],
+    ["60-80", 114400],
+    ["80+", 104000],
+  ])("uses the %s old-regime slabs", (ageGroup, taxPayable) => {
+    const result = computeTax(
+      makeInput({ regime: "old", ageGroup, salary: 1050000 }),
+    );
+    expect(result.taxableIncome).toBe(1000000);
+    expect(result.taxPayable).toBe(taxPayable);
+  });
+
+  it.each([
+    // ₹15,00,000 taxable under each year's new-regime slabs.
+    [FY_2025, 109200],
+    [FY_2024, 145600],
+  ])("uses the %s new-regime slabs", (financialYear, taxPayable) => {
+    const result = computeTax(makeInput({ financialYear, salary: 1575000 }));
+    expect(result.taxableIncome).toBe(1500000);
+    expect(result.taxPayable).toBe(taxPayable);
+  });
+
+  it("ignores age in the new regime", () => {
+    const tax = (ageGroup) =>
+      computeTax(makeInput({ ageGroup, salary: 1575000 })).taxPayable;
+    expect(tax("80+")).toBe(tax("0-60"));
+  });
+});
+
+describe("87A rebate", () => {
+  it.each([
+    // [year, regime, salary, taxable income, rebate, marginal relief, tax]
+    [FY_2025, "new", 1275000, 1200000, 60000, 0, 0],
+    [FY_2025, "new", 1285000, 1210000, 0, 51500, 10400],
+    [FY_2024, "new", 775000, 700000, 20000, 0, 0],
+    [FY_2024, "new", 785000, 710000, 0, 11000, 10400],
+    [FY_2025, "old", 550000, 500000, 12500, 0, 0],
+    // No marginal relief in the old regime.
+    [FY_2025, "old", 560000, 510000, 0, 0, 15080],
+  ])(
+    "%s %s regime, salary %i",
+    (financialYear, regime, salary, taxable, rebate, relief, taxPayable) => {
+      const result = computeTax(makeInput({ financialYear, regime, salary }));
+      expect(result.taxableIncome).toBe(taxable);
+      expect(result.rebate87A).toBe(rebate);
+      expect(result.rebateMarginalRelief).toBe(relief);
+      expect(result.taxPayable).toBe(taxPayable);
+    },
+  );
+
+  it("stops marginal relief once tax is below the income over the limit", () => {
+    // ₹13,00,000 taxable: tax of ₹75,000 is less than the ₹1,00,000 excess.
+    const result = computeTax(makeInput({ salary: 1375000 }));
+    expect(result.rebateMarginalRelief).toBe(0);
+    expect(result.taxPayable).toBe(78000);
+  });
+});
+
+describe("surcharge", () => {
+  it.each([
+    // [regime, salary, band rate, surcharge]
+    // ₹60,00,000 taxable: 10% with no relief needed.
+    ["new", 6075000, 0.1, 138000],
+    // Just over each threshold: marginal relief limits the surcharge.
+    ["new", 5085000, 0.1, 7000],
+    ["new", 10085000, 0.15, 265000],
+    ["new", 20085000, 0.25, 844000],
+    ["old", 50060000, 0.37, 3710125],
+  ])("%s regime, salary %i", (regime, salary, rate, surcharge) => {
+    const result = computeTax(makeInput({ regime, salary }));
+    expect(result.surchargeDetails.rate).toBe(rate);
+    expect(result.surcharge).toBe(surcharge);
+  });
+
+  it("caps the new regime at 25%", () => {
+    const result = computeTax(makeInput({ salary: 60075000 }));
+    expect(result.surchargeDetails.rate).toBe(0.25);
+  });
+
+  it("limits surcharge on 111A tax to 15%", () => {
+    // ₹2 crore at slab rates plus ₹10 lakh of 111A gains at 20%.
+    const result = computeTax(
+      makeInput({
+        salary: 20075000,
+        capitalGains: [listedEquitySale("2025-05-01", "2025-09-01", 1000000)],
+      }),
+    );
+    expect(result.slabTax).toBe(5580000);
+    expect(result.specialRateTax).toBe(200000);
+    expect(result.surcharge).toBe(5580000 * 0.25 + 200000 * 0.15);
+  });
+
+  it("limits surcharge on 112 tax to 15%", () => {
+    // ₹2 crore at slab rates plus ₹10 lakh of long-term gains on unlisted
+    // shares at 12.5%.
+    const result = computeTax(
+      makeInput({
+        salary: 20075000,
+        capitalGains: [
+          {
+            assetType: "unlistedShares",
+            buyDate: "2020-05-01",
+            sellDate: "2025-09-01",
+            buyValue: "1000000",
+            sellValue: "2000000",
+            expenses: "",
+          },
+        ],
+      }),
+    );
+    expect(result.specialRateIncome[0].section).toBe("112");
+    expect(result.specialRateTax).toBe(125000);
+    expect(result.surcharge).toBe(5580000 * 0.25 + 125000 * 0.15);
+  });
+});
+
+describe("special-rate income", () => {
+  it("exempts the first ₹1,25,000 of 112A gains", () => {
+    const result = computeTax(
+      makeInput({
+        salary: 2075000,
+        capitalGains: [listedEquitySale("2023-05-01", "2025-09-01", 225000)],
+      }),
+    );
+    expect(result.capitalGains.exemption112A).toBe(125000);
+    expect(result.specialRateTax).toBe(12500);
+  });
+
+  it("lets the old-regime 87A rebate reach 111A tax", () => {
+    const result = computeTax(
+      makeInput({
+        regime: "old",
+        salary: 350000,
+        capitalGains: [listedEquitySale("2025-05-01", "2025-09-01", 200000)],
+      }),
+    );
+    expect(result.taxableIncome).toBe(500000);
+    expect(result.rebate87A).toBe(12500);
+    expect(result.taxPayable).toBe(31200);
+  });
+
+  it("keeps the new-regime 87A rebate to slab tax", () => {
+    const result = computeTax(
+      makeInput({
+        salary: 1075000,
+        capitalGains: [listedEquitySale("2025-05-01", "2025-09-01", 100000)],
+      }),
+    );
+    expect(result.taxableIncome).toBe(1100000);
+    expect(result.rebate87A).toBe(40000);
+    expect(result.taxPayable).toBe(20800);
+  });
+
+  it("taxes VDA at 30% with no rebate or basic exemption", () => {
+    const result = computeTax(
+      makeInput({ incomeDetails: { digitalAssets: "100000" } }),
+    );
+    expect(result.taxableIncome).toBe(100000);
+    expect(result.rebate87A).toBe(0);
+    expect(result.specialRateTax).toBe(30000);
+    expect(result.taxPayable).toBe(31200);
+  });
+
+  it("ignores a VDA loss", () => {
+    const result = computeTax(
+      makeInput({
+        salary: 1575000,
+        incomeDetails: { digitalAssets: "-50000" },
+      }),
+    );
+    expect(result.taxableIncome).toBe(1500000);
+  });
+});
+
+describe("salary exemptions", () => {
+  const hraInput = (regime, claimExemption) =>
+    makeInput({
+      regime,
+      salary: 1200000,
+      incomeDetails: { basicSalary: "600000", exemptAllowances: "20000" },
+      hraDetails: {
+        hraReceived: "240000",
+        rentPaid: "300000",
+        metroCity: true,
+        claimExemption,
+      },
+    });
+
+  it("adds a claimed HRA exemption to the other exempt allowances", () => {
+    const result = computeTax(hraInput("old", true));
+    expect(result.hraExemption).toBe(240000);
+    expect(result.exemptAllowances).toBe(260000);
+    expect(result.grossTotalIncome).toBe(890000);
+  });
+
+  it("leaves HRA out until it is claimed", () => {
+    const result = computeTax(hraInput("old", false));
+    expect(result.exemptAllowances).toBe(20000);
+  });
+
+  it("gives no exemptions in the new regime", () => {
+    const result = computeTax(hraInput("new", true));
+    expect(result.exemptAllowances).toBe(0);
+    expect(result.grossTotalIncome).toBe(1125000);
+  });
+});
+
+describe("Chapter VI-A caps", () => {
+  const allowed = (deductions, options = {}) =>
+    computeTax(
+      makeInput({ regime: "old", salary: 2050000, deductions, ...options }),
+    ).deductionDetails;
+
+  it("shares the ₹1,50,000 ceiling across 80C, 80CCC and 80CCD(1)", () => {
+    const fields = allowed({
+      basic80C: "100000",
+      pension80CCC: "100000",
+      nps80CCD: "50000",
+    });
+    expect(fields.basic80C.allowed).toBe(100000);
+    expect(fields.pension80CCC.allowed).toBe(50000);
+    expect(fields.nps80CCD.allowed).toBe(0);
+  });
+
+  it("caps 80CCD(1B) at ₹50,000", () => {
+    expect(allowed({ nps80CCD1B: "80000" }).nps80CCD1B.allowed).toBe(50000);
+  });
+
+  it.each([
+    ["0-60", false, 25000, 25000],
+    ["60-80", true, 50000, 50000],
+  ])(
+    "caps 80D for age %s (parents senior: %s)",
+    (ageGroup, parentsSeniorCitizen, self, parents) => {
+      const fields = allowed(
+        { medical80D: "70000", medical80DParents: "70000" },
+        { ageGroup, parentsSeniorCitizen },
+      );
+      expect(fields.medical80D.allowed).toBe(self);
+      expect(fields.medical80DParents.allowed).toBe(parents);
+    },
+  );
+
+  it.each([
+    ["0-60", 10000],
+    ["60-80", 50000],
+  ])("caps interest deduction for age %s", (ageGroup, limit) => {
+    const fields = allowed(
+      { deposits80TTA: "70000" },
+      { ageGroup, incomeDetails: { interestIncome: "100000" } },
+    );
+    expect(fields.deposits80TTA.allowed).toBe(limit);
+  });
+
+  it.each([
+    ["0-60", "6000", 6000],
+    ["60-80", "30000", 30000],
+    ["0-60", "", 0],
+  ])(
+    "limits the interest deduction for age %s to interest of %s",
+    (ageGroup, interestIncome, limit) => {
+      const fields = allowed(
+        { deposits80TTA: "70000" },
+        { ageGroup, incomeDetails: { interestIncome } },
+      );
+      expect(fields.deposits80TTA.allowed).toBe(limit);
+      expect(fields.deposits80TTA.note).toMatch(/interest income declared/);
+    },
+  );
+
+  it("limits 80G qualifying donations to 10% of adjusted income", () => {
+    // ₹20,00,000 gross total income less ₹1,50,000 of 80C.
+    const fields = allowed({
+      basic80C: "150000",
+      donations80GLimited: "300000",
+    });
+    expect(fields.donations80GLimited.allowed).toBe(185000);
+  });
+
+  it("allows only employer NPS in the new regime, up to 14% of basic", () => {
+    const { deductionDetails } = computeTax(
+      makeInput({
+        salary: 2075000,
+        incomeDetails: { basicSalary: "1000000" },
+        deductions: { basic80C: "150000", nps80CCD2: "200000" },
+      }),
+    );
+    expect(deductionDetails.basic80C.allowed).toBe(0);
+    expect(deductionDetails.nps80CCD2.allowed).toBe(140000);
+  });
+});
+
+describe("tax credits", () => {
+  it("nets TDS, TCS and tax paid against the liability", () => {
+    const result = computeTax(
+      makeInput({
+        salary: 1575000,
+        taxesPaid: { tdsSalary: "80000", tcs: "5000", advanceTax: "10000" },
+      }),
+    );
+    expect(result.totalTaxCredits).toBe(95000);
+    expect(result.netTaxPayable).toBe(109200 - 95000);
+  });
+});
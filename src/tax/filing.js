@@ -0,0 +1,253 @@
+/**
+ * Manual filing: the wizard's steps, per-step validation and the copy of
+ * the return kept in the browser so the user can resume.
+ *
+ * Validation returns an object of error messages keyed by the field's path
+ * in formData ("personalInfo.pan", "bankAccounts.0.ifsc"); an empty object
+ * means the step is complete.
+ */
+
+import { AMOUNT_ERROR, findInvalidAmounts, isAmount } from "./amounts";
+import { computeCapitalGains } from "./capitalGains";
+import { createFormData } from "./formData";
+import { getYearRules } from "./rules";
+
+export const FILING_STEPS = [
+  { key: "personal", label: "Personal Info" },
+  { key: "pan", label: "PAN & Aadhaar" },
+  { key: "bank", label: "Bank Accounts" },
+  { key: "income", label: "Income" },
+  { key: "deductions", label: "Deductions" },
+  { key: "taxesPaid", label: "Taxes Paid" },
+  { key: "summary", label: "Summary" },
+];
+
+export const RESIDENTIAL_STATUSES = {
+  resident: "Resident",
+  rnor: "Resident but Not Ordinarily Resident",
+  nonResident: "Non-Resident",
+};
+
+export const ACCOUNT_TYPES = {
+  savings: "Savings",
+  current: "Current",
+  nro: "NRO",
+};
+
+const STORAGE_KEY = "taxhummer.manualFiling";
+const STORAGE_VERSION = 1;
+
+// An individual's PAN: the fourth letter is always "P".
+export const PAN_PATTERN = /^[A-Z]{3}P[A-Z]\d{4}[A-Z]$/;
+const AADHAAR_PATTERN = /^\d{12}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_PATTERN = /^\d{9,18}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+const PIN_CODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * Returns an empty bank account row.
+ */
+export const createBankAccount = () => ({
+  bankName: "",
+  ifsc: "",
+  accountNumber: "",
+  accountType: "savings",
+  refund: false,
+});
+
+/**
+ * Age group for the financial year: age is taken on the year's last day,
+ * so someone turning 60 during the year is a senior citizen for all of it.
+ */
+export const getAgeGroup = (dateOfBirth, financialYear) => {
+  const { period } = getYearRules(financialYear);
+  const [birthYear, birthMonth, birthDay] = dateOfBirth.split("-").map(Number);
+  const [endYear, endMonth, endDay] = period.end.split("-").map(Number);
+  const birthdayPassed =
+    endMonth > birthMonth || (endMonth === birthMonth && endDay >= birthDay);
+  const age = endYear - birthYear - (birthdayPassed ? 0 : 1);
+  if (age >= 80) return "80+";
+  if (age >= 60) return "60-80";
+  return "0-60";
+};
+
+const checkAmounts = (errors, category, values) =>
+  Object.entries(values).forEach(([field, value]) => {
+    if (!isAmount(value)) errors[`${category}.${field}`] = AMOUNT_ERROR;
+  });
+
+const validators = {
+  personal: ({ personalInfo, financialYear }) => {
+    const errors = {};
+    if (!personalInfo.name.trim()) {
+      errors["personalInfo.name"] = "Enter your name as on PAN.";
+    }
+    if (!personalInfo.dateOfBirth) {
+      errors["personalInfo.dateOfBirth"] = "Enter your date of birth.";
+    } else if (personalInfo.dateOfBirth > getYearRules(financialYear).period.end) {
+      errors["personalInfo.dateOfBirth"] =
+        "Date of birth is after the financial year.";
+    }
+    if (!EMAIL_PATTERN.test(personalInfo.email)) {
+      errors["personalInfo.email"] = "Enter a valid email address.";
+    }
+    if (!MOBILE_PATTERN.test(personalInfo.mobile)) {
+      errors["personalInfo.mobile"] = "Enter a 10-digit Indian mobile number.";
+    }
+    if (!personalInfo.fatherName.trim()) {
+      errors["personalInfo.fatherName"] = "Enter your father's name.";
+    }
+    if (!personalInfo.address.trim()) {
+      errors["personalInfo.address"] = "Enter your address.";
+    }
+    if (!personalInfo.city.trim()) {
+      errors["personalInfo.city"] = "Enter your city or district.";
+    }
+    if (!personalInfo.stateCode) {
+      errors["personalInfo.stateCode"] = "Choose your state.";
+    }
+    if (!PIN_CODE_PATTERN.test(personalInfo.pinCode)) {
+      errors["personalInfo.pinCode"] = "PIN code has 6 digits.";
+    }
+    return errors;
+  },
+
+  pan: ({ personalInfo }) => {
+    const errors = {};
+    if (!PAN_PATTERN.test(personalInfo.pan)) {
+      errors["personalInfo.pan"] =
+        "Enter an individual PAN like ABCPE1234F (fourth letter P).";
+    }
+    if (!AADHAAR_PATTERN.test(personalInfo.aadhaar)) {
+      errors["personalInfo.aadhaar"] = "Aadhaar has 12 digits.";
+    }
+    return errors;
+  },
+
+  bank: ({ bankAccounts }) => {
+    const errors = {};
+    if (!bankAccounts.length) {
+      errors.bankAccounts = "Add at least one bank account.";
+    } else if (bankAccounts.filter(({ refund }) => refund).length !== 1) {
+      errors.bankAccounts = "Choose one account for the refund.";
+    }
+    bankAccounts.forEach((account, index) => {
+      if (!account.bankName.trim()) {
+        errors[`bankAccounts.${index}.bankName`] = "Enter the bank name.";
+      }
+      if (!IFSC_PATTERN.test(account.ifsc)) {
+        errors[`bankAccounts.${index}.ifsc`] =
+          "IFSC has 11 characters, the fifth being 0.";
+      }
+      if (!ACCOUNT_PATTERN.test(account.accountNumber)) {
+        errors[`bankAccounts.${index}.accountNumber`] =
+          "Account numbers have 9 to 18 digits.";
+      }
+    });
+    return errors;
+  },
+
+  income: (formData) => {
+    const errors = {};
+    checkAmounts(errors, "incomeDetails", formData.incomeDetails);
+    computeCapitalGains(formData.capitalGains, formData.financialYear)
+      .transactions.forEach((row, index) => {
+        if (row.error) errors[`capitalGains.${index}`] = row.error;
+      });
+    // One message per employer or capital gains row with a bad amount.
+    findInvalidAmounts(formData)
+      .filter((path) => /^(employers|capitalGains)\./.test(path))
+      .forEach((path) => {
+        const row = path.split(".").slice(0, 2).join(".");
+        errors[row] = `Row ${Number(path.split(".")[1]) + 1}: ${AMOUNT_ERROR}`;
+      });
+    return errors;
+  },
+
+  deductions: ({ deductions }) => {
+    const errors = {};
+    checkAmounts(errors, "deductions", deductions);
+    return errors;
+  },
+
+  taxesPaid: ({ taxesPaid }) => {
+    const errors = {};
+    checkAmounts(errors, "taxesPaid", taxesPaid);
+    return errors;
+  },
+
+  summary: () => ({}),
+};
+
+/**
+ * Errors for one step of the wizard.
+ */
+export const validateStep = (stepKey, formData) =>
+  validators[stepKey](formData);
+
+/**
+ * Fills in fields added since a return was saved, so older saves load.
+ */
+const withDefaults = (saved) => {
+  const defaults = createFormData();
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, value]) => [
+      key,
+      value && typeof value === "object" && !Array.isArray(value)
+        ? { ...value, ...saved[key] }
+        : saved[key] ?? value,
+    ]),
+  );
+};
+
+/**
+ * The saved return, or null when there is none (or it cannot be read). A
+ * return saved before anything was entered counts as none, so figures
+ * brought over later are applied rather than offered.
+ */
+export const loadFiling = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || saved.version !== STORAGE_VERSION) return null;
+    const formData = withDefaults(saved.formData);
+    const isBlank =
+      !saved.activeStep &&
+      saved.regime === "new" &&
+      JSON.stringify(formData) === JSON.stringify(createFormData());
+    return isBlank ? null : { ...saved, formData };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Saves the return. Returns false when the browser would not keep it
+ * (storage full or blocked).
+ */
+export const saveFiling = ({ formData, activeStep, regime }) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        version: STORAGE_VERSION,
+        savedAt: new Date().toISOString(),
+        formData,
+        activeStep,
+        regime,
+      }),
+    );
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const clearFiling = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing was saved where storage is blocked.
+  }
+};
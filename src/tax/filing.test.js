@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadFiling, saveFiling } from "./filing";
+import { createFormData } from "./formData";
+
+// A browser storage that keeps items in memory.
+const stubStorage = () => {
+  const items = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  });
+};
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("saveFiling", () => {
+  it("reports a return the browser would not keep", () => {
+    // Node has no localStorage, like a browser that blocks it.
+    expect(saveFiling({ formData: createFormData(), activeStep: 0 })).toBe(
+      false,
+    );
+  });
+});
+
+describe("loadFiling", () => {
+  it("resumes a return with something entered", () => {
+    stubStorage();
+    const formData = createFormData();
+    formData.incomeDetails.salary = "900000";
+    expect(saveFiling({ formData, activeStep: 0, regime: "new" })).toBe(true);
+    expect(loadFiling().formData.incomeDetails.salary).toBe("900000");
+  });
+
+  it("treats a return saved blank as none", () => {
+    stubStorage();
+    saveFiling({ formData: createFormData(), activeStep: 0, regime: "new" });
+    expect(loadFiling()).toBeNull();
+  });
+});
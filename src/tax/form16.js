@@ -0,0 +1,320 @@
+/**
+ * Form 16 (Part A and Part B) text into calculator fields. Works on the text
+ * of a TRACES-generated Form 16, one printed line per line of input, as
+ * extracted from the PDF in the browser or pasted by the user.
+ *
+ * Each field is searched with patterns in order of reliability. A pattern
+ * matches a line (optionally only after an `after` heading) and takes the
+ * last amount on it, since amounts sit in the right-hand columns. The
+ * pattern's confidence is reported with the value so the review screen can
+ * point users at the figures worth checking.
+ */
+
+import { toAmount } from "./amounts";
+import { parseStatementAmount } from "./brokerImport";
+import { applyEmployerTotals, createEmployer } from "./employers";
+import { PAN_PATTERN } from "./filing";
+import { FINANCIAL_YEARS } from "./rules";
+
+export const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+const TAN_PATTERN = /\b[A-Z]{4}\d{5}[A-Z]\b/;
+// The employee's PAN, anywhere in a line.
+const PAN_IN_LINE = new RegExp(`\\b${PAN_PATTERN.source.slice(1, -1)}\\b`);
+// An assessment year such as "2025-26" or "2025-2026".
+const YEAR_PATTERN = /\b(20\d{2})\s*-\s*(20\d{2}|\d{2})\b/;
+const AMOUNT_TOKEN = /^(?:₹|Rs\.?)?\d[\d,]*(?:\.\d+)?\/?-?$/;
+
+// How many following lines to search when a label wraps away from its
+// amount.
+const WRAP_LINES = 2;
+
+/**
+ * Amount fields: `target` is the formData category and field they fill;
+ * "employer" fields fill this Form 16's row in `employers`.
+ */
+export const FORM16_FIELDS = [
+  {
+    key: "grossSalary",
+    label: "Gross Salary",
+    part: "B",
+    target: ["employer", "salary"],
+    patterns: [
+      { after: /gross salary/i, match: /^\(?d\)?\s*total\b/i, confidence: "high" },
+      { match: /gross salary/i, confidence: "medium" },
+      { match: /section 17\s*\(1\)/i, confidence: "low" },
+    ],
+  },
+  {
+    key: "exemptAllowances",
+    label: "Exemptions under Section 10",
+    part: "B",
+    target: ["employer", "exemptAllowances"],
+    patterns: [
+      {
+        match: /total amount of exemption claimed under section 10/i,
+        confidence: "high",
+      },
+      { match: /exempt under section 10/i, confidence: "medium" },
+    ],
+  },
+  {
+    key: "basic80C",
+    label: "Section 80C",
+    part: "B",
+    target: ["deductions", "basic80C"],
+    patterns: [{ match: /\b80\s*C\b/i, confidence: "high" }],
+  },
+  {
+    key: "pension80CCC",
+    label: "Section 80CCC",
+    part: "B",
+    target: ["deductions", "pension80CCC"],
+    patterns: [{ match: /\b80\s*CCC\b/i, confidence: "high" }],
+  },
+  {
+    key: "nps80CCD",
+    label: "Section 80CCD(1)",
+    part: "B",
+    target: ["deductions", "nps80CCD"],
+    patterns: [{ match: /\b80\s*CCD\s*\(\s*1\s*\)/i, confidence: "high" }],
+  },
+  {
+    key: "nps80CCD1B",
+    label: "Section 80CCD(1B)",
+    part: "B",
+    target: ["deductions", "nps80CCD1B"],
+    patterns: [{ match: /\b80\s*CCD\s*\(\s*1\s*B\s*\)/i, confidence: "high" }],
+  },
+  {
+    key: "nps80CCD2",
+    label: "Section 80CCD(2) (employer NPS)",
+    part: "B",
+    target: ["deductions", "nps80CCD2"],
+    patterns: [{ match: /\b80\s*CCD\s*\(\s*2\s*\)/i, confidence: "high" }],
+  },
+  {
+    key: "medical80D",
+    label: "Section 80D",
+    part: "B",
+    target: ["deductions", "medical80D"],
+    // Form 16 gives one 80D figure; the split between self and parents
+    // has to be checked by the user.
+    patterns: [{ match: /\b80\s*D\b/i, confidence: "medium" }],
+  },
+  {
+    key: "donations80G",
+    label: "Section 80G",
+    part: "B",
+    target: ["deductions", "donations80G"],
+    // The qualifying percentage is not shown, so this needs review.
+    patterns: [{ match: /\b80\s*G\b/i, confidence: "medium" }],
+  },
+  {
+    key: "deposits80TTA",
+    label: "Section 80TTA / 80TTB",
+    part: "B",
+    target: ["deductions", "deposits80TTA"],
+    patterns: [{ match: /\b80\s*TT[AB]\b/i, confidence: "high" }],
+  },
+  {
+    key: "housing80EEA",
+    label: "Section 80EEA",
+    part: "B",
+    target: ["deductions", "housing80EEA"],
+    patterns: [{ match: /\b80\s*EEA\b/i, confidence: "high" }],
+  },
+  {
+    key: "otherDeduction",
+    label: "Section 80E (education loan interest)",
+    part: "B",
+    target: ["deductions", "otherDeduction"],
+    patterns: [{ match: /\b80\s*E\b/i, confidence: "high" }],
+  },
+  {
+    key: "tdsSalary",
+    label: "Tax Deducted at Source",
+    part: "A",
+    target: ["employer", "tds"],
+    patterns: [
+      {
+        after: /summary of amount paid|quarter/i,
+        match: /^total\s*\(rs/i,
+        pick: "second",
+        confidence: "high",
+      },
+      { match: /total tax deducted/i, confidence: "medium" },
+      { match: /tax deducted at source/i, confidence: "low" },
+    ],
+  },
+];
+
+const downgrade = (confidence) =>
+  CONFIDENCE_LEVELS[
+    Math.min(CONFIDENCE_LEVELS.indexOf(confidence) + 1, CONFIDENCE_LEVELS.length - 1)
+  ];
+
+// Serial numbers such as "1" or "(2)" at the start of a row.
+const ROW_NUMBER = /^\(?\d{1,2}[.)]?$/;
+
+const amountsIn = (line) =>
+  line
+    .split(/\s+/)
+    .filter((token, index) => !(index === 0 && ROW_NUMBER.test(token)))
+    .filter((token) => AMOUNT_TOKEN.test(token))
+    .map(parseStatementAmount)
+    .filter((amount) => amount !== null);
+
+const pickAmount = (amounts, pick) =>
+  pick === "second" && amounts.length > 1
+    ? amounts[1]
+    : amounts[amounts.length - 1];
+
+const findAmount = (lines, { after, match, pick, confidence }) => {
+  const start = after ? lines.findIndex((line) => after.test(line)) : 0;
+  if (start < 0) return null;
+
+  for (let i = start; i < lines.length; i += 1) {
+    if (!match.test(lines[i])) continue;
+    const amounts = amountsIn(lines[i].replace(match, ""));
+    if (amounts.length) {
+      return { value: pickAmount(amounts, pick), confidence, source: lines[i] };
+    }
+    const wrapped = lines
+      .slice(i + 1, i + 1 + WRAP_LINES)
+      .find((line) => amountsIn(line).length);
+    if (wrapped) {
+      return {
+        value: pickAmount(amountsIn(wrapped), pick),
+        confidence: downgrade(confidence),
+        source: `${lines[i]} ${wrapped}`,
+      };
+    }
+  }
+  return null;
+};
+
+const findIdentifier = (lines, label, pattern) => {
+  const labelIndex = lines.findIndex((line) => label.test(line));
+  if (labelIndex >= 0) {
+    const nearby = lines
+      .slice(labelIndex, labelIndex + 4)
+      .find((line) => pattern.test(line));
+    if (nearby) {
+      return {
+        value: nearby.match(pattern)[0],
+        confidence: "high",
+        source: nearby,
+      };
+    }
+  }
+  const anywhere = lines.find((line) => pattern.test(line));
+  return anywhere
+    ? { value: anywhere.match(pattern)[0], confidence: "low", source: anywhere }
+    : null;
+};
+
+/**
+ * Financial year from the "Assessment Year" entry, whose value may sit on
+ * the label's line or, in tabular layouts, on the line after it.
+ */
+const findFinancialYear = (lines) => {
+  const index = lines.findIndex((text) => /assessment year/i.test(text));
+  if (index < 0) return null;
+  const line = lines
+    .slice(index, index + 2)
+    .find((text) => YEAR_PATTERN.test(text));
+  const match = line && line.match(YEAR_PATTERN);
+  if (!match) return null;
+  const financialYear = `FY ${Number(match[1]) - 1}-${match[1]}`;
+  return FINANCIAL_YEARS.includes(financialYear)
+    ? { value: financialYear, confidence: "high", source: line }
+    : { note: `${financialYear} is not supported yet.`, source: line };
+};
+
+/**
+ * Extracts Form 16 fields from its text. Returns one entry per field with
+ * `value` (null when not found), `confidence`, the `source` line it came
+ * from and an optional `note` explaining a missing value.
+ */
+export const parseForm16 = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const identifiers = [
+    {
+      key: "employerTan",
+      label: "Employer TAN",
+      part: "A",
+      target: ["employer", "tan"],
+      ...findIdentifier(lines, /TAN of the (deductor|employer)/i, TAN_PATTERN),
+    },
+    {
+      key: "employeePan",
+      label: "Employee PAN",
+      part: "A",
+      target: ["personalInfo", "pan"],
+      ...findIdentifier(lines, /PAN of the (employee|deductee)/i, PAN_IN_LINE),
+    },
+    {
+      key: "financialYear",
+      label: "Financial Year",
+      part: "A",
+      target: ["financialYear"],
+      ...findFinancialYear(lines),
+    },
+  ];
+
+  const amounts = FORM16_FIELDS.map(({ patterns, ...field }) => ({
+    ...field,
+    ...patterns.reduce(
+      (found, pattern) => found || findAmount(lines, pattern),
+      null,
+    ),
+  }));
+
+  return [...identifiers, ...amounts].map((field) => ({
+    value: null,
+    confidence: null,
+    source: "",
+    note: "",
+    ...field,
+  }));
+};
+
+/**
+ * Whether a field has something to copy. A deduction of zero is what a
+ * job changer's later Form 16 shows for one claimed with another employer,
+ * so it has nothing to copy either.
+ */
+const hasValue = ({ target: [category], value }) =>
+  value !== null &&
+  value !== "" &&
+  !(category === "deductions" && toAmount(value) === 0);
+
+/**
+ * Copies reviewed Form 16 fields into a formData object. Salary, exemptions,
+ * TDS and TAN become a new row in `employers`, so each Form 16 of a job
+ * changer adds an employer; other fields overwrite what was there. Fields
+ * without a value, and deductions of zero, leave what was there.
+ */
+export const applyForm16 = (formData, fields) => {
+  const employer = createEmployer();
+  const data = fields
+    .filter(hasValue)
+    .reduce((acc, { target: [category, field], value }) => {
+      if (category === "employer") {
+        employer[field] = `${value}`;
+        return acc;
+      }
+      if (!field) return { ...acc, [category]: value };
+      return { ...acc, [category]: { ...acc[category], [field]: `${value}` } };
+    }, formData);
+
+  return applyEmployerTotals({
+    ...data,
+    employers: [...(data.employers || []), employer],
+  });
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { applyForm16, parseForm16 } from "./form16";
+import { createFormData } from "./formData";
+
+const field = (fields, key) => fields.find((entry) => entry.key === key);
+
+// The text of a TRACES Form 16, cut down to the lines read from it.
+const FORM16_TEXT = `FORM NO. 16
+PART A
+TAN of the Deductor PAN of the Employee
+BLRA12345B ABCPE1234F
+Assessment Year
+2026-27
+Summary of amount paid/credited and tax deducted at source thereon
+Quarter Receipt Numbers Amount paid Tax deducted Tax deposited
+Q1 QAXBYCZD 4,50,000 45,000 45,000
+Q2 QEXFYGZH 4,50,000 45,000 45,000
+Q3 QIXJYKZL 4,50,000 45,000 45,000
+Q4 QMXNYOZP 4,50,000 45,000 45,000
+Total (Rs.) 18,00,000 1,80,000 1,80,000
+PART B
+1. Gross Salary
+(a) Salary as per provisions contained in section 17(1) 17,50,000
+(b) Value of perquisites under section 17(2) 50,000
+(d) Total 18,00,000
+Total amount of exemption claimed under section 10 1,20,000
+(A) Deduction in respect of life insurance premia under section 80C
+1,50,000
+(B) Deduction in respect of pension funds under section 80CCC 0
+(D) Deduction in respect of health insurance premia under section 80D 25,000`;
+
+describe("parseForm16", () => {
+  it.each([
+    ["on the label's line", "Assessment Year 2025-26"],
+    ["on the line after the label", "Assessment Year\n2025-26"],
+    ["with a four-digit end year", "Assessment Year\n2025-2026"],
+  ])("reads the assessment year %s", (_, text) => {
+    const year = field(parseForm16(text), "financialYear");
+    expect(year.value).toBe("FY 2024-2025");
+    expect(year.confidence).toBe("high");
+  });
+
+  it("notes an assessment year the calculator does not support", () => {
+    const year = field(parseForm16("Assessment Year\n2021-22"), "financialYear");
+    expect(year.value).toBeNull();
+    expect(year.note).toBe("FY 2020-2021 is not supported yet.");
+  });
+
+  it("finds the TAN and PAN near their labels", () => {
+    const fields = parseForm16(
+      "TAN of the Deductor PAN of the Employee\nBLRA12345B ABCPE1234F",
+    );
+    expect(field(fields, "employerTan").value).toBe("BLRA12345B");
+    expect(field(fields, "employeePan").value).toBe("ABCPE1234F");
+  });
+});
+
+describe("parseForm16 on a full Form 16", () => {
+  const fields = parseForm16(FORM16_TEXT);
+
+  it("reads amounts from the end of their line", () => {
+    expect(field(fields, "grossSalary")).toMatchObject({
+      value: 1800000,
+      confidence: "high",
+    });
+    expect(field(fields, "exemptAllowances").value).toBe(120000);
+    expect(field(fields, "medical80D").value).toBe(25000);
+  });
+
+  it("trusts an amount wrapped onto the next line less", () => {
+    expect(field(fields, "basic80C")).toMatchObject({
+      value: 150000,
+      confidence: "medium",
+    });
+  });
+
+  it("takes the tax deducted, not the amount paid, from the TDS total", () => {
+    expect(field(fields, "tdsSalary")).toMatchObject({
+      value: 180000,
+      confidence: "high",
+    });
+  });
+});
+
+describe("applyForm16", () => {
+  it("adds an employer and keeps deductions the Form 16 has none of", () => {
+    const formData = createFormData();
+    formData.deductions.basic80C = "100000";
+    formData.deductions.pension80CCC = "20000";
+    const applied = applyForm16(formData, parseForm16(FORM16_TEXT));
+
+    expect(applied.employers).toHaveLength(1);
+    expect(applied.employers[0]).toMatchObject({
+      tan: "BLRA12345B",
+      salary: "1800000",
+      tds: "180000",
+    });
+    expect(applied.incomeDetails.salary).toBe("1800000");
+    expect(applied.taxesPaid.tdsSalary).toBe("180000");
+    expect(applied.personalInfo.pan).toBe("ABCPE1234F");
+    expect(applied.deductions.basic80C).toBe("150000");
+    expect(applied.deductions.pension80CCC).toBe("20000");
+  });
+
+  it("adds each job's Form 16 as another employer", () => {
+    const fields = parseForm16(FORM16_TEXT);
+    const applied = applyForm16(applyForm16(createFormData(), fields), fields);
+    expect(applied.employers).toHaveLength(2);
+    expect(applied.incomeDetails.salary).toBe("3600000");
+    expect(applied.taxesPaid.tdsSalary).toBe("360000");
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * The calculator's input model. Amounts are strings without commas, as typed
+ * into the inputs; the engine converts them with Number().
+ */
+
+import { FINANCIAL_YEARS } from "./rules";
+
+/**
+ * Returns an empty input model for the calculator and filing flows.
+ */
+export const createFormData = () => ({
+  financialYear: FINANCIAL_YEARS[0],
+  ageGroup: "0-60",
+  parentsSeniorCitizen: false,
+  incomeDetails: {
+    salary: "",
+    basicSalary: "",
+    exemptAllowances: "",
+    interestIncome: "",
+    homeLoanSelfOccupied: "",
+    rentalIncome: "",
+    municipalTax: "",
+    homeLoanLetOut: "",
+    digitalAssets: "",
+    otherIncome: "",
+  },
+  deductions: {
+    basic80C: "",
+    pension80CCC: "",
+    nps80CCD: "",
+    nps80CCD1B: "",
+    deposits80TTA: "",
+    medical80D: "",
+    medical80DParents: "",
+    donations80G: "",
+    donations80G50: "",
+    donations80GLimited: "",
+    donations80GLimited50: "",
+    housing80EEA: "",
+    nps80CCD2: "",
+    rent80GG: "",
+    otherDeduction: "",
+  },
+  capitalGains: [],
+  taxesPaid: {
+    tdsSalary: "",
+    tdsOther: "",
+    tds194S: "",
+    tcs: "",
+    advanceTax: "",
+    selfAssessmentTax: "",
+  },
+  // Advance tax paid or planned, as { date, amount } rows.
+  advanceTaxPayments: [],
+  hasBusinessIncome: false,
+  // The date the return will be filed; blank means the due date.
+  filingDate: "",
+  hraDetails: {
+    hraReceived: "",
+    rentPaid: "",
+    metroCity: false,
+    claimExemption: false,
+  },
+  employers: [],
+  personalInfo: {
+    name: "",
+    dateOfBirth: "",
+    residentialStatus: "resident",
+    email: "",
+    mobile: "",
+    fatherName: "",
+    address: "",
+    city: "",
+    stateCode: "",
+    pinCode: "",
+    pan: "",
+    aadhaar: "",
+  },
+  bankAccounts: [],
+});
@@ -0,0 +1,62 @@
+/**
+ * Income from House Property (sections 22-24, with set-off under 71(3A)).
+ *
+ * Let-out property: rent less municipal tax gives the net annual value, then
+ * the 30% standard deduction and the full home-loan interest come off.
+ * Self-occupied property has nil annual value; its interest is allowed only
+ * up to the regime's limit. A resulting loss is set off against other heads
+ * up to the regime's limit and the rest is carried forward.
+ */
+
+import { toAmount } from "./amounts";
+
+const STANDARD_DEDUCTION_RATE = 0.3;
+
+/**
+ * Computes the house-property head from the calculator's income fields and
+ * the regime's `selfOccupiedInterestLimit` and `housePropertyLossSetOffLimit`.
+ */
+export const computeHouseProperty = (incomeDetails = {}, regimeRules = {}) => {
+  const { selfOccupiedInterestLimit = 0, housePropertyLossSetOffLimit = 0 } =
+    regimeRules;
+
+  const rentReceived = toAmount(incomeDetails.rentalIncome);
+  const municipalTax = Math.min(
+    toAmount(incomeDetails.municipalTax),
+    rentReceived,
+  );
+  const netAnnualValue = rentReceived - municipalTax;
+  const standardDeduction = Math.round(
+    netAnnualValue * STANDARD_DEDUCTION_RATE,
+  );
+  const letOutInterest = toAmount(incomeDetails.homeLoanLetOut);
+
+  const selfOccupiedInterestClaimed = toAmount(
+    incomeDetails.homeLoanSelfOccupied,
+  );
+  const selfOccupiedInterest = Math.min(
+    selfOccupiedInterestClaimed,
+    selfOccupiedInterestLimit,
+  );
+
+  const income =
+    netAnnualValue - standardDeduction - letOutInterest - selfOccupiedInterest;
+  const setOff =
+    income < 0 ? Math.min(-income, housePropertyLossSetOffLimit) : 0;
+
+  return {
+    rentReceived,
+    municipalTax,
+    netAnnualValue,
+    standardDeduction,
+    letOutInterest,
+    selfOccupiedInterestClaimed,
+    selfOccupiedInterest,
+    income,
+    setOff,
+    carryForward: income < 0 ? -income - setOff : 0,
+    // The amount that flows into total income; "0 -" keeps a loss with
+    // nothing set off from showing as -0.
+    taxableIncome: income < 0 ? 0 - setOff : income,
+  };
+};
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { computeHouseProperty } from "./houseProperty";
+import { getRegimeRules } from "./rules";
+
+const OLD_REGIME = getRegimeRules("FY 2025-2026", "old");
+const NEW_REGIME = getRegimeRules("FY 2025-2026", "new");
+
+describe("computeHouseProperty", () => {
+  it("takes 30% of the net annual value off let-out rent", () => {
+    const house = computeHouseProperty(
+      { rentalIncome: "300000", municipalTax: "20000" },
+      OLD_REGIME,
+    );
+    expect(house.netAnnualValue).toBe(280000);
+    expect(house.standardDeduction).toBe(84000);
+    expect(house.income).toBe(196000);
+    expect(house.taxableIncome).toBe(196000);
+  });
+
+  it("limits municipal tax to the rent received", () => {
+    const house = computeHouseProperty(
+      { rentalIncome: "10000", municipalTax: "25000" },
+      OLD_REGIME,
+    );
+    expect(house.municipalTax).toBe(10000);
+    expect(house.netAnnualValue).toBe(0);
+  });
+
+  it("sets off a loss up to ₹2 lakh and carries the rest forward", () => {
+    const house = computeHouseProperty(
+      {
+        rentalIncome: "240000",
+        homeLoanLetOut: "300000",
+        homeLoanSelfOccupied: "250000",
+      },
+      OLD_REGIME,
+    );
+    // 2,40,000 less 72,000, 3,00,000 and a capped 2,00,000.
+    expect(house.selfOccupiedInterest).toBe(200000);
+    expect(house.income).toBe(-332000);
+    expect(house.setOff).toBe(200000);
+    expect(house.carryForward).toBe(132000);
+    expect(house.taxableIncome).toBe(-200000);
+  });
+
+  it("sets off nothing in the new regime and carries the loss forward", () => {
+    const house = computeHouseProperty(
+      { rentalIncome: "100000", homeLoanLetOut: "200000" },
+      NEW_REGIME,
+    );
+    expect(house.income).toBe(-130000);
+    expect(house.setOff).toBe(0);
+    expect(house.carryForward).toBe(130000);
+    expect(house.taxableIncome).toBe(0);
+  });
+
+  it("allows no self-occupied interest in the new regime", () => {
+    const house = computeHouseProperty(
+      { homeLoanSelfOccupied: "150000" },
+      NEW_REGIME,
+    );
+    expect(house.selfOccupiedInterest).toBe(0);
+    expect(house.income).toBe(0);
+  });
+});
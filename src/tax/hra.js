@@ -0,0 +1,74 @@
+/**
+ * House Rent Allowance exemption under Section 10(13A) and the Section 80GG
+ * deduction for those who pay rent but receive no HRA.
+ */
+
+import { toAmount } from "./amounts";
+
+/**
+ * HRA exemption is the least of:
+ *  1. HRA actually received,
+ *  2. rent paid less 10% of basic + DA,
+ *  3. 50% of basic + DA in a metro city, 40% elsewhere.
+ */
+export const computeHraExemption = ({
+  basicSalary,
+  hraReceived,
+  rentPaid,
+  metroCity,
+}) => {
+  const basic = toAmount(basicSalary);
+  const candidates = [
+    {
+      key: "hraReceived",
+      label: "HRA received",
+      amount: toAmount(hraReceived),
+    },
+    {
+      key: "rentLessBasic",
+      label: "Rent paid less 10% of basic + DA",
+      amount: Math.max(0, toAmount(rentPaid) - Math.round(basic * 0.1)),
+    },
+    {
+      key: "shareOfBasic",
+      label: `${metroCity ? 50 : 40}% of basic + DA`,
+      amount: Math.round(basic * (metroCity ? 0.5 : 0.4)),
+    },
+  ];
+  const least = candidates.reduce((min, candidate) =>
+    candidate.amount < min.amount ? candidate : min,
+  );
+
+  return { candidates, exempt: least.amount, limitingFactor: least.key };
+};
+
+/**
+ * 80GG deduction is the least of ₹5,000 a month, 25% of adjusted total
+ * income, and rent paid less 10% of adjusted total income. It is not
+ * available to anyone who receives HRA.
+ */
+export const compute80GG = ({ rentPaid, adjustedTotalIncome, hraReceived }) => {
+  if (toAmount(hraReceived) > 0) {
+    return { candidates: [], allowed: 0, blocked: true };
+  }
+  const income = Math.max(0, toAmount(adjustedTotalIncome));
+  const candidates = [
+    { key: "monthlyCap", label: "₹5,000 per month", amount: 60000 },
+    {
+      key: "shareOfIncome",
+      label: "25% of adjusted total income",
+      amount: Math.round(income * 0.25),
+    },
+    {
+      key: "rentLessIncome",
+      label: "Rent paid less 10% of adjusted total income",
+      amount: Math.max(0, toAmount(rentPaid) - Math.round(income * 0.1)),
+    },
+  ];
+
+  return {
+    candidates,
+    allowed: Math.min(...candidates.map(({ amount }) => amount)),
+    blocked: false,
+  };
+};
@@ -0,0 +1,188 @@
+/**
+ * Which ITR form an individual files, from a short income profile. Follows
+ * the eligibility conditions of ITR-1 (Sahaj) and ITR-4 (Sugam) for resident
+ * individuals; anyone they exclude files ITR-3 with business or professional
+ * income and ITR-2 without it.
+ *
+ * The profile can be seeded from the calculator's formData with
+ * `profileFromFormData`; questions the calculator does not ask (foreign
+ * assets, directorship, unlisted shares) default to "no", and business
+ * income, asked only as yes or no, to books of account.
+ */
+
+import { toAmount } from "./amounts";
+import { computeCapitalGains } from "./capitalGains";
+import { computeTax } from "./engine";
+
+// Total income limit for ITR-1 and ITR-4.
+const SIMPLE_FORM_INCOME_LIMIT = 5000000;
+
+// Long-term gains u/s 112A that ITR-1 and ITR-4 can report.
+const SMALL_LTCG_112A_LIMIT = 125000;
+
+export const ITR_FORMS = {
+  "ITR-1": "ITR-1 (Sahaj)",
+  "ITR-2": "ITR-2",
+  "ITR-3": "ITR-3",
+  "ITR-4": "ITR-4 (Sugam)",
+};
+
+/**
+ * Plans in BusinessModel.jsx, by the id each plan card carries.
+ */
+export const PLAN_TITLES = {
+  "salary-individual": "Salary Individual",
+  "salary-individual-pro": "Salary Individual Pro",
+  "capital-gain-tax": "Capital Gain Tax",
+  "foreign-tax": "Foreign Tax",
+};
+
+export const BUSINESS_INCOME_TYPES = {
+  none: "No business or professional income",
+  presumptive: "Presumptive (44AD / 44ADA / 44AE)",
+  regular: "Business or profession with books of account",
+};
+
+/**
+ * Returns a profile with every question answered "no".
+ */
+export const createIncomeProfile = () => ({
+  residentialStatus: "resident",
+  totalIncome: 0,
+  hasSalary: false,
+  hasOtherSources: false,
+  houseProperties: 0,
+  capitalGains: "none", // "none", "small112A" or "other"
+  hasDigitalAssets: false,
+  businessIncome: "none",
+  foreignAssets: false,
+  director: false,
+  unlistedShares: false,
+  agriculturalIncomeOver5000: false,
+  multipleEmployers: false,
+});
+
+/**
+ * Seeds a profile from the calculator's input model.
+ */
+export const profileFromFormData = (formData, regime = "new") => {
+  const { incomeDetails } = formData;
+  const result = computeTax({ ...formData, regime });
+  const gains = computeCapitalGains(formData.capitalGains, formData.financialYear)
+    .transactions.filter((row) => !row.error);
+  const onlySmall112A =
+    gains.every((row) => row.section === "112A") &&
+    gains.reduce((sum, row) => sum + Math.max(0, row.gain), 0) <=
+      SMALL_LTCG_112A_LIMIT;
+  const letOut =
+    toAmount(incomeDetails.rentalIncome) > 0 ||
+    toAmount(incomeDetails.homeLoanLetOut) > 0;
+  const selfOccupied = toAmount(incomeDetails.homeLoanSelfOccupied) > 0;
+
+  return {
+    ...createIncomeProfile(),
+    residentialStatus: formData.personalInfo?.residentialStatus || "resident",
+    totalIncome: result.taxableIncome,
+    hasSalary: toAmount(incomeDetails.salary) > 0,
+    hasOtherSources:
+      toAmount(incomeDetails.interestIncome) > 0 ||
+      toAmount(incomeDetails.otherIncome) > 0,
+    houseProperties: Number(letOut) + Number(selfOccupied),
+    capitalGains: !gains.length ? "none" : onlySmall112A ? "small112A" : "other",
+    hasDigitalAssets: toAmount(incomeDetails.digitalAssets) > 0,
+    unlistedShares: gains.some((row) => row.assetType === "unlistedShares"),
+    businessIncome: formData.hasBusinessIncome ? "regular" : "none",
+    multipleEmployers: (formData.employers || []).length > 1,
+  };
+};
+
+/**
+ * Conditions that rule out ITR-1 and ITR-4, as reasons.
+ */
+const simpleFormExclusions = (profile) =>
+  [
+    profile.residentialStatus !== "resident" &&
+      "Only ordinarily resident individuals can use ITR-1 or ITR-4.",
+    profile.totalIncome > SIMPLE_FORM_INCOME_LIMIT &&
+      "Total income is above ₹50 lakh.",
+    profile.houseProperties > 1 && "You have more than one house property.",
+    profile.capitalGains === "other" &&
+      "You have capital gains other than long-term gains u/s 112A up to ₹1.25 lakh.",
+    profile.hasDigitalAssets &&
+      "Income from virtual digital assets is reported in Schedule VDA.",
+    profile.foreignAssets &&
+      "You have foreign assets or foreign income (Schedule FA).",
+    profile.director && "You were a director in a company during the year.",
+    profile.unlistedShares &&
+      "You held unlisted equity shares during the year.",
+    profile.agriculturalIncomeOver5000 &&
+      "Agricultural income is above ₹5,000.",
+  ].filter(Boolean);
+
+/**
+ * The ITR-1 heads the profile has income under, as a sentence, or null.
+ */
+const describeSimpleIncome = (profile) => {
+  const heads = [
+    profile.hasSalary && "salary",
+    profile.houseProperties === 1 && "one house property",
+    profile.hasOtherSources && "other sources",
+  ].filter(Boolean);
+  if (!heads.length) return null;
+  const last = heads.pop();
+  const list = heads.length ? `${heads.join(", ")} and ${last}` : last;
+  return `Your income is from ${list}.`;
+};
+
+/**
+ * Plan that covers the recommended form and the profile's complexity.
+ */
+const recommendPlan = (form, profile) => {
+  if (profile.foreignAssets || profile.residentialStatus !== "resident") {
+    return "foreign-tax";
+  }
+  if (profile.capitalGains === "other" || profile.hasDigitalAssets) {
+    return "capital-gain-tax";
+  }
+  if (form === "ITR-1" && !profile.multipleEmployers) {
+    return "salary-individual";
+  }
+  return "salary-individual-pro";
+};
+
+/**
+ * Recommends the ITR form for a profile. Returns the `form`, the `reasons`
+ * behind it and the id of the matching `plan`.
+ */
+export const recommendItrForm = (profile) => {
+  const exclusions = simpleFormExclusions(profile);
+  let form;
+  let reasons;
+
+  if (profile.businessIncome === "regular") {
+    form = "ITR-3";
+    reasons = ["You have business or professional income with books of account."];
+  } else if (profile.businessIncome === "presumptive") {
+    form = exclusions.length ? "ITR-3" : "ITR-4";
+    reasons = exclusions.length
+      ? ["You have business income, and ITR-4 is ruled out:", ...exclusions]
+      : [
+          "Your business or professional income is presumptive (44AD / 44ADA / 44AE).",
+          "Total income is within ₹50 lakh and there is nothing ITR-4 excludes.",
+        ];
+  } else if (exclusions.length) {
+    form = "ITR-2";
+    reasons = ["You have no business income, but ITR-1 is ruled out:", ...exclusions];
+  } else {
+    form = "ITR-1";
+    reasons = [
+      describeSimpleIncome(profile),
+      "Total income is within ₹50 lakh.",
+    ].filter(Boolean);
+    if (profile.capitalGains === "small112A") {
+      reasons.push("Long-term gains u/s 112A are within ₹1.25 lakh.");
+    }
+  }
+
+  return { form, reasons, plan: recommendPlan(form, profile) };
+};
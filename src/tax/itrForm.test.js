@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { createTransaction } from "./capitalGains";
+import { createFormData } from "./formData";
+import { profileFromFormData, recommendItrForm } from "./itrForm";
+
+const makeFormData = (income = {}) => {
+  const formData = createFormData();
+  formData.financialYear = "FY 2025-2026";
+  Object.assign(formData.incomeDetails, income);
+  return formData;
+};
+
+const recommend = (formData, answers = {}) =>
+  recommendItrForm({ ...profileFromFormData(formData), ...answers });
+
+describe("recommendItrForm", () => {
+  it("picks ITR-1 for salary and interest within ₹50 lakh", () => {
+    const { form, reasons, plan } = recommend(
+      makeFormData({ salary: "1200000", interestIncome: "20000" }),
+    );
+    expect(form).toBe("ITR-1");
+    expect(reasons[0]).toBe("Your income is from salary and other sources.");
+    expect(plan).toBe("salary-individual");
+  });
+
+  it("names only the heads there is income under", () => {
+    const { reasons } = recommend(makeFormData({ rentalIncome: "300000" }));
+    expect(reasons[0]).toBe("Your income is from one house property.");
+  });
+
+  it("picks ITR-2 for capital gains beyond small 112A gains", () => {
+    const formData = makeFormData({ salary: "1200000" });
+    formData.capitalGains = [
+      {
+        ...createTransaction(),
+        buyDate: "2025-01-10",
+        sellDate: "2025-08-01",
+        buyValue: "100000",
+        sellValue: "180000",
+      },
+    ];
+    const { form, reasons } = recommend(formData);
+    expect(form).toBe("ITR-2");
+    expect(reasons).toContain(
+      "You have capital gains other than long-term gains u/s 112A up to ₹1.25 lakh.",
+    );
+  });
+
+  it("picks ITR-2 for income above ₹50 lakh", () => {
+    const { form, reasons } = recommend(makeFormData({ salary: "6000000" }));
+    expect(form).toBe("ITR-2");
+    expect(reasons).toContain("Total income is above ₹50 lakh.");
+  });
+
+  it("picks ITR-3 for business income with books of account", () => {
+    const formData = makeFormData({ salary: "1200000" });
+    formData.hasBusinessIncome = true;
+    expect(recommend(formData).form).toBe("ITR-3");
+  });
+
+  it("picks ITR-4 for presumptive business income", () => {
+    const formData = makeFormData({ otherIncome: "40000" });
+    formData.hasBusinessIncome = true;
+    const { form } = recommend(formData, { businessIncome: "presumptive" });
+    expect(form).toBe("ITR-4");
+  });
+
+  it("moves presumptive income to ITR-3 when ITR-4 is ruled out", () => {
+    const formData = makeFormData({ salary: "6000000" });
+    const { form } = recommend(formData, { businessIncome: "presumptive" });
+    expect(form).toBe("ITR-3");
+  });
+});
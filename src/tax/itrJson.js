@@ -0,0 +1,612 @@
+/**
+ * Builds a draft of the ITR-1 or ITR-2 return as JSON, laid out like the
+ * department's ITR JSON, from the filing wizard's formData and the chosen
+ * regime, and checks it against the subset schemas in itrSchema.js.
+ *
+ * The draft is for reference while filing, not for import or upload: it
+ * has not been validated against the department's published schema, and
+ * its software id and version strings are placeholders. Downloads are
+ * named "_draft" to match.
+ *
+ * Amounts are whole rupees, as on the return. Every schema error is
+ * traced back to the wizard field (and step) it came from so the user can
+ * fix the input rather than the file; figures the engine computes trace
+ * back to the summary.
+ */
+
+import { computeInterest } from "./advanceTax";
+import { toAmount } from "./amounts";
+import { computeTax } from "./engine";
+import { getInterestSection } from "./deductions";
+import { sumEmployers } from "./employers";
+import { getYearRules } from "./rules";
+import { ITR1_SCHEMA, ITR2_SCHEMA, validateSchema } from "./itrSchema";
+
+export const EXPORTABLE_FORMS = ["ITR-1", "ITR-2"];
+
+// Placeholders: this app has no software id issued by the department and
+// does not follow a published schema version.
+const SOFTWARE_ID = "SW00000000";
+const SCHEMA_VERSION = "Ver1.0";
+
+const RESIDENTIAL_STATUS_CODES = {
+  resident: "RES",
+  rnor: "NOR",
+  nonResident: "NRI",
+};
+
+const ACCOUNT_TYPE_CODES = { savings: "SB", current: "CA", nro: "NRO" };
+
+/**
+ * Wizard field, step and label behind each part of the file, keyed by the
+ * end of the JSON path with array indexes written as "*". A "*" in the
+ * field takes the index from the JSON path.
+ */
+const SOURCES = {
+  "AssesseeName.FirstName": ["personalInfo.name", "personal", "Full Name"],
+  "AssesseeName.SurNameOrOrgName": [
+    "personalInfo.name",
+    "personal",
+    "Full Name",
+  ],
+  "PersonalInfo.PAN": ["personalInfo.pan", "pan", "PAN"],
+  "PersonalInfo.AadhaarCardNo": [
+    "personalInfo.aadhaar",
+    "pan",
+    "Aadhaar Number",
+  ],
+  "PersonalInfo.DOB": ["personalInfo.dateOfBirth", "personal", "Date of Birth"],
+  "Address.ResidenceNo": ["personalInfo.address", "personal", "Address"],
+  "Address.LocalityOrArea": ["personalInfo.address", "personal", "Address"],
+  "Address.CityOrTownOrDistrict": ["personalInfo.city", "personal", "City"],
+  "Address.StateCode": ["personalInfo.stateCode", "personal", "State"],
+  "Address.PinCode": ["personalInfo.pinCode", "personal", "PIN Code"],
+  "Address.MobileNo": ["personalInfo.mobile", "personal", "Mobile Number"],
+  "Address.EmailAddress": ["personalInfo.email", "personal", "Email"],
+  "Declaration.AssesseeVerName": ["personalInfo.name", "personal", "Full Name"],
+  "Declaration.FatherName": [
+    "personalInfo.fatherName",
+    "personal",
+    "Father's Name",
+  ],
+  "Declaration.AssesseeVerPAN": ["personalInfo.pan", "pan", "PAN"],
+  "Verification.Place": ["personalInfo.city", "personal", "City"],
+  AddtnlBankDetails: ["bankAccounts", "bank", "Bank Accounts"],
+  "AddtnlBankDetails.*.IFSCCode": ["bankAccounts.*.ifsc", "bank", "IFSC"],
+  "AddtnlBankDetails.*.BankName": [
+    "bankAccounts.*.bankName",
+    "bank",
+    "Bank Name",
+  ],
+  "AddtnlBankDetails.*.BankAccountNo": [
+    "bankAccounts.*.accountNumber",
+    "bank",
+    "Account Number",
+  ],
+  "EmployerOrDeductorOrCollectDetl.TAN": [
+    "employers.*.tan",
+    "income",
+    "Employer TAN",
+  ],
+  "EmployerOrDeductorOrCollectDetl.EmployerOrDeductorOrCollecterName": [
+    "employers.*.name",
+    "income",
+    "Employer",
+  ],
+  "Salaries.*.NameOfEmployer": ["employers.*.name", "income", "Employer"],
+  "Salaries.*.TANofEmployer": ["employers.*.tan", "income", "Employer TAN"],
+};
+
+const COMPUTED_SOURCE = {
+  field: null,
+  step: "summary",
+  label: "Computed figure",
+};
+
+/**
+ * Finds the wizard field for a JSON path.
+ */
+export const findSource = (path) => {
+  const index = path.match(/\.(\d+)(\.|$)/)?.[1];
+  const pattern = path.replace(/\.\d+(?=\.|$)/g, ".*");
+  const key = Object.keys(SOURCES)
+    .filter((suffix) => pattern === suffix || pattern.endsWith(`.${suffix}`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return COMPUTED_SOURCE;
+  const [field, step, label] = SOURCES[key];
+  return { field: field.replace("*", index ?? "0"), step, label };
+};
+
+const rupees = (value) => Math.round(toAmount(value));
+
+/**
+ * Assessment year of a financial year, as the ITR JSON writes it ("2026"
+ * for FY 2025-26).
+ */
+export const getAssessmentYear = (financialYear) =>
+  getYearRules(financialYear).period.end.slice(0, 4);
+
+const splitName = (name) => {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  const surname = words.pop() || "";
+  return words.length
+    ? { FirstName: words.join(" "), SurNameOrOrgName: surname }
+    : { SurNameOrOrgName: surname };
+};
+
+// First part of the address is the flat or house; the rest is the locality.
+const splitAddress = (address) => {
+  const [residence = "", ...locality] = address
+    .split(/[,\n]/)
+    .map((part) => part.trim());
+  return {
+    ResidenceNo: residence,
+    LocalityOrArea: locality.filter(Boolean).join(", "),
+  };
+};
+
+const buildPersonalInfo = ({ personalInfo, employers, incomeDetails }) => ({
+  AssesseeName: splitName(personalInfo.name),
+  PAN: personalInfo.pan,
+  Address: {
+    ...splitAddress(personalInfo.address),
+    CityOrTownOrDistrict: personalInfo.city.trim(),
+    StateCode: personalInfo.stateCode,
+    CountryCode: personalInfo.stateCode === "99" ? "2" : "91",
+    PinCode: Number(personalInfo.pinCode) || 0,
+    CountryCodeMobile: 91,
+    MobileNo: Number(personalInfo.mobile) || 0,
+    EmailAddress: personalInfo.email,
+  },
+  DOB: personalInfo.dateOfBirth,
+  EmployerCategory:
+    employers.length || toAmount(incomeDetails.salary) > 0 ? "OTH" : "NA",
+  ...(personalInfo.aadhaar ? { AadhaarCardNo: personalInfo.aadhaar } : {}),
+});
+
+const buildFilingStatus = (formData, regime) => ({
+  ReturnFileSec: 11,
+  OptOutNewTaxRegime: regime === "old" ? "Y" : "N",
+  ResidentialStatus:
+    RESIDENTIAL_STATUS_CODES[formData.personalInfo.residentialStatus],
+});
+
+/**
+ * Chapter VI-A as allowed by the engine, grouped into the form's sections.
+ */
+const buildChapterVIA = (deductionDetails, ageGroup, total) => {
+  const allowed = (...fields) =>
+    fields.reduce(
+      (sum, field) => sum + rupees(deductionDetails[field]?.allowed),
+      0,
+    );
+  const interestSection = getInterestSection(ageGroup);
+  return {
+    Section80C: allowed("basic80C"),
+    Section80CCC: allowed("pension80CCC"),
+    Section80CCDEmployeeOrSE: allowed("nps80CCD"),
+    Section80CCD1B: allowed("nps80CCD1B"),
+    Section80CCDEmployer: allowed("nps80CCD2"),
+    Section80D: allowed("medical80D", "medical80DParents"),
+    Section80EEA: allowed("housing80EEA"),
+    Section80G: allowed(
+      "donations80G",
+      "donations80G50",
+      "donations80GLimited",
+      "donations80GLimited50",
+    ),
+    Section80GG: allowed("rent80GG"),
+    Section80TTA: interestSection === "80TTA" ? allowed("deposits80TTA") : 0,
+    Section80TTB: interestSection === "80TTB" ? allowed("deposits80TTA") : 0,
+    TotalChapVIADeductions: rupees(total),
+  };
+};
+
+/**
+ * One TDS row per employer. Without an employer list the salary TDS is
+ * reported against a single employer the user still has to name.
+ */
+const buildTdsOnSalaries = ({ employers, incomeDetails, taxesPaid }) => {
+  const rows = employers.length
+    ? employers
+    : toAmount(taxesPaid.tdsSalary) > 0
+      ? [
+          {
+            name: "",
+            tan: "",
+            salary: incomeDetails.salary,
+            tds: taxesPaid.tdsSalary,
+          },
+        ]
+      : [];
+  return {
+    TDSonSalary: rows.map((employer) => ({
+      EmployerOrDeductorOrCollectDetl: {
+        TAN: employer.tan,
+        EmployerOrDeductorOrCollecterName: employer.name.trim(),
+      },
+      IncChrgSal: rupees(employer.salary),
+      TotalTDSSal: rupees(employer.tds),
+    })),
+    TotalTDSonSalaries: rupees(
+      employers.length ? sumEmployers(employers).tds : taxesPaid.tdsSalary,
+    ),
+  };
+};
+
+/**
+ * Interest under 234A, 234B and 234C, as both forms lay it out.
+ */
+const buildInterest = (interest) => ({
+  IntrstPayUs234A: rupees(interest.section234A.interest),
+  IntrstPayUs234B: rupees(interest.section234B),
+  IntrstPayUs234C: rupees(interest.section234C),
+  TotalIntrstPay: rupees(interest.total),
+});
+
+const buildTaxPaid = ({ taxCredits, taxPayable }, interest) => {
+  const taxesPaid = {
+    AdvanceTax: rupees(taxCredits.advanceTax),
+    TDS:
+      rupees(taxCredits.tdsSalary) +
+      rupees(taxCredits.tdsOther) +
+      rupees(taxCredits.tds194S),
+    TCS: rupees(taxCredits.tcs),
+    SelfAssessmentTax: rupees(taxCredits.selfAssessmentTax),
+  };
+  const total = Object.values(taxesPaid).reduce((sum, paid) => sum + paid, 0);
+  return {
+    TaxesPaid: { ...taxesPaid, TotalTaxesPaid: total },
+    BalTaxPayable: Math.max(
+      0,
+      rupees(taxPayable) + rupees(interest.total) - total,
+    ),
+  };
+};
+
+const buildRefund = ({ bankAccounts }, result, interest, taxPaid) => ({
+  RefundDue: Math.max(
+    0,
+    taxPaid.TaxesPaid.TotalTaxesPaid -
+      rupees(result.taxPayable) -
+      rupees(interest.total),
+  ),
+  BankAccountDtls: {
+    AddtnlBankDetails: bankAccounts.map((account) => ({
+      IFSCCode: account.ifsc,
+      BankName: account.bankName.trim(),
+      BankAccountNo: account.accountNumber,
+      AccountType: ACCOUNT_TYPE_CODES[account.accountType],
+      UseForRefund: `${account.refund}`,
+    })),
+  },
+});
+
+const buildVerification = ({ personalInfo }) => ({
+  Declaration: {
+    AssesseeVerName: personalInfo.name.trim(),
+    FatherName: personalInfo.fatherName.trim(),
+    AssesseeVerPAN: personalInfo.pan,
+  },
+  Capacity: "S",
+  Place: personalInfo.city.trim(),
+});
+
+const buildHeader = (formName, formData, createdOn) => {
+  const assessmentYear = getAssessmentYear(formData.financialYear);
+  return {
+    CreationInfo: {
+      SWVersionNo: "1.0",
+      SWCreatedBy: SOFTWARE_ID,
+      JSONCreatedBy: SOFTWARE_ID,
+      JSONCreationDate: createdOn.toISOString().slice(0, 10),
+      Digest: "-",
+    },
+    [`Form_${formName.replace("-", "")}`]: {
+      FormName: formName,
+      Description: `For Assessment Year ${assessmentYear}`,
+      AssessmentYear: assessmentYear,
+      SchemaVer: SCHEMA_VERSION,
+      FormVer: SCHEMA_VERSION,
+    },
+  };
+};
+
+/**
+ * Salary head: gross, exempt allowances (old regime only), standard
+ * deduction and the income chargeable.
+ */
+const salaryFigures = ({ incomeDetails }, result) => {
+  const gross = rupees(incomeDetails.salary);
+  const net = gross - rupees(result.exemptAllowances);
+  return {
+    gross,
+    exempt: rupees(result.exemptAllowances),
+    net,
+    standardDeduction: rupees(result.standardDeduction),
+    income: Math.max(0, net - rupees(result.standardDeduction)),
+  };
+};
+
+const capitalGainFigures = (result) => {
+  const bySection = (section) =>
+    result.capitalGains.specialRateIncome
+      .filter((row) => row.section === section)
+      .reduce((sum, row) => sum + row.income, 0);
+  const shortTerm = rupees(result.capitalGains.slabIncome + bySection("111A"));
+  const longTerm = rupees(bySection("112A") + bySection("112"));
+  return { shortTerm, longTerm, ltcg112A: rupees(bySection("112A")) };
+};
+
+const buildItr1 = (formData, regime, result, interest, createdOn) => {
+  const { incomeDetails } = formData;
+  const salary = salaryFigures(formData, result);
+  const hp = result.houseProperty;
+  const letOut = hp.rentReceived > 0 || hp.letOutInterest > 0;
+  const otherSources =
+    rupees(incomeDetails.interestIncome) + rupees(incomeDetails.otherIncome);
+  const taxPaid = buildTaxPaid(result, interest);
+
+  return {
+    ITR: {
+      ITR1: {
+        ...buildHeader("ITR-1", formData, createdOn),
+        PersonalInfo: buildPersonalInfo(formData),
+        FilingStatus: buildFilingStatus(formData, regime),
+        ITR1_IncomeDeductions: {
+          GrossSalary: salary.gross,
+          AllwncExemptUs10: salary.exempt,
+          NetSalary: salary.net,
+          DeductionUs16ia: salary.standardDeduction,
+          IncomeFromSal: salary.income,
+          TypeOfHP: letOut ? "L" : "S",
+          GrossRentReceived: rupees(hp.rentReceived),
+          TaxPaidlocalAuth: rupees(hp.municipalTax),
+          AnnualValue: rupees(hp.netAnnualValue),
+          StandardDeduction: rupees(hp.standardDeduction),
+          InterestPayable: rupees(hp.letOutInterest + hp.selfOccupiedInterest),
+          TotalIncomeOfHP: rupees(hp.taxableIncome),
+          IncomeOthSrc: otherSources,
+          GrossTotIncome: rupees(result.grossTotalIncome),
+          GrossTotIncomeIncLTCG112A: rupees(
+            result.grossTotalIncome + capitalGainFigures(result).ltcg112A,
+          ),
+          DeductUndChapVIA: buildChapterVIA(
+            result.deductionDetails,
+            formData.ageGroup,
+            result.chapterVIA,
+          ),
+          TotalIncome: rupees(result.slabIncome),
+        },
+        ITR1_TaxComputation: {
+          TotalTaxPayable: rupees(result.slabTax + result.specialRateTax),
+          Rebate87A: rupees(result.rebate87A + result.rebateMarginalRelief),
+          TaxPayableOnRebate: rupees(result.incomeTax),
+          EducationCess: rupees(result.healthEducationCess),
+          GrossTaxLiability: rupees(result.taxPayable),
+          NetTaxLiability: rupees(result.taxPayable),
+          IntrstPay: buildInterest(interest),
+          TotalIntrstPay: rupees(interest.total),
+          TotTaxPlusIntrstPay:
+            rupees(result.taxPayable) + rupees(interest.total),
+        },
+        TaxPaid: taxPaid,
+        Refund: buildRefund(formData, result, interest, taxPaid),
+        TDSonSalaries: buildTdsOnSalaries(formData),
+        Verification: buildVerification(formData),
+      },
+    },
+  };
+};
+
+/**
+ * Schedule HP rows: the let-out property and the self-occupied one, where
+ * the income fields show either.
+ */
+const buildPropertyDetails = (hp) => {
+  const rows = [];
+  if (hp.rentReceived > 0 || hp.letOutInterest > 0) {
+    const totalDeduct = hp.standardDeduction + hp.letOutInterest;
+    rows.push({
+      ifLetOut: "L",
+      Rentdetails: {
+        AnnualLetableValue: rupees(hp.rentReceived),
+        LocalTaxes: rupees(hp.municipalTax),
+        BalanceALV: rupees(hp.netAnnualValue),
+        ThirtyPercentOfBalance: rupees(hp.standardDeduction),
+        IntOnBorwCap: rupees(hp.letOutInterest),
+        TotalDeduct: rupees(totalDeduct),
+        IncomeOfHP: rupees(hp.netAnnualValue - totalDeduct),
+      },
+    });
+  }
+  if (hp.selfOccupiedInterest > 0) {
+    rows.push({
+      ifLetOut: "S",
+      Rentdetails: {
+        AnnualLetableValue: 0,
+        LocalTaxes: 0,
+        BalanceALV: 0,
+        ThirtyPercentOfBalance: 0,
+        IntOnBorwCap: rupees(hp.selfOccupiedInterest),
+        TotalDeduct: rupees(hp.selfOccupiedInterest),
+        IncomeOfHP: -rupees(hp.selfOccupiedInterest),
+      },
+    });
+  }
+  return rows;
+};
+
+const buildItr2 = (formData, regime, result, interest, createdOn) => {
+  const { incomeDetails, employers } = formData;
+  const salary = salaryFigures(formData, result);
+  const gains = capitalGainFigures(result);
+  const otherSources = {
+    InterestGross: rupees(incomeDetails.interestIncome),
+    OthersGross: rupees(incomeDetails.otherIncome),
+  };
+  const otherSourcesTotal =
+    otherSources.InterestGross + otherSources.OthersGross;
+  const vda = rupees(incomeDetails.digitalAssets);
+  const houseProperty = rupees(result.houseProperty.taxableIncome);
+  const grossTotal = Math.max(
+    0,
+    salary.income +
+      houseProperty +
+      gains.shortTerm +
+      gains.longTerm +
+      otherSourcesTotal +
+      vda,
+  );
+  const specialRateGains = result.specialRateIncome
+    .filter((row) => row.capitalGain)
+    .reduce((sum, row) => sum + row.income, 0);
+  const taxPaid = buildTaxPaid(result, interest);
+  const salaryRows = employers.length
+    ? employers
+    : salary.gross > 0
+      ? [{ name: "", tan: "", salary: incomeDetails.salary }]
+      : [];
+
+  return {
+    ITR: {
+      ITR2: {
+        ...buildHeader("ITR-2", formData, createdOn),
+        PartA_GEN1: {
+          PersonalInfo: buildPersonalInfo(formData),
+          FilingStatus: buildFilingStatus(formData, regime),
+        },
+        ScheduleS: {
+          Salaries: salaryRows.map((employer) => ({
+            NameOfEmployer: employer.name.trim(),
+            TANofEmployer: employer.tan,
+            Salarys: {
+              GrossSalary: rupees(employer.salary),
+              Salary: rupees(employer.salary),
+            },
+          })),
+          TotalGrossSalary: salary.gross,
+          AllwncExtentExemptUs10: salary.exempt,
+          NetSalary: salary.net,
+          DeductionUS16ia: salary.standardDeduction,
+          TotIncUnderHeadSalaries: salary.income,
+        },
+        ScheduleHP: {
+          PropertyDetails: buildPropertyDetails(result.houseProperty),
+          TotalIncomeChargeableUnHP: houseProperty,
+        },
+        ScheduleCGFor23: {
+          ShortTermCapGainFor23: { TotalSTCG: gains.shortTerm },
+          LongTermCapGain23: { TotalLTCG: gains.longTerm },
+          SumOfCGIncm: gains.shortTerm + gains.longTerm,
+        },
+        ScheduleOS: {
+          IncOthThanOwnRaceHorse: otherSources,
+          IncChargeable: otherSourcesTotal,
+        },
+        ScheduleVDA: { TotIncCapGain: vda },
+        ScheduleVIA: {
+          DeductUndChapVIA: buildChapterVIA(
+            result.deductionDetails,
+            formData.ageGroup,
+            result.chapterVIA,
+          ),
+        },
+        "PartB-TI": {
+          Salaries: salary.income,
+          IncomeFromHP: houseProperty,
+          CapGain: {
+            ShortTerm: gains.shortTerm,
+            LongTerm: gains.longTerm,
+            TotalCapGains: gains.shortTerm + gains.longTerm,
+          },
+          IncFromOS: otherSourcesTotal,
+          IncFromVDA: vda,
+          TotalTI: grossTotal,
+          GrossTotalIncome: grossTotal,
+          DeductionsUnderScheduleVIA: rupees(result.chapterVIA),
+          TotalIncome: rupees(result.taxableIncome),
+          IncChargeTaxSplRate111A112: rupees(specialRateGains),
+        },
+        PartB_TTI: {
+          ComputationOfTaxLiability: {
+            TaxPayableOnTI: {
+              TaxAtNormalRatesOnAggrInc: rupees(result.slabTax),
+              TaxAtSpecialRates: rupees(result.specialRateTax),
+              TaxPayableOnTotInc: rupees(
+                result.slabTax + result.specialRateTax,
+              ),
+            },
+            Rebate87A: rupees(result.rebate87A + result.rebateMarginalRelief),
+            TaxPayableOnRebate: rupees(result.incomeTax),
+            Surcharge: rupees(result.surcharge),
+            EducationCess: rupees(result.healthEducationCess),
+            GrossTaxLiability: rupees(result.taxPayable),
+            NetTaxLiability: rupees(result.taxPayable),
+            IntrstPay: buildInterest(interest),
+            AggregateTaxInterestLiability:
+              rupees(result.taxPayable) + rupees(interest.total),
+          },
+          TaxPaid: taxPaid,
+          Refund: buildRefund(formData, result, interest, taxPaid),
+        },
+        ScheduleTDS1: buildTdsOnSalaries(formData),
+        Verification: buildVerification(formData),
+      },
+    },
+  };
+};
+
+const FORMS = {
+  "ITR-1": { build: buildItr1, schema: ITR1_SCHEMA },
+  "ITR-2": { build: buildItr2, schema: ITR2_SCHEMA },
+};
+
+/**
+ * Inputs the forms have no place for. These are reported with the schema
+ * errors so nothing is silently dropped from the file.
+ */
+const unsupportedInputs = (formData, result) => {
+  const issues = [];
+  if (result.deductionDetails.otherDeduction?.allowed > 0) {
+    issues.push({
+      path: "DeductUndChapVIA",
+      message:
+        "has no section for “Other Deduction”; " +
+        "enter the amount under its own section",
+      field: "deductions.otherDeduction",
+      step: "deductions",
+      label: "Other Deduction",
+    });
+  }
+  return issues;
+};
+
+/**
+ * Builds and validates the return. Returns the `json` and its `errors`,
+ * each with the JSON `path`, a `message` and the wizard `field`, `step`
+ * and `label` it came from; the file is ready when `errors` is empty.
+ * Interest is worked out for filing on `formData.filingDate`.
+ */
+export const exportItr = (formData, regime, form, createdOn = new Date()) => {
+  const { build, schema } = FORMS[form];
+  const result = computeTax({ ...formData, regime });
+  const interest = computeInterest(formData, result);
+  const json = build(formData, regime, result, interest, createdOn);
+  const errors = [
+    ...unsupportedInputs(formData, result),
+    ...validateSchema(schema, json).map((error) => ({
+      ...error,
+      ...findSource(error.path),
+    })),
+  ];
+  return { json, errors };
+};
+
+/**
+ * File name in the department's style: form, PAN and assessment year.
+ */
+export const getItrFileName = (formData, form) =>
+  `${form}_${formData.personalInfo.pan || "PAN"}_AY${getAssessmentYear(
+    formData.financialYear,
+  )}_draft.json`;
@@ -0,0 +1,146 @@
+import { describe, expect, it } from "vitest";
+import { createBankAccount } from "./filing";
+import { createFormData } from "./formData";
+import { exportItr, findSource } from "./itrJson";
+import { ITR1_SCHEMA, validateSchema } from "./itrSchema";
+
+// ₹20,00,000 of salary in FY 2025-26 with no tax paid, filed on 15
+// September: ₹1,92,400 of tax and ₹25,104 of interest.
+const makeFormData = () => {
+  const formData = createFormData();
+  formData.financialYear = "FY 2025-2026";
+  formData.incomeDetails.salary = "2000000";
+  formData.filingDate = "2026-09-15";
+  return formData;
+};
+
+const EXPECTED_INTEREST = {
+  IntrstPayUs234A: 3848,
+  IntrstPayUs234B: 11544,
+  IntrstPayUs234C: 9712,
+  TotalIntrstPay: 25104,
+};
+
+describe("exportItr", () => {
+  it("fills in the ITR-1 interest and adds it to the balance", () => {
+    const { ITR1 } = exportItr(makeFormData(), "new", "ITR-1").json.ITR;
+    expect(ITR1.ITR1_TaxComputation.IntrstPay).toEqual(EXPECTED_INTEREST);
+    expect(ITR1.ITR1_TaxComputation.TotTaxPlusIntrstPay).toBe(
+      192400 + 25104,
+    );
+    expect(ITR1.TaxPaid.BalTaxPayable).toBe(192400 + 25104);
+    expect(ITR1.Refund.RefundDue).toBe(0);
+  });
+
+  it("fills in the ITR-2 interest and adds it to the liability", () => {
+    const { ITR2 } = exportItr(makeFormData(), "new", "ITR-2").json.ITR;
+    const liability = ITR2.PartB_TTI.ComputationOfTaxLiability;
+    expect(liability.IntrstPay).toEqual(EXPECTED_INTEREST);
+    expect(liability.AggregateTaxInterestLiability).toBe(192400 + 25104);
+    expect(ITR2.PartB_TTI.TaxPaid.BalTaxPayable).toBe(192400 + 25104);
+  });
+});
+
+// A complete return that passes the ITR-1 checks.
+const makeReturn = () => {
+  const formData = makeFormData();
+  Object.assign(formData.personalInfo, {
+    name: "Asha Rao",
+    dateOfBirth: "1990-05-14",
+    email: "asha@example.com",
+    mobile: "9876543210",
+    fatherName: "Ravi Rao",
+    address: "12 MG Road, Indiranagar",
+    city: "Bengaluru",
+    stateCode: "29",
+    pinCode: "560038",
+    pan: "ABCPR1234K",
+    aadhaar: "123456789012",
+  });
+  formData.bankAccounts = [
+    {
+      ...createBankAccount(),
+      bankName: "State Bank of India",
+      ifsc: "SBIN0001234",
+      accountNumber: "12345678901",
+      refund: true,
+    },
+  ];
+  return formData;
+};
+
+const errorsFor = (formData, regime = "new") =>
+  exportItr(formData, regime, "ITR-1").errors;
+
+describe("validateSchema", () => {
+  it("passes a complete return", () => {
+    const { json } = exportItr(makeReturn(), "new", "ITR-1");
+    expect(validateSchema(ITR1_SCHEMA, json)).toEqual([]);
+  });
+
+  it.each([
+    ["pan", "ABCPR1234", "ITR.ITR1.PersonalInfo.PAN"],
+    ["stateCode", "40", "ITR.ITR1.PersonalInfo.Address.StateCode"],
+  ])("rejects a bad %s", (key, value, path) => {
+    const formData = makeReturn();
+    formData.personalInfo[key] = value;
+    const { json } = exportItr(formData, "new", "ITR-1");
+    expect(validateSchema(ITR1_SCHEMA, json).map((e) => e.path)).toContain(
+      path,
+    );
+  });
+
+  it("rejects a bad IFSC", () => {
+    const formData = makeReturn();
+    formData.bankAccounts[0].ifsc = "SBIN1234";
+    const { json } = exportItr(formData, "new", "ITR-1");
+    expect(validateSchema(ITR1_SCHEMA, json)).toContainEqual({
+      path: "ITR.ITR1.Refund.BankAccountDtls.AddtnlBankDetails.0.IFSCCode",
+      message: "is not in the required format",
+    });
+  });
+});
+
+describe("findSource", () => {
+  it("maps a path to the wizard field, with the row index", () => {
+    const path = "ITR.ITR1.Refund.BankAccountDtls.AddtnlBankDetails.1.IFSCCode";
+    expect(findSource(path)).toEqual({
+      field: "bankAccounts.1.ifsc",
+      step: "bank",
+      label: "IFSC",
+    });
+    expect(findSource("ITR.ITR1.PersonalInfo.PAN").field).toBe(
+      "personalInfo.pan",
+    );
+  });
+
+  it("sends computed figures to the summary", () => {
+    const path = "ITR.ITR1.ITR1_TaxComputation.NetTaxLiability";
+    expect(findSource(path).step).toBe("summary");
+  });
+});
+
+describe("exportItr errors", () => {
+  it("names the wizard field behind each schema error", () => {
+    const formData = makeReturn();
+    formData.personalInfo.pan = "abcpr1234k";
+    formData.bankAccounts[0].ifsc = "SBIN1234";
+    const fields = errorsFor(formData).map((error) => error.field);
+    expect(fields).toContain("personalInfo.pan");
+    expect(fields).toContain("bankAccounts.0.ifsc");
+  });
+
+  it("reports an Other Deduction the form has no place for", () => {
+    const formData = makeReturn();
+    formData.deductions.otherDeduction = "10000";
+    // The new regime allows no Chapter VI-A deductions, so nothing is lost.
+    expect(errorsFor(formData)).toEqual([]);
+    expect(errorsFor(formData, "old")).toContainEqual(
+      expect.objectContaining({
+        path: "DeductUndChapVIA",
+        field: "deductions.otherDeduction",
+        step: "deductions",
+      }),
+    );
+  });
+});
@@ -0,0 +1,443 @@
+/**
+ * JSON schemas for the draft ITR-1 and ITR-2 files itrJson.js builds, and a
+ * small validator for them.
+ *
+ * These are not the department's schema files. They are written by hand
+ * for the subset of each form this app fills in, following the field names
+ * and formats of the department's ITR JSON, and catch inputs that cannot
+ * go on the return. Passing them does not make a file ready to upload.
+ *
+ * The validator understands the keywords used below: type, required,
+ * properties, additionalProperties: false, items, minItems, enum, pattern,
+ * minLength, maxLength, minimum and maximum. Errors come back as
+ * [{ path, message }] with dotted paths ("PersonalInfo.PAN",
+ * "TDSonSalaries.TDSonSalary.0.TotalTDSSal").
+ */
+
+const amount = { type: "integer", minimum: 0, maximum: 99999999999999 };
+const signedAmount = {
+  type: "integer",
+  minimum: -99999999999999,
+  maximum: 99999999999999,
+};
+const yesNo = { type: "string", enum: ["Y", "N"] };
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  properties,
+  required,
+  additionalProperties: false,
+});
+
+// State codes of the return's address, "99" being outside India.
+export const STATE_CODES = {
+  "01": "Andaman and Nicobar Islands",
+  "02": "Andhra Pradesh",
+  "03": "Arunachal Pradesh",
+  "04": "Assam",
+  "05": "Bihar",
+  "06": "Chandigarh",
+  "07": "Dadra and Nagar Haveli and Daman and Diu",
+  "09": "Delhi",
+  10: "Goa",
+  11: "Gujarat",
+  12: "Haryana",
+  13: "Himachal Pradesh",
+  14: "Jammu and Kashmir",
+  15: "Karnataka",
+  16: "Kerala",
+  17: "Lakshadweep",
+  18: "Madhya Pradesh",
+  19: "Maharashtra",
+  20: "Manipur",
+  21: "Meghalaya",
+  22: "Mizoram",
+  23: "Nagaland",
+  24: "Odisha",
+  25: "Puducherry",
+  26: "Punjab",
+  27: "Rajasthan",
+  28: "Sikkim",
+  29: "Tamil Nadu",
+  30: "Tripura",
+  31: "Uttar Pradesh",
+  32: "West Bengal",
+  33: "Chhattisgarh",
+  34: "Uttarakhand",
+  35: "Jharkhand",
+  36: "Telangana",
+  37: "Ladakh",
+  99: "Outside India",
+};
+
+const creationInfo = object({
+  SWVersionNo: { type: "string", maxLength: 10 },
+  SWCreatedBy: { type: "string", pattern: "^SW[0-9]{8}$" },
+  JSONCreatedBy: { type: "string", pattern: "^SW[0-9]{8}$" },
+  JSONCreationDate: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+  Digest: { type: "string" },
+});
+
+const formInfo = (formName) =>
+  object({
+    FormName: { type: "string", enum: [formName] },
+    Description: { type: "string" },
+    AssessmentYear: { type: "string", pattern: "^\\d{4}$" },
+    SchemaVer: { type: "string" },
+    FormVer: { type: "string" },
+  });
+
+const personalInfo = object(
+  {
+    AssesseeName: object(
+      {
+        FirstName: { type: "string", maxLength: 25 },
+        SurNameOrOrgName: { type: "string", minLength: 1, maxLength: 75 },
+      },
+      ["SurNameOrOrgName"],
+    ),
+    PAN: { type: "string", pattern: "^[A-Z]{5}[0-9]{4}[A-Z]$" },
+    Address: object(
+      {
+        ResidenceNo: { type: "string", minLength: 1, maxLength: 50 },
+        LocalityOrArea: { type: "string", maxLength: 50 },
+        CityOrTownOrDistrict: { type: "string", minLength: 1, maxLength: 50 },
+        StateCode: { type: "string", enum: Object.keys(STATE_CODES) },
+        CountryCode: { type: "string", pattern: "^[0-9]{1,5}$" },
+        PinCode: { type: "integer", minimum: 100000, maximum: 999999 },
+        CountryCodeMobile: { type: "integer", minimum: 1, maximum: 99999 },
+        MobileNo: { type: "integer", minimum: 1000000000, maximum: 9999999999 },
+        EmailAddress: {
+          type: "string",
+          maxLength: 125,
+          pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+        },
+      },
+      [
+        "ResidenceNo",
+        "CityOrTownOrDistrict",
+        "StateCode",
+        "CountryCode",
+        "PinCode",
+        "CountryCodeMobile",
+        "MobileNo",
+        "EmailAddress",
+      ],
+    ),
+    DOB: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+    EmployerCategory: {
+      type: "string",
+      enum: ["CGOV", "SGOV", "PSU", "PE", "OTH", "NA"],
+    },
+    AadhaarCardNo: { type: "string", pattern: "^[0-9]{12}$" },
+  },
+  ["AssesseeName", "PAN", "Address", "DOB", "EmployerCategory"],
+);
+
+const filingStatus = object({
+  ReturnFileSec: { type: "integer", enum: [11] },
+  OptOutNewTaxRegime: yesNo,
+  ResidentialStatus: { type: "string", enum: ["RES", "NRI", "NOR"] },
+});
+
+const chapterVIA = object({
+  Section80C: amount,
+  Section80CCC: amount,
+  Section80CCDEmployeeOrSE: amount,
+  Section80CCD1B: amount,
+  Section80CCDEmployer: amount,
+  Section80D: amount,
+  Section80EEA: amount,
+  Section80G: amount,
+  Section80GG: amount,
+  Section80TTA: amount,
+  Section80TTB: amount,
+  TotalChapVIADeductions: amount,
+});
+
+const taxesPaid = object({
+  TaxesPaid: object({
+    AdvanceTax: amount,
+    TDS: amount,
+    TCS: amount,
+    SelfAssessmentTax: amount,
+    TotalTaxesPaid: amount,
+  }),
+  BalTaxPayable: amount,
+});
+
+const interestPay = object({
+  IntrstPayUs234A: amount,
+  IntrstPayUs234B: amount,
+  IntrstPayUs234C: amount,
+  TotalIntrstPay: amount,
+});
+
+const bankAccount = object(
+  {
+    IFSCCode: { type: "string", pattern: "^[A-Z]{4}0[A-Z0-9]{6}$" },
+    BankName: { type: "string", minLength: 1, maxLength: 125 },
+    BankAccountNo: { type: "string", pattern: "^[0-9A-Za-z]{1,20}$" },
+    AccountType: {
+      type: "string",
+      enum: ["SB", "CA", "CC", "OD", "NRO", "OTH"],
+    },
+    UseForRefund: { type: "string", enum: ["true", "false"] },
+  },
+  ["IFSCCode", "BankName", "BankAccountNo", "AccountType", "UseForRefund"],
+);
+
+const refund = object({
+  RefundDue: amount,
+  BankAccountDtls: object({
+    AddtnlBankDetails: { type: "array", minItems: 1, items: bankAccount },
+  }),
+});
+
+const tdsOnSalaries = object(
+  {
+    TDSonSalary: {
+      type: "array",
+      items: object({
+        EmployerOrDeductorOrCollectDetl: object({
+          TAN: { type: "string", pattern: "^[A-Z]{4}[0-9]{5}[A-Z]$" },
+          EmployerOrDeductorOrCollecterName: {
+            type: "string",
+            minLength: 1,
+            maxLength: 125,
+          },
+        }),
+        IncChrgSal: amount,
+        TotalTDSSal: amount,
+      }),
+    },
+    TotalTDSonSalaries: amount,
+  },
+  ["TotalTDSonSalaries"],
+);
+
+const verification = object({
+  Declaration: object({
+    AssesseeVerName: { type: "string", minLength: 1, maxLength: 125 },
+    FatherName: { type: "string", minLength: 1, maxLength: 125 },
+    AssesseeVerPAN: { type: "string", pattern: "^[A-Z]{5}[0-9]{4}[A-Z]$" },
+  }),
+  Capacity: { type: "string", enum: ["S", "R"] },
+  Place: { type: "string", minLength: 1, maxLength: 50 },
+});
+
+export const ITR1_SCHEMA = object({
+  ITR: object({
+    ITR1: object({
+      CreationInfo: creationInfo,
+      Form_ITR1: formInfo("ITR-1"),
+      PersonalInfo: personalInfo,
+      FilingStatus: filingStatus,
+      ITR1_IncomeDeductions: object({
+        GrossSalary: amount,
+        AllwncExemptUs10: amount,
+        NetSalary: amount,
+        DeductionUs16ia: amount,
+        IncomeFromSal: amount,
+        TypeOfHP: { type: "string", enum: ["S", "L", "D"] },
+        GrossRentReceived: amount,
+        TaxPaidlocalAuth: amount,
+        AnnualValue: amount,
+        StandardDeduction: amount,
+        InterestPayable: amount,
+        TotalIncomeOfHP: signedAmount,
+        IncomeOthSrc: amount,
+        GrossTotIncome: amount,
+        GrossTotIncomeIncLTCG112A: amount,
+        DeductUndChapVIA: chapterVIA,
+        TotalIncome: amount,
+      }),
+      ITR1_TaxComputation: object({
+        TotalTaxPayable: amount,
+        Rebate87A: amount,
+        TaxPayableOnRebate: amount,
+        EducationCess: amount,
+        GrossTaxLiability: amount,
+        NetTaxLiability: amount,
+        IntrstPay: interestPay,
+        TotalIntrstPay: amount,
+        TotTaxPlusIntrstPay: amount,
+      }),
+      TaxPaid: taxesPaid,
+      Refund: refund,
+      TDSonSalaries: tdsOnSalaries,
+      Verification: verification,
+    }),
+  }),
+});
+
+const incomeTotals = (fields) =>
+  object(Object.fromEntries(fields.map((field) => [field, amount])));
+
+export const ITR2_SCHEMA = object({
+  ITR: object({
+    ITR2: object({
+      CreationInfo: creationInfo,
+      Form_ITR2: formInfo("ITR-2"),
+      PartA_GEN1: object({
+        PersonalInfo: personalInfo,
+        FilingStatus: filingStatus,
+      }),
+      ScheduleS: object({
+        Salaries: {
+          type: "array",
+          items: object({
+            NameOfEmployer: { type: "string", minLength: 1, maxLength: 125 },
+            TANofEmployer: { type: "string", pattern: "^[A-Z]{4}[0-9]{5}[A-Z]$" },
+            Salarys: incomeTotals(["GrossSalary", "Salary"]),
+          }),
+        },
+        TotalGrossSalary: amount,
+        AllwncExtentExemptUs10: amount,
+        NetSalary: amount,
+        DeductionUS16ia: amount,
+        TotIncUnderHeadSalaries: amount,
+      }),
+      ScheduleHP: object({
+        PropertyDetails: {
+          type: "array",
+          items: object({
+            ifLetOut: { type: "string", enum: ["S", "L", "D"] },
+            Rentdetails: object({
+              AnnualLetableValue: amount,
+              LocalTaxes: amount,
+              BalanceALV: amount,
+              ThirtyPercentOfBalance: amount,
+              IntOnBorwCap: amount,
+              TotalDeduct: amount,
+              IncomeOfHP: signedAmount,
+            }),
+          }),
+        },
+        TotalIncomeChargeableUnHP: signedAmount,
+      }),
+      ScheduleCGFor23: object({
+        ShortTermCapGainFor23: incomeTotals(["TotalSTCG"]),
+        LongTermCapGain23: incomeTotals(["TotalLTCG"]),
+        SumOfCGIncm: amount,
+      }),
+      ScheduleOS: object({
+        IncOthThanOwnRaceHorse: incomeTotals(["InterestGross", "OthersGross"]),
+        IncChargeable: amount,
+      }),
+      ScheduleVDA: object({ TotIncCapGain: amount }),
+      ScheduleVIA: object({ DeductUndChapVIA: chapterVIA }),
+      "PartB-TI": object({
+        Salaries: amount,
+        IncomeFromHP: signedAmount,
+        CapGain: incomeTotals(["ShortTerm", "LongTerm", "TotalCapGains"]),
+        IncFromOS: amount,
+        IncFromVDA: amount,
+        TotalTI: amount,
+        GrossTotalIncome: amount,
+        DeductionsUnderScheduleVIA: amount,
+        TotalIncome: amount,
+        IncChargeTaxSplRate111A112: amount,
+      }),
+      PartB_TTI: object({
+        ComputationOfTaxLiability: object({
+          TaxPayableOnTI: incomeTotals([
+            "TaxAtNormalRatesOnAggrInc",
+            "TaxAtSpecialRates",
+            "TaxPayableOnTotInc",
+          ]),
+          Rebate87A: amount,
+          TaxPayableOnRebate: amount,
+          Surcharge: amount,
+          EducationCess: amount,
+          GrossTaxLiability: amount,
+          NetTaxLiability: amount,
+          IntrstPay: interestPay,
+          AggregateTaxInterestLiability: amount,
+        }),
+        TaxPaid: taxesPaid,
+        Refund: refund,
+      }),
+      ScheduleTDS1: tdsOnSalaries,
+      Verification: verification,
+    }),
+  }),
+});
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === "number" ? typeof value === "number" : typeOf(value) === type;
+
+const join = (path, key) => (path ? `${path}.${key}` : `${key}`);
+
+/**
+ * Validates `value` against `schema`. Returns every error found, not just
+ * the first, so the UI can list them together.
+ */
+export const validateSchema = (schema, value, path = "") => {
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected =
+      schema.type === "integer" ? "a whole number" : `a ${schema.type}`;
+    return [{ path, message: `must be ${expected}` }];
+  }
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        value.length
+          ? `must have at least ${schema.minLength} characters`
+          : "is required",
+      );
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail("is not in the required format");
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`needs at least ${schema.minItems} entry`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(schema.items, item, join(path, index))),
+      );
+    }
+  }
+  if (schema.type === "object") {
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) =>
+        errors.push({ path: join(path, key), message: "is required" }),
+      );
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(childSchema, child, join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(path, key), message: "is not allowed" });
+      }
+    });
+  }
+  return errors;
+};
@@ -0,0 +1,66 @@
+/**
+ * Display labels for the income and deduction fields of the input model,
+ * shared by the calculator and the filing flows.
+ */
+
+import { getInterestSection } from "./deductions";
+
+export const INCOME_LABELS = {
+  salary: "Income from Salary",
+  basicSalary: "Basic Salary + DA",
+  exemptAllowances: "Exempt Allowances",
+  interestIncome: "Income from Interest",
+  homeLoanSelfOccupied: "Interest on Home Loan (Self-Occupied)",
+  rentalIncome: "Rent Received (Let-Out)",
+  municipalTax: "Municipal Taxes Paid (Let-Out)",
+  homeLoanLetOut: "Interest on Home Loan (Let-Out)",
+  digitalAssets: "Income from Digital Assets (VDA)",
+  otherIncome: "Other Income",
+};
+
+const DEDUCTION_LABELS = {
+  basic80C: "Basic - 80C",
+  pension80CCC: "Pension - 80CCC",
+  medical80D: "Medical - 80D",
+  medical80DParents: "Medical (Parents) - 80D",
+  donations80G: "Donations - 80G (100%)",
+  donations80G50: "Donations - 80G (50%)",
+  donations80GLimited: "Donations - 80G (100%, qualifying limit)",
+  donations80GLimited50: "Donations - 80G (50%, qualifying limit)",
+  housing80EEA: "Housing - 80EEA",
+  nps80CCD: "NPS - 80CCD(1)",
+  nps80CCD1B: "NPS - 80CCD(1B)",
+  nps80CCD2: "NPS - 80CCD(2)",
+  rent80GG: "Rent Paid - 80GG",
+  otherDeduction: "Other Deduction",
+};
+
+/**
+ * Label for a deduction field. Deposit interest is 80TTB for senior
+ * citizens and 80TTA for everyone else.
+ */
+export const getDeductionLabel = (key, ageGroup) =>
+  key === "deposits80TTA"
+    ? `Deposits - ${getInterestSection(ageGroup)}`
+    : DEDUCTION_LABELS[key] || key;
+
+export const TAXES_PAID_LABELS = {
+  tdsSalary: "TDS on Salary (Form 16)",
+  tdsOther: "TDS on Other Income (Form 16A)",
+  tds194S: "TDS on Digital Assets (194S)",
+  tcs: "TCS Collected (Form 27D)",
+  advanceTax: "Advance Tax Paid",
+  selfAssessmentTax: "Self-Assessment Tax Paid",
+};
+
+const formatRupees = (amount) => `₹${amount.toLocaleString("en-IN")}`;
+
+/**
+ * Label for a slab from the engine's slab breakdown, e.g.
+ * "₹4,00,001 to ₹8,00,000" or "Above ₹24,00,000".
+ */
+export const getSlabRangeLabel = ({ from, upTo }) => {
+  if (upTo === Infinity) return `Above ${formatRupees(from)}`;
+  if (from === 0) return `Up to ${formatRupees(upTo)}`;
+  return `${formatRupees(from + 1)} to ${formatRupees(upTo)}`;
+};
@@ -0,0 +1,228 @@
+/**
+ * Calculator drafts saved in the browser under named profiles ("Self",
+ * "Spouse", "Father"), so one person can keep figures for the whole family.
+ * Each profile holds the calculator's draft: { formData, regime, tab }.
+ *
+ * Everything lives under one localStorage key as
+ * { version, activeId, nextId, profiles: [{ id, name, savedAt, draft }] }.
+ * When the stored shape changes, bump STORAGE_VERSION and add a step to
+ * MIGRATIONS that turns the previous version's store into the new one;
+ * older stores are upgraded step by step on load. Fields added to
+ * createFormData without a version bump load with their defaults.
+ *
+ * The helpers below take the store and return a changed copy without
+ * writing it; saveProfiles writes it, so callers can save from an effect
+ * once the change has been made.
+ */
+
+import { createPayment } from "./advanceTax";
+import { createTransaction } from "./capitalGains";
+import { createEmployer } from "./employers";
+import { createFormData } from "./formData";
+import { AGE_GROUPS, FINANCIAL_YEARS } from "./rules";
+
+const STORAGE_KEY = "taxhummer.calculatorProfiles";
+const STORAGE_VERSION = 1;
+
+/**
+ * MIGRATIONS[n] upgrades a version n + 1 store to version n + 2.
+ */
+const MIGRATIONS = [];
+
+export const DEFAULT_PROFILE_NAME = "Self";
+
+const ROW_FACTORIES = {
+  employers: createEmployer,
+  capitalGains: createTransaction,
+  advanceTaxPayments: createPayment,
+};
+
+export const createDraft = (formData = createFormData()) => ({
+  formData,
+  regime: "new",
+  tab: 0,
+});
+
+/**
+ * Fills in fields added since a draft was saved, so older drafts load.
+ */
+const withDefaults = ({ formData = {}, regime, tab }) => {
+  const defaults = createFormData();
+  const data = Object.fromEntries(
+    Object.entries(defaults).map(([key, value]) => {
+      if (ROW_FACTORIES[key]) {
+        return [
+          key,
+          (formData[key] || []).map((row) => ({
+            ...ROW_FACTORIES[key](),
+            ...row,
+          })),
+        ];
+      }
+      return [
+        key,
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...value, ...formData[key] }
+          : formData[key] ?? value,
+      ];
+    }),
+  );
+  // A year dropped from the rules falls back to the current one.
+  if (!FINANCIAL_YEARS.includes(data.financialYear)) {
+    data.financialYear = defaults.financialYear;
+  }
+  if (!AGE_GROUPS.includes(data.ageGroup)) data.ageGroup = defaults.ageGroup;
+  return {
+    formData: data,
+    regime: regime === "old" ? "old" : "new",
+    tab: Number.isInteger(tab) ? tab : 0,
+  };
+};
+
+const createStore = () => ({
+  version: STORAGE_VERSION,
+  activeId: 1,
+  nextId: 2,
+  profiles: [
+    {
+      id: 1,
+      name: DEFAULT_PROFILE_NAME,
+      savedAt: null,
+      draft: createDraft(),
+    },
+  ],
+});
+
+/**
+ * Writes the store. Returns false when the browser would not keep it
+ * (storage full, or blocked in a private window).
+ */
+export const saveProfiles = (store) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The saved profiles, upgraded to the current version. Starts with a blank
+ * "Self" profile when nothing is saved, the store cannot be read, or it was
+ * written by a newer version of the app.
+ */
+export const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (
+      !saved ||
+      !(saved.version >= 1 && saved.version <= STORAGE_VERSION) ||
+      !saved.profiles?.length
+    ) {
+      return createStore();
+    }
+    const store = MIGRATIONS.slice(saved.version - 1).reduce(
+      (upgraded, migrate) => migrate(upgraded),
+      saved,
+    );
+    const profiles = store.profiles.map((profile) => ({
+      ...profile,
+      draft: withDefaults(profile.draft || {}),
+    }));
+    return {
+      ...store,
+      version: STORAGE_VERSION,
+      profiles,
+      activeId: profiles.some(({ id }) => id === store.activeId)
+        ? store.activeId
+        : profiles[0].id,
+    };
+  } catch {
+    return createStore();
+  }
+};
+
+export const getActiveProfile = (store) =>
+  store.profiles.find(({ id }) => id === store.activeId);
+
+/**
+ * `base`, or "base 2", "base 3"… when a profile already has that name.
+ */
+export const getFreeProfileName = (store, base) => {
+  const names = store.profiles.map(({ name }) => name.toLowerCase());
+  let name = base;
+  for (let n = 2; names.includes(name.toLowerCase()); n += 1) {
+    name = `${base} ${n}`;
+  }
+  return name;
+};
+
+/**
+ * Why `name` cannot be used for a profile, or "" when it can. `exceptId`
+ * is the profile being renamed, which may keep its own name.
+ */
+export const checkProfileName = (store, name, exceptId) => {
+  const trimmed = name.trim();
+  if (!trimmed) return "Enter a name for the profile.";
+  if (trimmed.length > 40) return "Keep the name under 40 characters.";
+  const taken = store.profiles.some(
+    (profile) =>
+      profile.id !== exceptId &&
+      profile.name.toLowerCase() === trimmed.toLowerCase(),
+  );
+  return taken ? `There is already a profile called ${trimmed}.` : "";
+};
+
+/**
+ * Autosave: stores `draft` as the profile's latest figures.
+ */
+export const saveDraft = (store, id, draft) => ({
+  ...store,
+  profiles: store.profiles.map((profile) =>
+    profile.id === id
+      ? { ...profile, draft, savedAt: new Date().toISOString() }
+      : profile,
+  ),
+});
+
+export const switchProfile = (store, id) => ({ ...store, activeId: id });
+
+/**
+ * Adds a profile and switches to it. It starts blank, or with a copy of
+ * `draft` when given.
+ */
+export const addProfile = (store, name, draft = createDraft()) => ({
+  ...store,
+  activeId: store.nextId,
+  nextId: store.nextId + 1,
+  profiles: [
+    ...store.profiles,
+    {
+      id: store.nextId,
+      name: name.trim(),
+      savedAt: new Date().toISOString(),
+      draft: structuredClone(draft),
+    },
+  ],
+});
+
+export const renameProfile = (store, id, name) => ({
+  ...store,
+  profiles: store.profiles.map((profile) =>
+    profile.id === id ? { ...profile, name: name.trim() } : profile,
+  ),
+});
+
+/**
+ * Removes a profile. Removing the last one starts over with a blank
+ * "Self", since the calculator always works in some profile.
+ */
+export const deleteProfile = (store, id) => {
+  const profiles = store.profiles.filter((profile) => profile.id !== id);
+  if (!profiles.length) return createStore();
+  return {
+    ...store,
+    profiles,
+    activeId: store.activeId === id ? profiles[0].id : store.activeId,
+  };
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import {
+  addProfile,
+  createDraft,
+  deleteProfile,
+  getActiveProfile,
+  getFreeProfileName,
+  loadProfiles,
+  saveProfiles,
+} from "./profiles";
+
+describe("profile helpers", () => {
+  it("return a changed copy and leave the store as it was", () => {
+    const store = loadProfiles();
+    const added = addProfile(store, " Spouse ", createDraft());
+    expect(store.profiles).toHaveLength(1);
+    expect(getActiveProfile(added).name).toBe("Spouse");
+    expect(getFreeProfileName(added, "Spouse")).toBe("Spouse 2");
+  });
+
+  it("start over with a blank profile when the last one is deleted", () => {
+    const store = loadProfiles();
+    const next = deleteProfile(store, store.activeId);
+    expect(next.profiles).toHaveLength(1);
+    expect(getActiveProfile(next).name).toBe("Self");
+  });
+});
+
+describe("saveProfiles", () => {
+  it("reports a store the browser would not keep", () => {
+    // Node has no localStorage, like a browser that blocks it.
+    expect(saveProfiles(loadProfiles())).toBe(false);
+  });
+});
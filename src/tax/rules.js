@@ -0,0 +1,251 @@
+/**
+ * Year-keyed tax rules. Every figure the engine needs for a financial year
+ * lives here, so supporting a new budget means adding an entry rather than
+ * touching the computation.
+ *
+ * Slabs are ordered and open-ended at the top: each slab covers income from
+ * the previous slab's `upTo` to its own. Where the exemption limit depends on
+ * age, `slabs` is keyed by age group instead. Surcharge bands apply to the
+ * whole tax once total income crosses `above`. A rebate with `marginalRelief`
+ * limits tax just above the rebate limit to the income over that limit.
+ * `allowedDeductions` lists the Chapter VI-A fields a regime permits (all of
+ * them when absent); `employerNpsRate` caps 80CCD(2) as a share of basic pay.
+ * House-property limits cap self-occupied interest and the loss that may be
+ * set off against other heads. `specialRates` lists income taxed at a flat
+ * rate outside the slabs, and a rebate's `specialRateSections` names the
+ * special-rate sections whose tax the 87A rebate may reduce. `surchargeCap`
+ * limits the surcharge rate on tax from the listed sections.
+ *
+ * Capital-gains rates changed part-way through FY 2024-25, so a year's
+ * `capitalGains.periods` apply by sale date, each from its `from` date until
+ * the next one. `holdingMonths` is the holding beyond which an asset type is
+ * long-term.
+ */
+
+/**
+ * Age groups offered by the calculator's Basic Details tab.
+ */
+export const AGE_GROUPS = ["0-60", "60-80", "80+"];
+
+/**
+ * Senior (60-80) and super senior (80+) citizens.
+ */
+export const isSeniorCitizen = (ageGroup) =>
+  ageGroup === "60-80" || ageGroup === "80+";
+
+const OLD_REGIME_SLABS = {
+  "0-60": [
+    { upTo: 250000, rate: 0 },
+    { upTo: 500000, rate: 0.05 },
+    { upTo: 1000000, rate: 0.2 },
+    { upTo: Infinity, rate: 0.3 },
+  ],
+  "60-80": [
+    { upTo: 300000, rate: 0 },
+    { upTo: 500000, rate: 0.05 },
+    { upTo: 1000000, rate: 0.2 },
+    { upTo: Infinity, rate: 0.3 },
+  ],
+  "80+": [
+    { upTo: 500000, rate: 0 },
+    { upTo: 1000000, rate: 0.2 },
+    { upTo: Infinity, rate: 0.3 },
+  ],
+};
+
+const OLD_REGIME_SURCHARGE = [
+  { above: 5000000, rate: 0.1 },
+  { above: 10000000, rate: 0.15 },
+  { above: 20000000, rate: 0.25 },
+  { above: 50000000, rate: 0.37 },
+];
+
+// The new regime caps surcharge at 25%, so the 37% band never applies.
+const NEW_REGIME_SURCHARGE = [
+  { above: 5000000, rate: 0.1 },
+  { above: 10000000, rate: 0.15 },
+  { above: 20000000, rate: 0.25 },
+];
+
+const SPECIAL_RATES = {
+  vda: { section: "115BBH", label: "Virtual Digital Assets", rate: 0.3 },
+};
+
+// Rates and holding periods for transfers on or after 23 July 2024.
+const CAPITAL_GAINS_FROM_JULY_2024 = {
+  from: "2024-07-23",
+  stcg111A: 0.2,
+  ltcg112A: 0.125,
+  ltcg112: 0.125,
+  indexation: false,
+  holdingMonths: {
+    listedEquity: 12,
+    equityFund: 12,
+    listedBond: 12,
+    property: 24,
+    unlistedShares: 24,
+    debtFund: 24,
+    other: 24,
+  },
+};
+
+/**
+ * Cost Inflation Index keyed by the year a financial year starts in.
+ */
+export const COST_INFLATION_INDEX = {
+  2001: 100,
+  2002: 105,
+  2003: 109,
+  2004: 113,
+  2005: 117,
+  2006: 122,
+  2007: 129,
+  2008: 137,
+  2009: 148,
+  2010: 167,
+  2011: 184,
+  2012: 200,
+  2013: 220,
+  2014: 240,
+  2015: 254,
+  2016: 264,
+  2017: 272,
+  2018: 280,
+  2019: 289,
+  2020: 301,
+  2021: 317,
+  2022: 331,
+  2023: 348,
+  2024: 363,
+  2025: 376,
+};
+
+const SURCHARGE_CAP = { rate: 0.15, sections: ["111A", "112A", "112"] };
+
+const OLD_REGIME = {
+  standardDeduction: 50000,
+  slabs: OLD_REGIME_SLABS,
+  rebate: {
+    incomeLimit: 500000,
+    maxRebate: 12500,
+    specialRateSections: ["111A", "112"],
+  },
+  surcharge: OLD_REGIME_SURCHARGE,
+  employerNpsRate: 0.1,
+  selfOccupiedInterestLimit: 200000,
+  housePropertyLossSetOffLimit: 200000,
+};
+
+// Employer NPS is the only Chapter VI-A deduction the new regime allows.
+const NEW_REGIME_DEDUCTIONS = ["nps80CCD2"];
+
+export const TAX_RULES = {
+  "FY 2025-2026": {
+    assessmentYear: "AY 2026-2027",
+    period: { start: "2025-04-01", end: "2026-03-31" },
+    cessRate: 0.04,
+    specialRates: SPECIAL_RATES,
+    surchargeCap: SURCHARGE_CAP,
+    capitalGains: {
+      exemption112A: 125000,
+      periods: [CAPITAL_GAINS_FROM_JULY_2024],
+    },
+    new: {
+      standardDeduction: 75000,
+      slabs: [
+        { upTo: 400000, rate: 0 },
+        { upTo: 800000, rate: 0.05 },
+        { upTo: 1200000, rate: 0.1 },
+        { upTo: 1600000, rate: 0.15 },
+        { upTo: 2000000, rate: 0.2 },
+        { upTo: 2400000, rate: 0.25 },
+        { upTo: Infinity, rate: 0.3 },
+      ],
+      rebate: { incomeLimit: 1200000, maxRebate: 60000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      allowedDeductions: NEW_REGIME_DEDUCTIONS,
+      employerNpsRate: 0.14,
+      selfOccupiedInterestLimit: 0,
+      housePropertyLossSetOffLimit: 0,
+    },
+    old: OLD_REGIME,
+  },
+  "FY 2024-2025": {
+    assessmentYear: "AY 2025-2026",
+    period: { start: "2024-04-01", end: "2025-03-31" },
+    cessRate: 0.04,
+    specialRates: SPECIAL_RATES,
+    surchargeCap: SURCHARGE_CAP,
+    capitalGains: {
+      exemption112A: 125000,
+      periods: [
+        {
+          from: "2024-04-01",
+          stcg111A: 0.15,
+          ltcg112A: 0.1,
+          ltcg112: 0.2,
+          indexation: true,
+          holdingMonths: {
+            listedEquity: 12,
+            equityFund: 12,
+            listedBond: 12,
+            property: 24,
+            unlistedShares: 24,
+            debtFund: 36,
+            other: 36,
+          },
+        },
+        CAPITAL_GAINS_FROM_JULY_2024,
+      ],
+    },
+    new: {
+      standardDeduction: 75000,
+      slabs: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 700000, rate: 0.05 },
+        { upTo: 1000000, rate: 0.1 },
+        { upTo: 1200000, rate: 0.15 },
+        { upTo: 1500000, rate: 0.2 },
+        { upTo: Infinity, rate: 0.3 },
+      ],
+      rebate: { incomeLimit: 700000, maxRebate: 25000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      allowedDeductions: NEW_REGIME_DEDUCTIONS,
+      employerNpsRate: 0.14,
+      selfOccupiedInterestLimit: 0,
+      housePropertyLossSetOffLimit: 0,
+    },
+    old: OLD_REGIME,
+  },
+};
+
+/**
+ * Financial years the calculator supports, newest first.
+ */
+export const FINANCIAL_YEARS = Object.keys(TAX_RULES);
+
+/**
+ * Returns the rules for one financial year.
+ */
+export const getYearRules = (financialYear) => {
+  const rules = TAX_RULES[financialYear];
+  if (!rules) {
+    throw new Error(`No tax rules defined for ${financialYear}`);
+  }
+  return rules;
+};
+
+/**
+ * Returns the rules for one regime in a financial year.
+ */
+export const getRegimeRules = (financialYear, regime) =>
+  getYearRules(financialYear)[regime === "old" ? "old" : "new"];
+
+/**
+ * Returns the slab table for a regime, picking the age group's table when
+ * the regime's exemption limit varies with age.
+ */
+export const getSlabs = (regimeRules, ageGroup) =>
+  Array.isArray(regimeRules.slabs)
+    ? regimeRules.slabs
+    : regimeRules.slabs[ageGroup] || regimeRules.slabs[AGE_GROUPS[0]];
@@ -0,0 +1,191 @@
+/**
+ * Calculator scenarios in the URL, so a link reopens the same inputs,
+ * regime and tab. The `s` query parameter holds "<version>.<payload>",
+ * where the payload is base64url JSON of the scenario with every field
+ * still at its default left out.
+ *
+ * Personal details and bank accounts never go into a link: the calculator
+ * does not need them and URLs end up in chat logs and browser history.
+ * Row lists longer than MAX_LINK_ROWS (a full broker statement of capital
+ * gains) are left out too, to keep links short enough to paste; the link
+ * records how many rows it left out so the recipient can be told.
+ *
+ * When the stored shape changes, bump SCENARIO_VERSION and add a step to
+ * MIGRATIONS that turns the previous version's scenario into the new one;
+ * older links are upgraded step by step on load. Fields added to
+ * createFormData without a version bump load with their defaults.
+ */
+
+import { createPayment } from "./advanceTax";
+import { createTransaction } from "./capitalGains";
+import { createEmployer } from "./employers";
+import { createFormData } from "./formData";
+import { AGE_GROUPS, FINANCIAL_YEARS } from "./rules";
+
+export const SCENARIO_PARAM = "s";
+
+export const SCENARIO_VERSION = 1;
+
+export const MAX_LINK_ROWS = 50;
+
+/**
+ * MIGRATIONS[n] upgrades a version n + 1 scenario to version n + 2.
+ */
+const MIGRATIONS = [];
+
+const PRIVATE_KEYS = ["personalInfo", "bankAccounts"];
+
+const ROW_FACTORIES = {
+  employers: createEmployer,
+  capitalGains: createTransaction,
+  advanceTaxPayments: createPayment,
+};
+
+// Bytes passed to String.fromCharCode at a time; spreading a whole
+// payload as arguments overflows the call stack.
+const CHUNK_SIZE = 0x8000;
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) =>
+  new TextDecoder().decode(
+    Uint8Array.from(
+      atob(encoded.replace(/-/g, "+").replace(/_/g, "/")),
+      (char) => char.charCodeAt(0),
+    ),
+  );
+
+/**
+ * Keeps only the entries of `values` that differ from `defaults`.
+ */
+const changedFields = (values, defaults) =>
+  Object.fromEntries(
+    Object.entries(values).filter(([key, value]) => value !== defaults[key]),
+  );
+
+/**
+ * The scenario with defaults and private fields left out. Row lists over
+ * `maxRows` are counted in `omitted` instead of included.
+ */
+const compact = ({ formData, regime, tab }, maxRows = MAX_LINK_ROWS) => {
+  const defaults = createFormData();
+  const data = {};
+  const omitted = {};
+  Object.entries(formData).forEach(([key, value]) => {
+    if (PRIVATE_KEYS.includes(key)) return;
+    if (ROW_FACTORIES[key]) {
+      if (value.length > maxRows) {
+        omitted[key] = value.length;
+      } else if (value.length) {
+        data[key] = value.map((row) => changedFields(row, ROW_FACTORIES[key]()));
+      }
+    } else if (value && typeof value === "object") {
+      const changed = changedFields(value, defaults[key]);
+      if (Object.keys(changed).length) data[key] = changed;
+    } else if (value !== defaults[key] || key === "financialYear") {
+      // The default year moves on each budget; links keep the one they had.
+      data[key] = value;
+    }
+  });
+  return Object.keys(omitted).length
+    ? { formData: data, regime, tab, omitted }
+    : { formData: data, regime, tab };
+};
+
+/**
+ * Fills the defaults back in.
+ */
+const expand = ({ formData = {}, regime = "new", tab = 0, omitted = {} }) => {
+  const defaults = createFormData();
+  const data = Object.fromEntries(
+    Object.entries(defaults).map(([key, value]) => {
+      const saved = PRIVATE_KEYS.includes(key) ? undefined : formData[key];
+      if (ROW_FACTORIES[key]) {
+        return [
+          key,
+          (saved || []).map((row) => ({ ...ROW_FACTORIES[key](), ...row })),
+        ];
+      }
+      if (value && typeof value === "object") {
+        return [key, { ...value, ...saved }];
+      }
+      return [key, saved ?? value];
+    }),
+  );
+  // A hand-edited link must not put the calculator in a state it cannot show.
+  if (!FINANCIAL_YEARS.includes(data.financialYear)) {
+    data.financialYear = defaults.financialYear;
+  }
+  if (!AGE_GROUPS.includes(data.ageGroup)) data.ageGroup = defaults.ageGroup;
+  return {
+    formData: data,
+    regime: regime === "old" ? "old" : "new",
+    tab: Number.isInteger(tab) ? tab : 0,
+    omitted: Object.fromEntries(
+      Object.keys(ROW_FACTORIES)
+        .filter((key) => Number.isInteger(omitted[key]))
+        .map((key) => [key, omitted[key]]),
+    ),
+  };
+};
+
+/**
+ * Row lists too long to go into a link, with their row counts.
+ */
+export const getOmittedRows = ({ formData }) =>
+  Object.fromEntries(
+    Object.keys(ROW_FACTORIES)
+      .filter((key) => formData[key]?.length > MAX_LINK_ROWS)
+      .map((key) => [key, formData[key].length]),
+  );
+
+/**
+ * True when two scenarios hold the same figures, regime and tab, ignoring
+ * defaults and private fields.
+ */
+export const isSameScenario = (a, b) =>
+  JSON.stringify(compact(a, Infinity)) === JSON.stringify(compact(b, Infinity));
+
+/**
+ * Encodes { formData, regime, tab } for the `s` parameter, or returns null
+ * when it cannot be encoded.
+ */
+export const encodeScenario = (scenario) => {
+  try {
+    const payload = JSON.stringify(compact(scenario));
+    return `${SCENARIO_VERSION}.${toBase64Url(payload)}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Decodes the `s` parameter. Returns { formData, regime, tab, omitted },
+ * where `omitted` counts the rows the link left out, or null when the link
+ * is damaged or comes from a newer version of the app.
+ */
+export const decodeScenario = (param) => {
+  const match = /^(\d+)\.([\w-]+)$/.exec(param || "");
+  if (!match) return null;
+  const version = Number(match[1]);
+  if (version < 1 || version > SCENARIO_VERSION) return null;
+  try {
+    const scenario = MIGRATIONS.slice(version - 1).reduce(
+      (upgraded, migrate) => migrate(upgraded),
+      JSON.parse(fromBase64Url(match[2])),
+    );
+    return expand(scenario);
+  } catch {
+    return null;
+  }
+};
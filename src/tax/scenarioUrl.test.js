@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { createTransaction } from "./capitalGains";
+import { createFormData } from "./formData";
+import {
+  MAX_LINK_ROWS,
+  decodeScenario,
+  encodeScenario,
+  getOmittedRows,
+  isSameScenario,
+} from "./scenarioUrl";
+
+const makeScenario = (transactions = 0) => {
+  const formData = createFormData();
+  formData.incomeDetails.salary = "1500000";
+  formData.personalInfo.name = "Asha Rao";
+  formData.capitalGains = Array.from({ length: transactions }, () => ({
+    ...createTransaction(),
+    buyDate: "2023-04-01",
+    sellDate: "2025-06-01",
+    buyValue: "100000",
+    sellValue: "150000",
+  }));
+  return { formData, regime: "old", tab: 2 };
+};
+
+describe("encodeScenario and decodeScenario", () => {
+  it("round-trips the figures, regime and tab", () => {
+    const scenario = makeScenario(3);
+    const decoded = decodeScenario(encodeScenario(scenario));
+    expect(decoded.regime).toBe("old");
+    expect(decoded.tab).toBe(2);
+    expect(decoded.formData.incomeDetails.salary).toBe("1500000");
+    expect(decoded.formData.capitalGains).toEqual(
+      scenario.formData.capitalGains,
+    );
+    expect(decoded.omitted).toEqual({});
+  });
+
+  it("never puts personal details into the link", () => {
+    const decoded = decodeScenario(encodeScenario(makeScenario()));
+    expect(decoded.formData.personalInfo.name).toBe("");
+  });
+
+  it("leaves out long row lists and counts them", () => {
+    const rows = MAX_LINK_ROWS * 60;
+    const scenario = makeScenario(rows);
+    const encoded = encodeScenario(scenario);
+    expect(encoded.length).toBeLessThan(1000);
+    const decoded = decodeScenario(encoded);
+    expect(decoded.formData.capitalGains).toEqual([]);
+    expect(decoded.omitted).toEqual({ capitalGains: rows });
+    expect(getOmittedRows(scenario)).toEqual({ capitalGains: rows });
+  });
+
+  it.each(["", "1.", "1.not-json", "9.e30"])(
+    "returns null for the damaged or newer link %j",
+    (param) => {
+      expect(decodeScenario(param)).toBeNull();
+    },
+  );
+});
+
+describe("isSameScenario", () => {
+  it("ignores personal details but not figures", () => {
+    const scenario = makeScenario(MAX_LINK_ROWS + 1);
+    const renamed = structuredClone(scenario);
+    renamed.formData.personalInfo.name = "Someone Else";
+    expect(isSameScenario(scenario, renamed)).toBe(true);
+    renamed.formData.capitalGains[0].sellValue = "160000";
+    expect(isSameScenario(scenario, renamed)).toBe(false);
+  });
+});
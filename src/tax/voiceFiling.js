@@ -0,0 +1,166 @@
+/**
+ * Voice filing: the questions asked one at a time, and turning what the
+ * user said (or typed) into values of the calculator's input model.
+ *
+ * Amounts are read by parseSpokenAmount, so "twelve lakh fifty thousand",
+ * "1.5 lakh" or "one crore twenty lakh" all work, and "no", "none" or
+ * "skip" answer zero.
+ */
+
+import { parseSpokenAmount } from "./amounts";
+import { FINANCIAL_YEARS } from "./rules";
+
+// A start and end year in digits: "2024-25", "2024 - 2025".
+const YEAR_RANGE = /\b(20\d{2})\s*-\s*(20\d{2}|\d{2})\b/g;
+
+/**
+ * Age group from a spoken age ("thirty five") or a phrase like "above
+ * sixty" / "senior citizen".
+ */
+const parseAgeGroup = (text) => {
+  const said = text.toLowerCase();
+  if (/super senior|above eighty|over eighty|80\s*\+/.test(said)) return "80+";
+  if (/senior|above sixty|over sixty|60\s*\+/.test(said)) return "60-80";
+  const age = parseSpokenAmount(said);
+  if (age === null || age <= 0 || age > 120) return null;
+  if (age >= 80) return "80+";
+  if (age >= 60) return "60-80";
+  return "0-60";
+};
+
+/**
+ * Financial year from "this year", "last year", or the years themselves
+ * ("2025-26", "2025-2026", "twenty twenty five"). A year pair is read as
+ * the start and end of the year, and must be consecutive years.
+ */
+const parseFinancialYear = (text) => {
+  const said = text.toLowerCase();
+  if (/\b(this|current)\b/.test(said)) return FINANCIAL_YEARS[0];
+  if (/\b(last|previous)\b/.test(said)) return FINANCIAL_YEARS[1];
+  const [range] = said.matchAll(YEAR_RANGE);
+  if (range) {
+    const start = Number(range[1]);
+    // "25" ends a year that starts with "20…".
+    const end = Number(range[2].padStart(4, range[1].slice(0, 2)));
+    const financialYear = `FY ${start}-${start + 1}`;
+    return end === start + 1 && FINANCIAL_YEARS.includes(financialYear)
+      ? financialYear
+      : null;
+  }
+  // "twenty twenty five" is said in two halves.
+  const years = said.replace(
+    /\btwenty\s+(twenty(\s+[a-z]+)?)\b/g,
+    (_, rest) => `20${parseSpokenAmount(rest)}`,
+  );
+  const spoken = parseSpokenAmount(said);
+  return (
+    FINANCIAL_YEARS.find((fy) => {
+      const startYear = fy.match(/\d{4}/)[0];
+      return years.includes(startYear) || spoken === Number(startYear);
+    }) || null
+  );
+};
+
+/**
+ * The questions, in order. `target` is the field's path in formData;
+ * `kind` says how the answer is read.
+ */
+export const VOICE_QUESTIONS = [
+  {
+    key: "financialYear",
+    prompt:
+      "Which financial year are you filing for? Say this year or last year.",
+    target: ["financialYear"],
+    kind: "financialYear",
+  },
+  {
+    key: "age",
+    prompt: "How old are you?",
+    target: ["ageGroup"],
+    kind: "ageGroup",
+  },
+  {
+    key: "salary",
+    prompt: "What was your gross salary for the year?",
+    target: ["incomeDetails", "salary"],
+  },
+  {
+    key: "exemptAllowances",
+    prompt: "How much of it was exempt allowances, like HRA or LTA?",
+    target: ["incomeDetails", "exemptAllowances"],
+  },
+  {
+    key: "interestIncome",
+    prompt: "How much interest did you earn from savings and deposits?",
+    target: ["incomeDetails", "interestIncome"],
+  },
+  {
+    key: "rentalIncome",
+    prompt: "How much rent did you receive from a let-out property?",
+    target: ["incomeDetails", "rentalIncome"],
+  },
+  {
+    key: "homeLoanSelfOccupied",
+    prompt:
+      "How much interest did you pay on a home loan for the house you live in?",
+    target: ["incomeDetails", "homeLoanSelfOccupied"],
+  },
+  {
+    key: "otherIncome",
+    prompt: "Any other income?",
+    target: ["incomeDetails", "otherIncome"],
+  },
+  {
+    key: "basic80C",
+    prompt: "How much did you invest under section 80C, like PF, PPF or ELSS?",
+    target: ["deductions", "basic80C"],
+  },
+  {
+    key: "medical80D",
+    prompt: "How much health insurance premium did you pay for your family?",
+    target: ["deductions", "medical80D"],
+  },
+  {
+    key: "nps80CCD1B",
+    prompt: "How much did you put into NPS on your own, under 80CCD(1B)?",
+    target: ["deductions", "nps80CCD1B"],
+  },
+  {
+    key: "tdsSalary",
+    prompt: "How much tax did your employer deduct, as shown in Form 16?",
+    target: ["taxesPaid", "tdsSalary"],
+  },
+];
+
+/**
+ * Reads a spoken amount, leaving out any year pair said with it ("about 12
+ * lakh for 2024-25") so the year's digits are not added to the amount.
+ */
+const parseAmountAnswer = (text) =>
+  parseSpokenAmount(`${text}`.replace(YEAR_RANGE, " "));
+
+const PARSERS = {
+  amount: parseAmountAnswer,
+  ageGroup: parseAgeGroup,
+  financialYear: parseFinancialYear,
+};
+
+/**
+ * Reads an answer to a question. Returns the value for formData, or null
+ * when the answer could not be understood.
+ */
+export const parseAnswer = (question, text) =>
+  PARSERS[question.kind || "amount"](text);
+
+/**
+ * Writes an understood answer into formData. Amounts are stored as the
+ * comma-free strings the calculator uses.
+ */
+export const applyAnswer = (formData, question, value) => {
+  const [category, field] = question.target;
+  if (!field) return { ...formData, [category]: value };
+  return {
+    ...formData,
+    [category]: { ...formData[category], [field]: `${value}` },
+  };
+};
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { VOICE_QUESTIONS, parseAnswer } from "./voiceFiling";
+
+const question = (key) => VOICE_QUESTIONS.find((q) => q.key === key);
+
+describe("parseAnswer", () => {
+  it.each([
+    ["this year", "FY 2025-2026"],
+    ["last year", "FY 2024-2025"],
+    ["2024-25", "FY 2024-2025"],
+    ["2024-2025", "FY 2024-2025"],
+    ["for 2025 - 26 please", "FY 2025-2026"],
+    ["twenty twenty five", "FY 2025-2026"],
+    ["2024-26", null],
+    ["2019-20", null],
+  ])("reads the financial year from %j", (text, financialYear) => {
+    expect(parseAnswer(question("financialYear"), text)).toBe(financialYear);
+  });
+
+  it.each([
+    ["twelve lakh fifty thousand", 1250000],
+    ["about 12 lakh for 2024-25", 1200000],
+    ["1.5 lakh in 2024-2025", 150000],
+    ["none", 0],
+  ])("reads the amount from %j", (text, amount) => {
+    expect(parseAnswer(question("salary"), text)).toBe(amount);
+  });
+
+  it.each([
+    ["thirty five", "0-60"],
+    ["senior citizen", "60-80"],
+    ["eighty two", "80+"],
+  ])("reads the age group from %j", (text, ageGroup) => {
+    expect(parseAnswer(question("age"), text)).toBe(ageGroup);
+  });
+});